@@ -0,0 +1,71 @@
+// routes/audit.js
+const express = require('express');
+const mongoose = require('mongoose');
+
+const AuditEvent = require('../models/audit-event');
+const verifyToken = require('../middleware/verify-token');
+const { allowed } = require('../lib/permissions');
+const { DEFAULT_TIMEZONE, addDays, toDateKey, ymd, zonedTimeToUtc } = require('../lib/sessions');
+
+const router = express.Router();
+
+/* -------------------------------- Routes -------------------------------- */
+/**
+ * GET /api/audit?target=&actor=&from=yyyy-mm-dd&to=yyyy-mm-dd&type=&action=&page=&limit=
+ * The organization's audit trail, newest first. target: id of the changed
+ * document (course, instructor, user, …); actor: user id; type: model name
+ * (Course, Instructor, Subscription, User); action: exact action or prefix
+ * ("course.session"). from/to are calendar days in the organization's
+ * timezone, both inclusive. (audit:read — organization owners only)
+ */
+router.get('/', verifyToken, async (req, res, next) => {
+  try {
+    if (!allowed(req, 'audit:read')) return res.status(403).json({ message: 'Forbidden' });
+
+    const { target, actor, from, to, type, action } = req.query;
+    const pageNum = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limitNum = Math.min(Math.max(1, parseInt(req.query.limit, 10) || 50), 200);
+
+    for (const [name, value] of [['target', target], ['actor', actor]]) {
+      if (value && !mongoose.isValidObjectId(value)) {
+        return res.status(400).json({ message: `${name} must be an id.` });
+      }
+    }
+
+    const tz = req.tenant.timezone || DEFAULT_TIMEZONE;
+    const fromKey = from ? toDateKey(from, tz) : undefined;
+    const toKey = to ? toDateKey(to, tz) : undefined;
+    if ((from && !fromKey) || (to && !toKey)) {
+      return res.status(400).json({ message: 'from and to must be dates (yyyy-mm-dd).' });
+    }
+    if (fromKey && toKey && fromKey > toKey) {
+      return res.status(400).json({ message: 'from must be on or before to.' });
+    }
+
+    const filter = { owner: req.tenant.ownerId };
+    if (target) filter['target.id'] = target;
+    if (actor) filter.actor = actor;
+    if (type) filter['target.type'] = String(type);
+    if (action) {
+      const escaped = String(action).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      filter.action = { $regex: `^${escaped}(\\.|$)` };
+    }
+    if (fromKey || toKey) {
+      filter.at = {};
+      if (fromKey) filter.at.$gte = zonedTimeToUtc(fromKey, '00:00', tz);
+      if (toKey) filter.at.$lt = zonedTimeToUtc(ymd(addDays(toKey, 1)), '00:00', tz);
+    }
+
+    const [items, total] = await Promise.all([
+      AuditEvent.find(filter)
+        .sort({ at: -1, _id: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      AuditEvent.countDocuments(filter),
+    ]);
+    res.json({ page: pageNum, limit: limitNum, total, items });
+  } catch (err) { next(err); }
+});
+
+module.exports = router;
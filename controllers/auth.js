@@ -2,12 +2,19 @@ const express = require('express');
 // routes/auth-invite.js
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
-const jwt = require('jsonwebtoken');
 const InviteToken = require('../models/invite-token');
 const User = require('../models/user');
 const Instructor = require('../models/instructor');
-const JWT_SECRET = process.env.JWT_SECRET || 'change-me';
-const JWT_EXPIRES_IN = '7d';
+const Student = require('../models/student');
+const Organization = require('../models/organization');
+const AuthSession = require('../models/auth-session');
+const verifyToken = require('../middleware/verify-token');
+const PasswordResetToken = require('../models/password-reset-token');
+const { startSession, rotateRefreshToken, revokeSession } = require('../lib/auth');
+const { generateOpaqueToken, hashToken } = require('../lib/tokens');
+const { frontendLink, inviteTarget, revokeInvites } = require('../lib/invites');
+const { sendTemplate } = require('../lib/mailer');
+const { snapshot, recordAudit } = require('../lib/audit');
 
 const router = express.Router();
 
@@ -30,14 +37,12 @@ router.post('/sign-up', async (req, res) => {
       hashedPassword: bcrypt.hashSync(req.body.password, saltRounds)
     });
 
-    // Construct the payload
-    const payload = { username: user.username, _id: user._id };
+    // Every sign-up starts as the owner of its own organization
+    const org = await Organization.createFor(user);
+    await recordAudit(req, 'auth.sign-up', user, { actor: user, owner: org._id });
 
-    // Create the token, attaching the payload
-    const token = jwt.sign({ payload }, process.env.JWT_SECRET);
-
-    // Send the token instead of the user
-    res.status(201).json({ token });
+    // Short-lived access token + refresh token instead of the user
+    res.status(201).json(await startSession(user, req));
   } catch (err) {
     res.status(400).json({ err: err.message });
   }
@@ -56,15 +61,16 @@ router.post('/sign-in', async (req, res) => {
     if (!isPasswordCorrect) {
       return res.status(401).json({ err: 'Invalid credentials.' });
     }
+    if (user.status === 'suspended') {
+      return res.status(403).json({ err: 'Account suspended.', code: 'ACCOUNT_SUSPENDED' });
+    }
 
-    // Construct the payload
-    const payload = { username: user.username, _id: user._id };
-
-    // Create the token, attaching the payload
-    const token = jwt.sign({ payload }, process.env.JWT_SECRET);
+    user.lastLoginAt = new Date();
+    await user.save();
+    await recordAudit(req, 'auth.sign-in', user, { actor: user, owner: user.organization, after: null });
 
-    // Send the token instead of the message
-    res.status(200).json({ token });
+    // Short-lived access token + refresh token instead of the message
+    res.status(200).json(await startSession(user, req));
   } catch (err) {
     res.status(500).json({ err: err.message });
   }
@@ -88,16 +94,32 @@ router.get('/invite/inspect', async (req, res) => {
     const tdoc = await findTokenDoc(token);
     if (!tdoc) return res.status(404).send('Invalid invite.');
     if (tdoc.usedAt) return res.status(410).send('Invite already used.');
+    if (tdoc.revokedAt) return res.status(410).send('Invite revoked.');
     if (new Date(tdoc.expiresAt) <= new Date()) return res.status(410).send('Invite expired.');
 
     const user = await User.findById(tdoc.user).select('username').lean();
     if (!user) return res.status(404).send('User not found for this invite.');
 
     let instructorName = null;
-    const instr = await Instructor.findById(tdoc.instructor).select('name').lean();
+    const instr = tdoc.instructor && await Instructor.findById(tdoc.instructor).select('name').lean();
     if (instr) instructorName = instr.name;
 
-    res.json({ username: user.username, expiresAt: tdoc.expiresAt, instructorName });
+    let studentName = null;
+    const student = tdoc.student && await Student.findById(tdoc.student).select('name').lean();
+    if (student) studentName = student.name;
+
+    let organizationName = null;
+    const org = tdoc.organization && await Organization.findById(tdoc.organization).select('name').lean();
+    if (org) organizationName = org.name;
+
+    res.json({
+      username: user.username,
+      expiresAt: tdoc.expiresAt,
+      instructorName,
+      studentName,
+      organizationName,
+      role: tdoc.role || null,
+    });
   } catch (err) {
     res.status(500).send(err?.message || 'Failed to inspect invite.');
   }
@@ -106,7 +128,7 @@ router.get('/invite/inspect', async (req, res) => {
 /**
  * POST /auth/accept-invite
  * Body: { token, password }
- * Sets user's password, marks invite used, returns login JWT.
+ * Claims the invite, sets the user's password and returns login JWT.
  */
 router.post('/accept-invite', async (req, res) => {
   try {
@@ -114,13 +136,23 @@ router.post('/accept-invite', async (req, res) => {
     if (!token || !password) return res.status(400).send('token and password are required.');
     if (String(password).length < 8) return res.status(400).send('Password must be at least 8 characters.');
 
-    const tdoc = await findTokenDoc(token);
-    if (!tdoc) return res.status(404).send('Invalid invite.');
-    if (tdoc.usedAt) return res.status(410).send('Invite already used.');
-    if (new Date(tdoc.expiresAt) <= new Date()) return res.status(410).send('Invite expired.');
+    // Claim the invite atomically so concurrent requests cannot both accept it
+    const now = new Date();
+    const tdoc = typeof token === 'string' && await InviteToken.findOneAndUpdate(
+      { tokenHash: hashToken(token), usedAt: null, revokedAt: null, expiresAt: { $gt: now } },
+      { $set: { usedAt: now } }
+    ).lean();
+    if (!tdoc) {
+      const found = await findTokenDoc(token);
+      if (!found) return res.status(404).send('Invalid invite.');
+      if (found.usedAt) return res.status(410).send('Invite already used.');
+      if (found.revokedAt) return res.status(410).send('Invite revoked.');
+      return res.status(410).send('Invite expired.');
+    }
 
     const user = await User.findById(tdoc.user);
     if (!user) return res.status(404).send('User not found.');
+    const previous = snapshot(user);
 
     // Set password
     user.hashedPassword = await bcrypt.hash(password, 10);
@@ -128,27 +160,236 @@ router.post('/accept-invite', async (req, res) => {
     // Optional: mark active / roles if your schema supports it
     if (User.schema.path('status')) user.status = 'active';
     if (User.schema.path('roles')) {
-      const roles = new Set([...(user.roles || []), 'instructor']);
+      const roles = new Set(user.roles || []);
+      if (tdoc.instructor) roles.add('instructor');
+      if (tdoc.student) roles.add('student');
       user.roles = Array.from(roles);
     }
+
+    // Staff invites grant membership of the inviting organization
+    if (tdoc.organization && tdoc.role) {
+      await Organization.updateOne(
+        { _id: tdoc.organization, 'members.user': { $ne: user._id } },
+        { $push: { members: { user: user._id, role: tdoc.role, addedBy: tdoc.createdBy } } }
+      );
+      if (!user.organization) user.organization = tdoc.organization;
+    }
     user.lastLoginAt = new Date();
     await user.save();
 
-    // Mark invite as used and purge other invites for the same instructor
-    await InviteToken.updateOne({ _id: tdoc._id }, { $set: { usedAt: new Date() } });
-    await InviteToken.deleteMany({
-      instructor: tdoc.instructor,
-      _id: { $ne: tdoc._id },
+    // Retire other pending invites for the same target
+    await revokeInvites({ ...inviteTarget(tdoc), _id: { $ne: tdoc._id } }, { reason: 'superseded' });
+    await recordAudit(req, 'auth.invite.accept', user, {
+      before: previous,
+      actor: user,
+      owner: tdoc.organization || tdoc.owner,
+      meta: { invite: tdoc._id, role: tdoc.role, instructor: tdoc.instructor, student: tdoc.student },
     });
 
-    // Issue JWT
-    const payload = { sub: String(user._id), uid: String(user._id), roles: user.roles || [] };
-    const jwtToken = jwt.sign(payload, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+    // Sign the user in
+    const tokens = await startSession(user, req);
 
-    res.json({ token: jwtToken, user: user.toJSON() });
+    res.json({ ...tokens, user: user.toJSON() });
   } catch (err) {
     res.status(500).send(err?.message || 'Failed to accept invite.');
   }
 });
 
+/* ------------------------------ Passwords ------------------------------ */
+
+const MIN_PASSWORD_LENGTH = 8;
+const RESET_TTL_MS = 1000 * 60 * 60; // 1 hour
+const RESET_REQUESTED = 'If an account exists for that address, a reset link has been sent.';
+
+const isEmail = (v) => /^\S+@\S+\.\S+$/.test(String(v || ''));
+
+async function sendResetLink(user, req) {
+  const to = user.email || (isEmail(user.username) ? user.username : null);
+  if (!to) return;
+
+  await PasswordResetToken.deleteMany({ user: user._id, usedAt: null });
+  const token = generateOpaqueToken();
+  await PasswordResetToken.create({
+    tokenHash: hashToken(token),
+    user: user._id,
+    expiresAt: new Date(Date.now() + RESET_TTL_MS),
+    requestedIp: req.ip,
+  });
+
+  await sendTemplate('password-reset', to, {
+    username: user.username,
+    url: frontendLink('/reset-password', token),
+  });
+}
+
+/**
+ * POST /auth/forgot-password
+ * Body: { email } (or { username })
+ * Always answers 202 with the same message so it cannot be used to probe for accounts.
+ */
+router.post('/forgot-password', async (req, res) => {
+  const login = String(req.body?.email ?? req.body?.username ?? '').trim();
+  res.status(202).json({ message: RESET_REQUESTED });
+  if (!login) return;
+
+  // Looked up and mailed after responding: response time does not depend on the account
+  try {
+    const user = await User.findOne({ $or: [{ username: login }, { email: login.toLowerCase() }] })
+      .select('username email status organization');
+    if (user && user.status !== 'suspended') {
+      await sendResetLink(user, req);
+      await recordAudit(req, 'auth.password.reset-request', user, { owner: user.organization, after: null });
+    }
+  } catch (err) {
+    console.error('forgot-password:', err.message);
+  }
+});
+
+/**
+ * POST /auth/reset-password
+ * Body: { token, password }
+ * Sets a new password from an emailed reset link and signs out every session.
+ */
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body || {};
+    if (!token || !password) return res.status(400).json({ err: 'token and password are required.' });
+    if (String(password).length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ err: `Password must be at least ${MIN_PASSWORD_LENGTH} characters.` });
+    }
+
+    // Claim the token atomically so it can only be used once
+    const tdoc = await PasswordResetToken.findOneAndUpdate(
+      { tokenHash: hashToken(token), usedAt: null, expiresAt: { $gt: new Date() } },
+      { $set: { usedAt: new Date() } }
+    );
+    if (!tdoc) return res.status(400).json({ err: 'Invalid or expired reset link.' });
+
+    const user = await User.findById(tdoc.user);
+    if (!user || user.status === 'suspended') {
+      return res.status(400).json({ err: 'Invalid or expired reset link.' });
+    }
+
+    const previous = snapshot(user);
+    user.hashedPassword = await bcrypt.hash(String(password), saltRounds);
+    if (user.status === 'invited') user.status = 'active';
+    await user.save();
+    await recordAudit(req, 'auth.password.reset', user, { before: previous, actor: user, owner: user.organization });
+
+    await PasswordResetToken.deleteMany({ user: user._id, _id: { $ne: tdoc._id } });
+    await AuthSession.revokeAll(user._id, 'password-reset');
+
+    res.json({ message: 'Password updated. Please sign in with your new password.' });
+  } catch (err) {
+    res.status(500).json({ err: err.message });
+  }
+});
+
+/**
+ * POST /auth/change-password
+ * Body: { currentPassword, newPassword }
+ * Signs out the caller's other sessions; the current one stays valid.
+ */
+router.post('/change-password', verifyToken, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body || {};
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ err: 'currentPassword and newPassword are required.' });
+    }
+    if (String(newPassword).length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ err: `Password must be at least ${MIN_PASSWORD_LENGTH} characters.` });
+    }
+
+    const user = await User.findById(req.user._id);
+    if (!user) return res.status(404).json({ err: 'User not found.' });
+    if (!(await bcrypt.compare(String(currentPassword), user.hashedPassword))) {
+      return res.status(401).json({ err: 'Current password is incorrect.' });
+    }
+
+    const previous = snapshot(user);
+    user.hashedPassword = await bcrypt.hash(String(newPassword), saltRounds);
+    await user.save();
+    await recordAudit(req, 'auth.password.change', user, { before: previous });
+
+    await AuthSession.updateMany(
+      { user: user._id, _id: { $ne: req.authSession._id }, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'password-change' } }
+    );
+
+    res.json({ message: 'Password updated.' });
+  } catch (err) {
+    res.status(500).json({ err: err.message });
+  }
+});
+
+/* ------------------------------ Sessions ------------------------------ */
+
+/**
+ * POST /auth/refresh
+ * Body: { refreshToken }
+ * Returns a new { token, refreshToken, tokenType, expiresIn }. The old refresh
+ * token stops working; presenting it again revokes the session.
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    res.json(await rotateRefreshToken(req.body?.refreshToken, req));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ err: err.message, code: err.code });
+    res.status(500).json({ err: err.message });
+  }
+});
+
+/**
+ * POST /auth/logout
+ * Body: { refreshToken } — or a Bearer access token — identifying the session to end.
+ */
+router.post('/logout', async (req, res, next) => {
+  try {
+    if (req.body?.refreshToken) {
+      const session = await AuthSession.findOne({ refreshTokenHash: hashToken(req.body.refreshToken) })
+        .populate('user', 'username organization');
+      if (await revokeSession({ refreshToken: req.body.refreshToken }) && session?.user) {
+        await recordAudit(req, 'auth.logout', session.user, {
+          actor: session.user,
+          owner: session.user.organization,
+          after: null,
+        });
+      }
+      return res.status(204).end();
+    }
+    return next();
+  } catch (err) {
+    res.status(500).json({ err: err.message });
+  }
+}, verifyToken, async (req, res) => {
+  try {
+    await revokeSession({ sessionId: req.authSession._id });
+    await recordAudit(req, 'auth.logout', { _id: req.user._id, username: req.user.username }, {
+      type: 'User',
+      after: null,
+    });
+    res.status(204).end();
+  } catch (err) {
+    res.status(500).json({ err: err.message });
+  }
+});
+
+/**
+ * POST /auth/logout-all
+ * Ends every session of the caller (all devices), including this one.
+ */
+router.post('/logout-all', verifyToken, async (req, res) => {
+  try {
+    const result = await AuthSession.revokeAll(req.user._id);
+    await recordAudit(req, 'auth.logout-all', { _id: req.user._id, username: req.user.username }, {
+      type: 'User',
+      after: null,
+      meta: { revoked: result.modifiedCount },
+    });
+    res.json({ revoked: result.modifiedCount });
+  } catch (err) {
+    res.status(500).json({ err: err.message });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
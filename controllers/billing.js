@@ -4,6 +4,9 @@ const jwt = require('jsonwebtoken');
 const Subscription = require('../models/subscription');
 const User = require('../models/user');
 const verifyToken = require('../middleware/verify-token');
+const { getEntitlements, getUsage } = require('../lib/plans');
+const { allowed } = require('../lib/permissions');
+const { snapshot, recordAudit } = require('../lib/audit');
 
 const router = express.Router();
 
@@ -46,11 +49,12 @@ function monthsFromNow(n) {
   return d;
 }
 
-async function getOrCreateUserSubscription(userId) {
-  let sub = await Subscription.findOne({ owner: userId });
+// The organization's subscription, shared by all of its members
+async function getOrCreateSubscription(orgId) {
+  let sub = await Subscription.findOne({ owner: orgId });
   if (!sub) {
     sub = await Subscription.create({
-      owner: userId,
+      owner: orgId,
       planId: 'free',
       status: 'active',
     });
@@ -74,12 +78,20 @@ function priceIdFor(planId, cycle) {
 /* ------------------------- GET current status ------------------------- */
 /**
  * GET /api/billing/status
- * Returns the caller's subscription (creates a default `free` record if missing).
+ * Returns the organization's subscription (creates a default `free` record if missing),
+ * the effective plan entitlements and current usage against each limit:
+ * { ...subscription, entitlements: { planId, limits, features }, usage: { [limit]: { used, max } } }
+ * (billing:read)
  */
 router.get('/status', verifyToken, async (req, res) => {
   try {
-    const sub = await getOrCreateUserSubscription(req.user._id);
-    res.json(sub.toJSON());
+    if (!allowed(req, 'billing:read')) return res.status(403).json({ err: 'Forbidden' });
+
+    const owner = req.tenant.ownerId;
+    const sub = await getOrCreateSubscription(owner);
+    const entitlements = await getEntitlements(owner);
+    const usage = await getUsage(owner, entitlements);
+    res.json({ ...sub.toJSON(), entitlements, usage });
   } catch (err) {
     res.status(500).json({ err: err.message });
   }
@@ -93,16 +105,20 @@ router.get('/status', verifyToken, async (req, res) => {
  * - paid:
  *    - if Stripe configured: create Checkout Session, return { url }
  *    - otherwise (dev): immediately activate, return success url
+ * (billing:manage — organization owners only)
  */
 router.post('/checkout', verifyToken, async (req, res) => {
   try {
+    if (!allowed(req, 'billing:manage')) return res.status(403).json({ err: 'Forbidden' });
+
     const planId = String(req.body.planId || 'free');
     const cycle = String(req.body.cycle || 'monthly');
 
     requireValidPlanCycle(planId, cycle);
 
-    // Load or initialize user's subscription
-    const sub = await getOrCreateUserSubscription(req.user._id);
+    // Load or initialize the organization's subscription
+    const sub = await getOrCreateSubscription(req.tenant.ownerId);
+    const previous = snapshot(sub);
 
     // FREE → activate immediately
     if (planId === 'free') {
@@ -114,6 +130,7 @@ router.post('/checkout', verifyToken, async (req, res) => {
       sub.currentPeriodStart = new Date();
       sub.currentPeriodEnd = undefined; // unlimited
       await sub.save();
+      await recordAudit(req, 'billing.subscription.update', sub, { before: previous });
       return res.json({ url: chooseSuccessUrl('free', 'monthly') });
     }
 
@@ -128,6 +145,7 @@ router.post('/checkout', verifyToken, async (req, res) => {
       sub.currentPeriodStart = new Date();
       sub.currentPeriodEnd = cycle === 'annual' ? monthsFromNow(12) : monthsFromNow(1);
       await sub.save();
+      await recordAudit(req, 'billing.subscription.update', sub, { before: previous, meta: { mode: 'dev' } });
       return res.json({ url: chooseSuccessUrl(planId, cycle), mode: 'dev' });
     }
 
@@ -148,11 +166,13 @@ router.post('/checkout', verifyToken, async (req, res) => {
 
       const customer = await stripe.customers.create({
         email,
-        metadata: { appUserId: String(req.user._id) },
+        name: req.tenant.name,
+        metadata: { organizationId: String(req.tenant.ownerId), appUserId: String(req.user._id) },
       });
       customerId = customer.id;
       sub.stripeCustomerId = customerId;
       await sub.save();
+      await recordAudit(req, 'billing.customer.create', sub, { before: previous });
     }
 
     // Create Checkout session
@@ -164,12 +184,18 @@ router.post('/checkout', verifyToken, async (req, res) => {
       success_url: chooseSuccessUrl(planId, cycle) + '&session_id={CHECKOUT_SESSION_ID}',
       cancel_url: chooseCancelUrl(),
       metadata: {
+        organizationId: String(req.tenant.ownerId),
         appUserId: String(req.user._id),
         planId,
         cycle,
       },
     });
 
+    await recordAudit(req, 'billing.checkout.start', sub, {
+      after: null,
+      meta: { planId, cycle, checkoutSession: session.id },
+    });
+
     return res.json({ url: session.url });
   } catch (err) {
     res.status(400).json({ err: err.message });
@@ -180,11 +206,13 @@ router.post('/checkout', verifyToken, async (req, res) => {
 /**
  * POST /api/billing/portal
  * Returns a Stripe customer portal URL (only when Stripe is configured).
+ * (billing:manage)
  */
 router.post('/portal', verifyToken, async (req, res) => {
   try {
+    if (!allowed(req, 'billing:manage')) return res.status(403).json({ err: 'Forbidden' });
     if (!stripe) return res.status(501).json({ err: 'Stripe is not configured.' });
-    const sub = await getOrCreateUserSubscription(req.user._id);
+    const sub = await getOrCreateSubscription(req.tenant.ownerId);
     if (!sub.stripeCustomerId) return res.status(400).json({ err: 'No Stripe customer found.' });
 
     const portal = await stripe.billingPortal.sessions.create({
@@ -236,6 +264,7 @@ if (STRIPE_WEBHOOK_SECRET) {
           // Find local subscription by customer
           const sub = await Subscription.findOne({ stripeCustomerId: customerId });
           if (sub) {
+            const previous = snapshot(sub);
             sub.planId = planId || sub.planId;
             sub.cycle = cycle || sub.cycle;
             sub.status = subObj.status || 'active';
@@ -244,6 +273,10 @@ if (STRIPE_WEBHOOK_SECRET) {
             sub.currentPeriodStart = currentPeriodStart;
             sub.currentPeriodEnd = currentPeriodEnd;
             await sub.save();
+            await recordAudit(req, 'billing.subscription.sync', sub, {
+              before: previous,
+              meta: { event: event.type, eventId: event.id },
+            });
           }
           break;
         }
@@ -259,12 +292,17 @@ if (STRIPE_WEBHOOK_SECRET) {
 
           const local = await Subscription.findOne({ stripeCustomerId: customerId });
           if (local) {
+            const previous = snapshot(local);
             local.status = status;
             local.stripeSubscriptionId = subObj.id;
             local.stripePriceId = priceId;
             local.currentPeriodStart = currentPeriodStart;
             local.currentPeriodEnd = currentPeriodEnd;
             await local.save();
+            await recordAudit(req, 'billing.subscription.sync', local, {
+              before: previous,
+              meta: { event: event.type, eventId: event.id },
+            });
           }
           break;
         }
@@ -0,0 +1,35 @@
+// routes/certificates.js
+// Public: anyone holding a certificate (or a printout of it) can check it here.
+const express = require('express');
+
+const Certificate = require('../models/certificate');
+
+const router = express.Router();
+
+/**
+ * GET /api/certificates/verify/:code
+ * No auth. 200 { valid: true, certificate } for a code we issued, else 404 { valid: false }.
+ */
+router.get('/verify/:code', async (req, res, next) => {
+  try {
+    const code = String(req.params.code || '').trim().toUpperCase();
+    const cert = await Certificate.findOne({ code }).lean();
+    if (!cert) return res.status(404).json({ valid: false, message: 'No certificate matches this code.' });
+
+    res.json({
+      valid: true,
+      certificate: {
+        code: cert.code,
+        studentName: cert.studentName,
+        courseTitle: cert.courseTitle,
+        organizationName: cert.organizationName,
+        startDate: cert.startDate,
+        endDate: cert.endDate,
+        hours: cert.hours,
+        issuedAt: cert.issuedAt,
+      },
+    });
+  } catch (err) { next(err); }
+});
+
+module.exports = router;
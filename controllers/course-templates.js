@@ -0,0 +1,155 @@
+// routes/course-templates.js
+// Reusable course blueprints. Create a course from one with
+// POST /api/courses { templateId, start_date, end_date }.
+const express = require('express');
+
+const Course = require('../models/course');
+const CourseTemplate = require('../models/course-template');
+const verifyToken = require('../middleware/verify-token');
+const { allowed } = require('../lib/permissions');
+const { blueprintOf } = require('../lib/course-templates');
+
+const router = express.Router();
+
+/* --------------------------- Config / Helpers --------------------------- */
+const toStr = (v) => (v == null ? '' : String(v));
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Writable template fields from a request body
+function templateFields(body = {}) {
+  const fields = blueprintOf(body);
+  if (body.name != null) fields.name = toStr(body.name).trim();
+  return fields;
+}
+
+// Validation / cast errors -> 400, duplicate names -> 409
+function sendTemplateError(res, err) {
+  if (err.code === 11000) return res.status(409).json({ message: 'A template with this name already exists.' });
+  if (err.name === 'ValidationError' || err.name === 'CastError') {
+    return res.status(400).json({ message: err.message });
+  }
+  return null;
+}
+
+async function loadTemplate(req, res, action) {
+  const template = await CourseTemplate.findById(req.params.id);
+  if (!template) {
+    res.status(404).json({ message: 'Not found' });
+    return null;
+  }
+  if (!allowed(req, action, template)) {
+    res.status(403).json({ message: 'Forbidden' });
+    return null;
+  }
+  return template;
+}
+
+/* -------------------------------- Routes -------------------------------- */
+/**
+ * GET /api/course-templates?q=
+ * The organization's template library by name (courses:read)
+ */
+router.get('/', verifyToken, async (req, res, next) => {
+  try {
+    if (!allowed(req, 'courses:read')) return res.status(403).json({ message: 'Forbidden' });
+
+    const filter = { owner: req.tenant.ownerId };
+    if (req.query.q) {
+      const q = new RegExp(escapeRegExp(toStr(req.query.q)), 'i');
+      filter.$or = [{ name: q }, { title: q }];
+    }
+    const items = await CourseTemplate.find(filter)
+      .populate('instructors', 'name')
+      .sort({ name: 1 })
+      .lean();
+    res.json(items);
+  } catch (err) { next(err); }
+});
+
+/**
+ * GET /api/course-templates/:id (courses:read)
+ */
+router.get('/:id', verifyToken, async (req, res, next) => {
+  try {
+    const template = await loadTemplate(req, res, 'courses:read');
+    if (!template) return;
+    await template.populate('instructors', 'name');
+    res.json(template);
+  } catch (err) {
+    if (sendTemplateError(res, err)) return;
+    next(err);
+  }
+});
+
+/**
+ * POST /api/course-templates
+ * Body: { name, fromCourse?, title, description, location, timezone, daysOfWeek,
+ *   range_start_time, range_end_time, instructors, instructorRates, cost, materialsCost,
+ *   capacity, venue, room }
+ * With fromCourse (a course id) the template starts as a copy of that course;
+ * fields in the body override it. 409 when the name is taken. (courses:write)
+ */
+router.post('/', verifyToken, async (req, res, next) => {
+  try {
+    if (!allowed(req, 'courses:write')) return res.status(403).json({ message: 'Forbidden' });
+
+    const fields = templateFields(req.body);
+    let source = null;
+    if (req.body?.fromCourse) {
+      source = await Course.findById(req.body.fromCourse);
+      if (!source || !allowed(req, 'courses:read', source)) {
+        return res.status(404).json({ message: 'Course not found.' });
+      }
+    }
+
+    const template = await CourseTemplate.create({
+      ...(source ? blueprintOf(source) : {}),
+      ...fields,
+      name: fields.name || source?.title,
+      owner: req.tenant.ownerId,
+      sourceCourse: source?._id,
+      createdBy: req.user._id,
+    });
+    res.status(201).json(template);
+  } catch (err) {
+    if (sendTemplateError(res, err)) return;
+    next(err);
+  }
+});
+
+/**
+ * PATCH /api/course-templates/:id
+ * Body: any template field (see POST). (courses:write)
+ */
+router.patch('/:id', verifyToken, async (req, res, next) => {
+  try {
+    const template = await loadTemplate(req, res, 'courses:write');
+    if (!template) return;
+
+    template.set(templateFields(req.body));
+    await template.save();
+    res.json(template);
+  } catch (err) {
+    if (sendTemplateError(res, err)) return;
+    next(err);
+  }
+});
+
+/**
+ * DELETE /api/course-templates/:id
+ * Courses created from the template are not affected. (courses:delete)
+ */
+router.delete('/:id', verifyToken, async (req, res, next) => {
+  try {
+    const template = await loadTemplate(req, res, 'courses:delete');
+    if (!template) return;
+
+    await template.deleteOne();
+    res.status(204).end();
+  } catch (err) {
+    if (sendTemplateError(res, err)) return;
+    next(err);
+  }
+});
+
+module.exports = router;
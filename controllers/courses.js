@@ -2,19 +2,67 @@
 const express = require('express');
 const Course = require('../models/course');
 const Instructor = require('../models/instructor');
+const Student = require('../models/student');
+const Enrollment = require('../models/enrollment');
+const StudentAttendance = require('../models/student-attendance');
 const User = require('../models/user');
+const Organization = require('../models/organization');
+const CourseTemplate = require('../models/course-template');
 const verifyToken = require('../middleware/verify-token');
 const requireAuth = require('../middleware/requireAuth');
+const {
+  ymd,
+  buildSessions,
+  generateSessions,
+  sortSessions,
+  isCancelled,
+  resolveSessionKeys,
+  normalizeAttendanceKeys,
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  toDateKey,
+  todayIn,
+  withInstants,
+} = require('../lib/sessions');
+const { findLockedAttendanceChanges } = require('../lib/payroll');
+const { findInstructorConflicts, findRoomConflicts } = require('../lib/scheduling');
+const { resolveVenue } = require('../lib/locations');
+const {
+  COURSE_FIELDS: ENROLLMENT_COURSE_FIELDS,
+  seatLimit,
+  enroll,
+  withdraw,
+  promoteWaitlist,
+  listWaitlist,
+  auditEnrollment,
+  auditPromotions,
+} = require('../lib/enrollments');
+const { hashToken } = require('../lib/tokens');
+const { buildCalendar, sendCalendar } = require('../lib/ics');
+const { requireWithinLimit, requireFeature, limitExceeded } = require('../lib/plans');
+const { csvBody, readCsv, planCourseImport, applyImport, importResult } = require('../lib/imports');
+const archiver = require('archiver');
+const {
+  verifyUrl,
+  courseEnded,
+  courseEligibility,
+  issueCertificate,
+  renderCertificate,
+} = require('../lib/certificates');
+const { FORMATS, sendTable } = require('../lib/exports');
+const { snapshot, recordAudit } = require('../lib/audit');
+const { archivedFilter, courseReferences } = require('../lib/archive');
+const { blueprintOf } = require('../lib/course-templates');
+const { DATASETS } = require('../lib/course-exports');
+const { allowed } = require('../lib/permissions');
+const { notifyScheduleChange } = require('../lib/notifications');
+const { generateCourseInvoices } = require('../lib/invoicing');
+const Invoice = require('../models/invoice');
+const Certificate = require('../models/certificate');
 
 const router = express.Router();
 
 /* ------------------------------ Helpers ------------------------------ */
-function addDays(d, n) {
-  const x = new Date(d);
-  x.setDate(x.getDate() + n);
-  return x;
-}
-
 async function resolveInstructorIdForUser(userId) {
   // 1) direct link via Instructor.user
   const linked = await Instructor.findOne({ user: userId }).select('_id').lean();
@@ -34,52 +82,26 @@ async function canViewCourse(req, res, next) {
     const userId = String(req.user?._id || '');
     if (!userId) return res.status(401).json({ error: 'Unauthorized' });
 
-    const roles = Array.isArray(req.user?.roles) ? req.user.roles : [];
-    const isAdmin = roles.some(r => ['owner','admin','manager','staff'].includes(String(r).toLowerCase()));
-
     const course = await Course.findById(req.params.id)
-      .select('owner instructors enrolled')
+      .select('owner instructors')
       .lean();
     if (!course) return res.status(404).json({ error: 'Not found' });
 
-    if (isAdmin) return next();
-    if (String(course.owner || '') === userId) return next();
+    // Tenant members whose role can read courses
+    if (allowed(req, 'courses:read', course)) return next();
 
     const myInstructorId = await resolveInstructorIdForUser(userId);
     if (myInstructorId && (course.instructors || []).map(String).includes(myInstructorId)) {
       return next();
     }
 
-    // Optional: allow enrolled students
-    if ((course.enrolled || []).some(s => String(s.user || s) === userId)) {
-      return next();
-    }
-
+    // Students and parents use /me (no financials)
     return res.status(403).json({ error: 'Forbidden' });
   } catch (e) {
     return res.status(500).json({ error: e.message || 'Auth check failed' });
   }
 }
 
-function buildSessions({ start_date, end_date, daysOfWeek = [], range_start_time, range_end_time }) {
-  if (!start_date || !end_date || !Array.isArray(daysOfWeek) || daysOfWeek.length === 0) return [];
-  const start = new Date(start_date);
-  const end = new Date(end_date);
-  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || start > end) return [];
-
-  const sessions = [];
-  for (let d = new Date(start); d <= end; d = addDays(d, 1)) {
-    if (daysOfWeek.includes(d.getDay())) {
-      sessions.push({
-        date: new Date(d.toISOString().slice(0, 10)),
-        start_time: range_start_time || '16:00',
-        end_time: range_end_time || '18:00',
-      });
-    }
-  }
-  return sessions;
-}
-
 function normalizeInstructorRates(instructorRates) {
   if (!instructorRates) return {};
   const out = {};
@@ -93,7 +115,12 @@ function normalizeInstructorRates(instructorRates) {
 function sanitizePayload(body = {}) {
   const payload = { ...body };
   if (payload.cost != null) payload.cost = Number(payload.cost);
-  if (payload.students != null) payload.students = Number(payload.students);
+  delete payload.students; // seat counter, kept by lib/enrollments
+  if (payload.capacity === '') payload.capacity = null;
+  else if (payload.capacity != null) payload.capacity = Number(payload.capacity);
+  delete payload.sessionExceptions; // managed through the /sessions endpoints
+  delete payload.archivedAt; // managed through /archive and /restore
+  delete payload.archivedBy;
   if (payload.materialsCost != null) payload.materialsCost = Number(payload.materialsCost);
   if (Array.isArray(payload.instructors)) {
     payload.instructors = payload.instructors.map((v) => String(v));
@@ -102,6 +129,36 @@ function sanitizePayload(body = {}) {
   return payload;
 }
 
+// Today in the tenant's timezone, as the UTC midnight course dates are stored at
+const tenantToday = (req) => new Date(todayIn(req.tenant.timezone || DEFAULT_TIMEZONE));
+
+// The 402 body when an update moves an ended course's end_date to today or
+// later, making it count against the plan's active-course limit again; else null
+async function reactivationExceeded(req, current, payload) {
+  if (current.archivedAt || !payload.end_date) return null;
+  const today = tenantToday(req);
+  if (!(current.end_date < today) || !(new Date(payload.end_date) >= today)) return null;
+  return limitExceeded(current.owner, 'activeCourses');
+}
+
+// 409 when a new capacity is below the seats already taken; true when sent
+function rejectCapacity(res, payload, current) {
+  const enrolled = current.students || 0;
+  if (payload.capacity == null || !(payload.capacity < enrolled)) return false;
+  res.status(409).json({ error: `Capacity ${payload.capacity} is below the ${enrolled} students enrolled`, students: enrolled });
+  return true;
+}
+
+// A higher capacity or a bigger room may free seats for the waitlist;
+// resolves to the course, reloaded when students were promoted
+async function fillFreedSeats(req, payload, course) {
+  if (!['capacity', 'venue', 'room'].some((k) => k in payload)) return course;
+  const promoted = await promoteWaitlist(course);
+  if (!promoted.length) return course;
+  await auditPromotions(req, course, promoted);
+  return Course.findById(course._id).populate('owner', 'name');
+}
+
 /* --------------------------- Access helpers -------------------------- */
 async function findInstructorForUser(userId) {
   // direct link
@@ -123,15 +180,12 @@ function courseIncludesInstructor(course, instructorId) {
   return list.map(String).includes(String(instructorId));
 }
 
-function isOwner(course, userId) {
-  return course?.owner && String(course.owner) === String(userId);
-}
-
-function ymd(d) {
-  const x = new Date(d);
-  if (Number.isNaN(x.getTime())) return '';
-  const pad = (n) => String(n).padStart(2, '0');
-  return `${x.getFullYear()}-${pad(x.getMonth() + 1)}-${pad(x.getDate())}`;
+// Resolve a session key ("yyyy-mm-dd" or "idx-N") to the session and its canonical date key
+function findSession(course, key) {
+  const sessions = Array.isArray(course?.courseDatesTimes) ? course.courseDatesTimes : [];
+  const [index] = resolveSessionKeys(sessions, [key]);
+  if (index === undefined) return null;
+  return { index, key: ymd(sessions[index].date), session: sessions[index] };
 }
 
 /* ---------- Access helpers ---------- */
@@ -146,16 +200,128 @@ async function resolveInstructorIdForUser(userId) {
   return byEmail ? String(byEmail._id) : null;
 }
 
-// NEW: robust check for admin power
-async function userHasAdminPower(req) {
-  // roles may be on req.user (from JWT) or in DB
-  let roles = req.user?.roles;
-  if (!Array.isArray(roles) || roles.length === 0) {
-    const u = await User.findById(req.user._id).select('roles').lean();
-    roles = Array.isArray(u?.roles) ? u.roles : [];
+// Tenant members with the attendance permission, or an instructor assigned to the course
+async function canTakeAttendance(req, course, action = 'attendance:write') {
+  if (allowed(req, action, course)) return true;
+  const myInstructorId = await resolveInstructorIdForUser(req.user._id);
+  return courseIncludesInstructor(course, myInstructorId);
+}
+
+/**
+ * Sends 409 with the list of double-booked instructor sessions and returns true,
+ * unless the body carries the explicit override `_allowConflicts: true`.
+ */
+async function rejectConflicts(req, res, { courseId, instructors, sessions, timezone, venue, room }) {
+  if (req.body?._allowConflicts === true) return false;
+  const timed = withInstants(sessions || [], timezone);
+  const [conflicts, roomConflicts] = await Promise.all([
+    findInstructorConflicts({ courseId, instructors, sessions: timed }),
+    findRoomConflicts({ courseId, venue, room, sessions: timed }),
+  ]);
+  if (!conflicts.length && !roomConflicts.length) return false;
+
+  const clashing = [conflicts.length && 'Instructor', roomConflicts.length && 'room'].filter(Boolean);
+  res.status(409).json({
+    error: `${clashing.join(' and ').replace(/^room/, 'Room')} scheduling conflict`,
+    conflicts,
+    roomConflicts,
+    hint: 'Resend with _allowConflicts: true to save anyway.',
+  });
+  return true;
+}
+
+/**
+ * Check `venue` / `room` in a course payload against the tenant's locations
+ * and copy the location label and coordinates onto it. `current` is the
+ * course being updated (omitted on create). Sends 400 for an unknown venue or
+ * room, 409 when the room seats fewer than the course's enrolled students,
+ * and returns true when it did.
+ */
+async function applyVenue(req, res, payload, current) {
+  if (!('venue' in payload) && !('room' in payload)) return false;
+
+  const venueId = 'venue' in payload ? payload.venue : current?.venue;
+  if (!venueId) {
+    // Back to a free-text location
+    payload.venue = null;
+    payload.room = null;
+    return false;
   }
-  const adminSet = new Set(['admin', 'owner', 'manager', 'staff']);
-  return roles.some(r => adminSet.has(String(r).toLowerCase()));
+  const sameVenue = !!current?.venue && String(current.venue) === String(venueId);
+  const roomId = 'room' in payload ? payload.room : sameVenue ? current.room : null;
+
+  try {
+    const { capacity, fields } = await resolveVenue(current?.owner || req.tenant.ownerId, venueId, roomId || null);
+    const enrolled = current?.students || 0;
+    if (capacity != null && enrolled > capacity) {
+      res.status(409).json({ error: `The room seats ${capacity} but ${enrolled} students are enrolled`, capacity });
+      return true;
+    }
+    Object.assign(payload, fields);
+    return false;
+  } catch (err) {
+    if (err.code !== 'LOCATION_INVALID') throw err;
+    res.status(400).json({ err: err.message });
+    return true;
+  }
+}
+
+// The organization's default timezone, used for new courses and date filters
+async function tenantTimezone(ownerId) {
+  const org = await Organization.findById(ownerId).select('timezone').lean();
+  return isValidTimeZone(org?.timezone) ? org.timezone : DEFAULT_TIMEZONE;
+}
+
+/**
+ * Course filter for list-style endpoints (GET /, exports) from ?q, ?instructor,
+ * ?from, ?to. Resolves to { filter, asInstructor }, { empty: true } when an
+ * instructor filter matches nobody, or { status, body } to send as an error.
+ */
+async function buildListFilter(req) {
+  const { q, instructor, from, to } = req.query;
+  const filter = {};
+
+  if (q) filter.$text = { $search: q };
+
+  const meInst = instructor ? await findInstructorForUser(req.user._id) : null;
+  const asInstructor = !!meInst && (instructor === 'me' || meInst.id === String(instructor));
+
+  if (!asInstructor && !allowed(req, 'courses:read')) {
+    return { status: 403, body: { error: 'Forbidden' } };
+  }
+
+  if (instructor) {
+    const instructorId = instructor === 'me' ? meInst?.id : String(instructor);
+    if (!instructorId) return { empty: true };
+
+    filter.$or = [
+      { instructors: String(instructorId) },
+      { [`instructorRates.${String(instructorId)}`]: { $exists: true } },
+    ];
+  }
+  filter.owner = asInstructor ? meInst.owner : req.tenant.ownerId;
+
+  if (from || to) {
+    // Calendar days in the tenant's timezone; start_date is stored as UTC midnight of the day
+    const tz = await tenantTimezone(filter.owner);
+    const fromKey = toDateKey(from, tz);
+    const toKey = toDateKey(to, tz);
+    if ((from && !fromKey) || (to && !toKey)) {
+      return { status: 400, body: { err: 'from/to must be dates (yyyy-mm-dd or ISO 8601)' } };
+    }
+    filter.start_date = {};
+    if (fromKey) filter.start_date.$gte = new Date(fromKey);
+    if (toKey) filter.start_date.$lte = new Date(toKey);
+  }
+  Object.assign(filter, archivedFilter(req));
+
+  return { filter, asInstructor };
+}
+
+// Calendar apps cannot send a Bearer header: ?token= is checked in the handler instead
+function bearerOrFeedToken(req, res, next) {
+  if (req.query.token) return next();
+  return verifyToken(req, res, next);
 }
 
 /* -------------------------------- Routes ----------------------------- */
@@ -166,57 +332,34 @@ async function userHasAdminPower(req) {
  *  - q: text search
  *  - instructor: 'me' | <instructorId>
  *  - from, to: filter by start_date range
+ *  - includeArchived: 'true' to list archived courses too
  *  - page, limit, sort
  *
  * Behavior:
  *  - instructor='me': resolve caller's instructor profile and scope to its tenant (owner = instructor.owner).
  *  - instructor='<id>':
  *      * if caller is that instructor -> scope to that instructor's tenant.
- *      * else (admin/staff)          -> scope to caller's tenant (owner = req.user._id).
- *  - no instructor: owner-scoped list (owner = req.user._id).
+ *      * else (admin/staff)          -> scope to caller's tenant (owner = req.tenant.ownerId).
+ *  - no instructor: tenant-scoped list (owner = req.tenant.ownerId).
  */
 /**
  * GET /api/courses
- * Supports ?instructor=me|<id>, ?q, ?from, ?to, ?page, ?limit, ?sort
+ * Supports ?instructor=me|<id>, ?q, ?from, ?to, ?includeArchived, ?page, ?limit, ?sort
  */
 router.get('/', verifyToken, async (req, res) => {
   try {
-    const { page = 1, limit = 20, q, instructor, from, to, sort = '-createdAt' } = req.query;
+    const { page = 1, limit = 20, sort = '-createdAt' } = req.query;
     const pageNum = Math.max(1, parseInt(page, 10));
     const limitNum = Math.max(1, parseInt(limit, 10));
     const skip = (pageNum - 1) * limitNum;
 
-    const filter = {};
-    let instructorId = null;
-
-    if (q) filter.$text = { $search: q };
-
-    if (instructor) {
-      instructorId = instructor === 'me'
-        ? await resolveInstructorIdForUser(req.user._id)
-        : String(instructor);
-
-      if (!instructorId) {
-        return res.json({ page: pageNum, limit: limitNum, total: 0, items: [] });
-      }
-
-      filter.$or = [
-        { instructors: String(instructorId) },
-        { [`instructorRates.${String(instructorId)}`]: { $exists: true } },
-      ];
-    } else {
-      filter.owner = req.user._id;
-    }
-
-    if (from || to) {
-      filter.start_date = {};
-      if (from) filter.start_date.$gte = new Date(from);
-      if (to) filter.start_date.$lte = new Date(to);
-    }
+    const { filter, empty, status, body } = await buildListFilter(req);
+    if (status) return res.status(status).json(body);
+    if (empty) return res.json({ page: pageNum, limit: limitNum, total: 0, items: [] });
 
     const [items, total] = await Promise.all([
       Course.find(filter)
-        .populate('owner', 'username email')
+        .populate('owner', 'name')
         .sort(sort)
         .skip(skip)
         .limit(limitNum)
@@ -230,6 +373,61 @@ router.get('/', verifyToken, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/courses/export/:dataset.:format
+ *  - dataset: courses | sessions | attendance | rates
+ *  - format:  csv | xlsx
+ * Streams a spreadsheet of the courses matched by the GET /api/courses filters
+ * (?q, ?instructor, ?from, ?to, ?includeArchived):
+ *  - courses:    one row per course with projected and actual financials
+ *  - sessions:   the flattened courseDatesTimes schedule
+ *  - attendance: session × instructor matrix (present / absent)
+ *  - rates:      instructor hourly rates with scheduled and attended hours (payroll:read)
+ * 403 when the plan does not include exports.
+ */
+router.get('/export/:file', verifyToken, requireFeature('exports'), async (req, res) => {
+  try {
+    const [name, format = 'csv'] = String(req.params.file).split('.');
+    const dataset = DATASETS[name];
+    if (!dataset || !FORMATS.includes(format)) {
+      return res.status(404).json({
+        error: `Unknown export. Use one of ${Object.keys(DATASETS).join(', ')} as ${FORMATS.join(' or ')}.`,
+      });
+    }
+
+    const { filter, asInstructor, empty, status, body } = await buildListFilter(req);
+    if (status) return res.status(status).json(body);
+    if (name === 'rates' && (asInstructor || !allowed(req, 'payroll:read'))) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    const match = empty ? { _id: null } : filter;
+
+    const [instructors, assigned] = await Promise.all([
+      empty ? [] : Instructor.find({ owner: match.owner }).select('name').lean(),
+      empty ? [] : Course.distinct('instructors', match),
+    ]);
+    const names = new Map(instructors.map((i) => [String(i._id), i.name]));
+    const ctx = {
+      names,
+      instructorIds: assigned.map(String).sort((a, b) => (names.get(a) || a).localeCompare(names.get(b) || b)),
+    };
+
+    const courses = Course.find(match).sort({ start_date: 1, title: 1 }).cursor();
+    await sendTable(res, {
+      format,
+      filename: `${name}-${todayIn(req.tenant.timezone || DEFAULT_TIMEZONE)}`,
+      sheet: dataset.sheet,
+      columns: dataset.columns(ctx),
+      rows: dataset.rows(courses, ctx),
+    });
+  } catch (err) {
+    // Headers are gone once streaming started: cut the download short instead
+    if (res.headersSent) return res.destroy(err);
+    if (err.name === 'CastError') return res.status(400).json({ err: err.message });
+    res.status(500).json({ err: err.message });
+  }
+});
+
 /**
  * Convenience:
  * GET /api/courses/instructors/:instructorId/courses
@@ -249,17 +447,21 @@ router.get('/instructors/:instructorId/courses', verifyToken, async (req, res) =
     if (!targetInst) {
       return res.json({ page: 1, limit: 0, total: 0, items: [] });
     }
+    if (!callerIsInstructor && !allowed(req, 'courses:read')) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
 
     const filter = {
-      owner: callerIsInstructor ? String(targetInst.owner) : String(req.user._id),
+      owner: callerIsInstructor ? String(targetInst.owner) : String(req.tenant.ownerId),
       $or: [
         { instructors: instructorId },
         { [`instructorRates.${instructorId}`]: { $exists: true } },
       ],
+      ...archivedFilter(req),
     };
 
     const items = await Course.find(filter)
-      .populate('owner', 'username email')
+      .populate('owner', 'name')
       .sort('-createdAt')
       .lean({ virtuals: true });
 
@@ -271,12 +473,12 @@ router.get('/instructors/:instructorId/courses', verifyToken, async (req, res) =
 
 /**
  * GET /api/courses/:id
- * (owner OR assigned instructor)
+ * (courses:read OR assigned instructor)
  */
 router.get('/:id', verifyToken, canViewCourse, async (req, res) => {
   try {
     const course = await Course.findById(req.params.id)
-      .populate('owner', 'username email')
+      .populate('owner', 'name')
       .lean({ virtuals: true });
 
     if (!course) return res.status(404).json({ error: 'Not found' });
@@ -286,14 +488,69 @@ router.get('/:id', verifyToken, canViewCourse, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/courses/:id/calendar.ics?token=
+ * iCalendar feed of the course sessions (cancelled sessions are kept as
+ * STATUS:CANCELLED so subscribed calendars drop them).
+ * Auth: an assigned instructor's calendar token (no header needed) OR Bearer
+ * as owner / assigned instructor.
+ */
+router.get('/:id/calendar.ics', bearerOrFeedToken, async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id)
+      .select('title description location owner instructors courseDatesTimes updatedAt')
+      .lean();
+    if (!course) return res.status(404).json({ error: 'Not found' });
+
+    let permitted;
+    if (req.query.token) {
+      permitted = await Instructor.exists({
+        _id: { $in: course.instructors || [] },
+        calendarTokenHash: hashToken(req.query.token),
+      });
+    } else {
+      permitted = allowed(req, 'courses:read', course) ||
+        courseIncludesInstructor(course, await resolveInstructorIdForUser(req.user._id));
+    }
+    if (!permitted) return res.status(403).json({ error: 'Forbidden' });
+
+    sendCalendar(res, `course-${course._id}.ics`, buildCalendar(course.title, [course]));
+  } catch (err) {
+    res.status(500).json({ err: err.message });
+  }
+});
+
 /**
  * POST /api/courses
- * (owner only)
+ * Body: course fields, or { templateId, start_date, end_date, ...overrides } to
+ * start from a course template (see /api/course-templates); sessions are
+ * generated from the dates and the template's days and times.
+ * 409 when an assigned instructor is already teaching at an overlapping time;
+ * send `_allowConflicts: true` to save anyway.
+ * 402 when the plan's active-course limit is reached.
+ * (courses:write)
  */
-router.post('/', verifyToken, async (req, res) => {
+router.post('/', verifyToken, requireWithinLimit('activeCourses'), async (req, res) => {
   try {
-    const payload = sanitizePayload(req.body);
-    if (req.user?._id) payload.owner = req.user._id;
+    if (!allowed(req, 'courses:write')) return res.status(403).json({ error: 'Forbidden' });
+
+    let body = req.body || {};
+    const template = body.templateId ? await CourseTemplate.findById(body.templateId).lean() : null;
+    if (body.templateId) {
+      if (!template || !allowed(req, 'courses:read', template)) {
+        return res.status(404).json({ error: 'Template not found' });
+      }
+      const { templateId, ...overrides } = body;
+      body = { ...blueprintOf(template), ...overrides };
+    }
+
+    const payload = sanitizePayload(body);
+    payload.owner = req.tenant.ownerId;
+
+    if (payload.timezone && !isValidTimeZone(payload.timezone)) {
+      return res.status(400).json({ err: 'timezone must be a valid IANA timezone.' });
+    }
+    payload.timezone = payload.timezone || await tenantTimezone(req.tenant.ownerId);
 
     if ((!Array.isArray(payload.courseDatesTimes) || payload.courseDatesTimes.length === 0) &&
         payload.start_date && payload.end_date &&
@@ -301,27 +558,90 @@ router.post('/', verifyToken, async (req, res) => {
       payload.courseDatesTimes = buildSessions(payload);
     }
 
+    if (await applyVenue(req, res, payload)) return;
+    if (await rejectConflicts(req, res, {
+      instructors: payload.instructors,
+      sessions: payload.courseDatesTimes,
+      timezone: payload.timezone,
+      venue: payload.venue,
+      room: payload.room,
+    })) return;
+
     const item = await Course.create(payload);
-    const populated = await item.populate('owner', 'username email');
+    await recordAudit(req, 'course.create', item, { meta: template ? { template: template._id } : undefined });
+    const populated = await item.populate('owner', 'name');
 
     res.status(201).json(populated.toJSON({ virtuals: true }));
   } catch (err) {
-    if (err.name === 'ValidationError') return res.status(400).json({ err: err.message });
+    if (err.name === 'ValidationError' || err.name === 'CastError') return res.status(400).json({ err: err.message });
+    res.status(500).json({ err: err.message });
+  }
+});
+
+/**
+ * POST /api/courses/import?dryRun=true&allowConflicts=true
+ * Body: CSV (Content-Type: text/csv) or JSON { csv }.
+ * Columns: title, description, start_date, end_date, cost; optional location,
+ * timezone, days ("mon;wed"), start_time, end_time, materials_cost,
+ * instructors (emails, ";"-separated) and rates (same order).
+ * Every row is validated and reported; the valid ones are created in one
+ * transaction. ?dryRun=true only previews. Instructor double-bookings are row
+ * errors unless allowConflicts=true. 402 when the plan's course limit would be
+ * exceeded. (courses:write)
+ */
+router.post('/import', verifyToken, csvBody, async (req, res) => {
+  try {
+    if (!allowed(req, 'courses:write')) return res.status(403).json({ error: 'Forbidden' });
+
+    const csv = readCsv(req);
+    if (!csv) return res.status(400).json({ err: 'Send the CSV as the request body (Content-Type: text/csv).' });
+    const isTrue = (v) => v === 'true' || v === '1';
+    const dryRun = isTrue(req.query.dryRun);
+
+    const plan = await planCourseImport(req.tenant.ownerId, csv, {
+      timezone: await tenantTimezone(req.tenant.ownerId),
+      allowConflicts: isTrue(req.query.allowConflicts),
+    });
+
+    if (!dryRun) {
+      // Only courses that have not ended count toward the plan
+      const today = tenantToday(req);
+      const active = plan.rows.filter((r) => !r.errors.length && new Date(r.data.end_date) >= today).length;
+      const exceeded = active && await limitExceeded(req.tenant.ownerId, 'activeCourses', active);
+      if (exceeded) return res.status(402).json(exceeded);
+      await applyImport('courses', plan);
+      for (const r of plan.rows.filter((row) => row.id)) {
+        await recordAudit(req, 'course.import', { _id: r.id, ...r.data }, { type: 'Course', meta: { row: r.row } });
+      }
+    }
+
+    res.status(!dryRun && !plan.summary.valid ? 422 : 200).json(importResult(plan, { dryRun }));
+  } catch (err) {
+    if (err.code === 'IMPORT_INVALID') return res.status(400).json({ err: err.message });
+    if (err.code === 'IMPORT_UNSUPPORTED') return res.status(503).json({ err: err.message });
     res.status(500).json({ err: err.message });
   }
 });
 
 /**
  * PUT /api/courses/:id
- * (owner only)
+ * 402 when moving an ended course's end_date forward would exceed the plan's
+ * active-course limit.
+ * (courses:write)
  */
 router.put('/:id', verifyToken, async (req, res) => {
   try {
     const existing = await Course.findById(req.params.id);
     if (!existing) return res.status(404).json({ error: 'Not found' });
-    if (!isOwner(existing, req.user._id)) return res.status(403).json({ error: 'Forbidden' });
+    if (!allowed(req, 'courses:write', existing)) return res.status(403).json({ error: 'Forbidden' });
 
     const payload = sanitizePayload(req.body);
+    if (payload.timezone && !isValidTimeZone(payload.timezone)) {
+      return res.status(400).json({ err: 'timezone must be a valid IANA timezone.' });
+    }
+    const exceeded = await reactivationExceeded(req, existing, payload);
+    if (exceeded) return res.status(402).json(exceeded);
+    const timezone = payload.timezone || existing.timezone;
 
     const shouldRegen =
       payload._regenerateSessions === true ||
@@ -330,15 +650,37 @@ router.put('/:id', verifyToken, async (req, res) => {
         Array.isArray(payload.daysOfWeek) && payload.daysOfWeek.length > 0);
 
     if (shouldRegen) {
-      payload.courseDatesTimes = buildSessions(payload);
+      payload.courseDatesTimes = generateSessions({
+        ...payload,
+        timezone,
+        sessionExceptions: existing.sessionExceptions,
+      });
+      if (!payload.attendance) {
+        payload.attendance = normalizeAttendanceKeys(existing.courseDatesTimes, existing.attendance);
+      }
+    } else if (payload.courseDatesTimes || payload.timezone) {
+      // Hand-made calendar or new timezone: refresh the absolute instants
+      payload.courseDatesTimes = withInstants(payload.courseDatesTimes ?? existing.courseDatesTimes, timezone);
     }
 
+    if (rejectCapacity(res, payload, existing)) return;
+    if (await applyVenue(req, res, payload, existing)) return;
+    if (await rejectConflicts(req, res, {
+      courseId: existing._id,
+      instructors: payload.instructors ?? existing.instructors,
+      sessions: payload.courseDatesTimes ?? existing.courseDatesTimes,
+      timezone,
+      venue: 'venue' in payload ? payload.venue : existing.venue,
+      room: 'venue' in payload ? payload.room : existing.room,
+    })) return;
+
     const updated = await Course.findByIdAndUpdate(req.params.id, payload, {
       new: true,
       runValidators: true,
-    }).populate('owner', 'username email');
+    }).populate('owner', 'name');
+    await recordAudit(req, 'course.update', updated, { before: snapshot(existing) });
 
-    res.json(updated.toJSON({ virtuals: true }));
+    res.json((await fillFreedSeats(req, payload, updated)).toJSON({ virtuals: true }));
   } catch (err) {
     if (err.name === 'ValidationError') return res.status(400).json({ err: err.message });
     res.status(500).json({ err: err.message });
@@ -347,15 +689,22 @@ router.put('/:id', verifyToken, async (req, res) => {
 
 /**
  * PATCH /api/courses/:id
- * (owner only)
+ * 402 as for PUT.
+ * (courses:write)
  */
 router.patch('/:id', verifyToken, async (req, res) => {
   try {
     const current = await Course.findById(req.params.id);
     if (!current) return res.status(404).json({ error: 'Not found' });
-    if (!isOwner(current, req.user._id)) return res.status(403).json({ error: 'Forbidden' });
+    if (!allowed(req, 'courses:write', current)) return res.status(403).json({ error: 'Forbidden' });
 
     const payload = sanitizePayload(req.body);
+    if (payload.timezone && !isValidTimeZone(payload.timezone)) {
+      return res.status(400).json({ err: 'timezone must be a valid IANA timezone.' });
+    }
+    const exceeded = await reactivationExceeded(req, current, payload);
+    if (exceeded) return res.status(402).json(exceeded);
+    const timezone = payload.timezone || current.timezone;
 
     const wantsRegen = payload._regenerateSessions === true;
     const touchedRange =
@@ -363,48 +712,196 @@ router.patch('/:id', verifyToken, async (req, res) => {
       payload.range_start_time || payload.range_end_time;
 
     if (wantsRegen || touchedRange) {
-      payload.courseDatesTimes = buildSessions({ ...current.toObject(), ...payload });
+      payload.courseDatesTimes = generateSessions({ ...current.toObject(), ...payload, timezone });
+      if (!payload.attendance) {
+        payload.attendance = normalizeAttendanceKeys(current.courseDatesTimes, current.attendance);
+      }
+    } else if (payload.courseDatesTimes || payload.timezone) {
+      // Hand-made calendar or new timezone: refresh the absolute instants
+      payload.courseDatesTimes = withInstants(payload.courseDatesTimes ?? current.courseDatesTimes, timezone);
     }
 
+    if (rejectCapacity(res, payload, current)) return;
+    if (await applyVenue(req, res, payload, current)) return;
+    if ((payload.instructors || payload.courseDatesTimes || payload.venue) && await rejectConflicts(req, res, {
+      courseId: current._id,
+      instructors: payload.instructors ?? current.instructors,
+      sessions: payload.courseDatesTimes ?? current.courseDatesTimes,
+      timezone,
+      venue: 'venue' in payload ? payload.venue : current.venue,
+      room: 'venue' in payload ? payload.room : current.room,
+    })) return;
+
     const updated = await Course.findByIdAndUpdate(
       req.params.id,
       { $set: payload },
       { new: true, runValidators: true }
-    ).populate('owner', 'username email');
+    ).populate('owner', 'name');
+    await recordAudit(req, 'course.update', updated, { before: snapshot(current) });
 
-    res.json(updated.toJSON({ virtuals: true }));
+    res.json((await fillFreedSeats(req, payload, updated)).toJSON({ virtuals: true }));
   } catch (err) {
     if (err.name === 'ValidationError') return res.status(400).json({ err: err.message });
     res.status(500).json({ err: err.message });
   }
 });
 
+// Archive (archived = true) or restore the course; resolves to the updated document
+async function setArchived(req, course, archived) {
+  const updated = await Course.findByIdAndUpdate(
+    course._id,
+    archived
+      ? { $set: { archivedAt: new Date(), archivedBy: req.user._id } }
+      : { $set: { archivedAt: null }, $unset: { archivedBy: 1 } },
+    { new: true }
+  ).populate('owner', 'name');
+  await recordAudit(req, archived ? 'course.archive' : 'course.restore', updated, { before: snapshot(course) });
+  return updated;
+}
+
 /**
  * DELETE /api/courses/:id
- * (owner only)
+ * Soft delete: archives the course (like POST /:id/archive).
+ * ?permanent=true deletes an archived course for good; 409 while enrollments,
+ * invoices, student attendance, certificates or payroll statements still
+ * reference it.
+ * (courses:delete)
  */
 router.delete('/:id', verifyToken, async (req, res) => {
   try {
     const current = await Course.findById(req.params.id);
     if (!current) return res.status(404).json({ error: 'Not found' });
-    if (!isOwner(current, req.user._id)) return res.status(403).json({ error: 'Forbidden' });
+    if (!allowed(req, 'courses:delete', current)) return res.status(403).json({ error: 'Forbidden' });
+
+    if (req.query.permanent !== 'true') {
+      if (!current.archivedAt) await setArchived(req, current, true);
+      return res.status(204).send();
+    }
+
+    if (!current.archivedAt) {
+      return res.status(409).json({ error: 'Archive the course before deleting it permanently' });
+    }
+    const references = await courseReferences(current);
+    if (Object.keys(references).length) {
+      return res.status(409).json({ error: 'Course is still referenced by other records', references });
+    }
 
     await Course.findByIdAndDelete(req.params.id);
+    await recordAudit(req, 'course.purge', current, { before: snapshot(current), after: null });
     res.status(204).send();
   } catch (err) {
     res.status(500).json({ err: err.message });
   }
 });
 
+/**
+ * POST /api/courses/:id/archive
+ * Hides the course from lists, plan usage and scheduling checks; its sessions,
+ * attendance, invoices and payroll history stay. (courses:delete)
+ */
+router.post('/:id/archive', verifyToken, async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id);
+    if (!course) return res.status(404).json({ error: 'Not found' });
+    if (!allowed(req, 'courses:delete', course)) return res.status(403).json({ error: 'Forbidden' });
+    if (course.archivedAt) return res.status(409).json({ error: 'Course is already archived' });
+
+    const updated = await setArchived(req, course, true);
+    res.json(updated.toJSON({ virtuals: true }));
+  } catch (err) {
+    res.status(500).json({ err: err.message });
+  }
+});
+
+/**
+ * POST /api/courses/:id/restore
+ * Brings an archived course back. 402 when a course that has not ended would
+ * exceed the plan's active-course limit. (courses:delete)
+ */
+router.post('/:id/restore', verifyToken, async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id);
+    if (!course) return res.status(404).json({ error: 'Not found' });
+    if (!allowed(req, 'courses:delete', course)) return res.status(403).json({ error: 'Forbidden' });
+    if (!course.archivedAt) return res.status(409).json({ error: 'Course is not archived' });
+
+    if (course.end_date >= tenantToday(req)) {
+      const exceeded = await limitExceeded(course.owner, 'activeCourses');
+      if (exceeded) return res.status(402).json(exceeded);
+    }
+
+    const updated = await setArchived(req, course, false);
+    res.json(updated.toJSON({ virtuals: true }));
+  } catch (err) {
+    res.status(500).json({ err: err.message });
+  }
+});
+
+/**
+ * POST /api/courses/:id/clone
+ * Body: { start_date, end_date, title? }
+ * Next run of the course: a new course with the same title, description,
+ * location, timezone, days and times, instructors, rates and costs over the
+ * given dates, with sessions regenerated. Attendance, enrollments, session
+ * exceptions and invoices stay with the original.
+ * 409 on instructor double-bookings unless `_allowConflicts: true`;
+ * 402 when the plan's active-course limit is reached.
+ * (courses:write)
+ */
+router.post('/:id/clone', verifyToken, requireWithinLimit('activeCourses'), async (req, res) => {
+  try {
+    const source = await Course.findById(req.params.id);
+    if (!source) return res.status(404).json({ error: 'Not found' });
+    if (!allowed(req, 'courses:write', source)) return res.status(403).json({ error: 'Forbidden' });
+
+    const { start_date, end_date, title } = req.body || {};
+    const timezone = source.timezone || await tenantTimezone(source.owner);
+    const startKey = toDateKey(start_date, timezone);
+    const endKey = toDateKey(end_date, timezone);
+    if (!startKey || !endKey) {
+      return res.status(400).json({ err: 'start_date and end_date are required (yyyy-mm-dd).' });
+    }
+    if (startKey > endKey) return res.status(400).json({ err: 'end_date must be on or after start_date.' });
+
+    const payload = {
+      ...blueprintOf(source),
+      ...(title ? { title: String(title) } : {}),
+      timezone,
+      start_date: startKey,
+      end_date: endKey,
+      owner: source.owner,
+    };
+    payload.courseDatesTimes = buildSessions(payload);
+
+    if (await applyVenue(req, res, payload)) return;
+    if (await rejectConflicts(req, res, {
+      instructors: payload.instructors,
+      sessions: payload.courseDatesTimes,
+      timezone,
+      venue: payload.venue,
+      room: payload.room,
+    })) return;
+
+    const item = await Course.create(payload);
+    await recordAudit(req, 'course.clone', item, { meta: { source: source._id } });
+    const populated = await item.populate('owner', 'name');
+
+    res.status(201).json(populated.toJSON({ virtuals: true }));
+  } catch (err) {
+    if (err.name === 'ValidationError') return res.status(400).json({ err: err.message });
+    res.status(500).json({ err: err.message });
+  }
+});
+
 /**
  * POST /api/courses/:id/regenerate-sessions
- * (owner only)
+ * (courses:write)
  */
 router.post('/:id/regenerate-sessions', verifyToken, async (req, res) => {
   try {
     const course = await Course.findById(req.params.id);
     if (!course) return res.status(404).json({ error: 'Not found' });
-    if (!isOwner(course, req.user._id)) return res.status(403).json({ error: 'Forbidden' });
+    if (!allowed(req, 'courses:write', course)) return res.status(403).json({ error: 'Forbidden' });
 
     const basis = {
       start_date: req.body.start_date ?? course.start_date,
@@ -412,12 +909,308 @@ router.post('/:id/regenerate-sessions', verifyToken, async (req, res) => {
       daysOfWeek: req.body.daysOfWeek ?? course.daysOfWeek,
       range_start_time: req.body.range_start_time ?? course.range_start_time,
       range_end_time: req.body.range_end_time ?? course.range_end_time,
+      sessionExceptions: course.sessionExceptions,
+      timezone: course.timezone,
     };
 
-    course.courseDatesTimes = buildSessions(basis);
+    const sessions = generateSessions(basis);
+    if (await rejectConflicts(req, res, {
+      courseId: course._id,
+      instructors: course.instructors,
+      venue: course.venue,
+      room: course.room,
+      sessions,
+      timezone: course.timezone,
+    })) return;
+
+    const previous = snapshot(course);
+    course.attendance = normalizeAttendanceKeys(course.courseDatesTimes, course.attendance);
+    course.courseDatesTimes = sessions;
     await course.save();
+    await recordAudit(req, 'course.sessions.regenerate', course, { before: previous });
 
-    const populated = await course.populate('owner', 'username email');
+    const populated = await course.populate('owner', 'name');
+    res.json(populated.toJSON({ virtuals: true }));
+  } catch (err) {
+    res.status(500).json({ err: err.message });
+  }
+});
+
+/* ------------------- Session editing (calendar exceptions) ------------------- */
+
+const YMD_RE = /^\d{4}-\d{2}-\d{2}$/;
+const HHMM_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Validates a session edit body; returns an error message or null
+function invalidSessionInput({ date, start_time, end_time }) {
+  if (!date || !YMD_RE.test(String(date)) || Number.isNaN(new Date(date).getTime())) {
+    return 'date must be yyyy-mm-dd';
+  }
+  if (!HHMM_RE.test(String(start_time || ''))) return 'start_time must be HH:mm';
+  if (!HHMM_RE.test(String(end_time || ''))) return 'end_time must be HH:mm';
+  return null;
+}
+
+// True when another live session (not `exceptIndex`) already sits on `date`
+function hasClash(sessions, date, exceptIndex = -1) {
+  return (sessions || []).some((s, i) => i !== exceptIndex && !isCancelled(s) && ymd(s.date) === date);
+}
+
+// Editable plain copies of the calendar
+function plainSessions(course) {
+  return (course.courseDatesTimes || []).map((s) => (s.toObject ? s.toObject() : { ...s }));
+}
+
+// The sessionExceptions entry for a regular session (keyed by its original date)
+function exceptionForSession(course, session) {
+  const originalDate = ymd(session.originalDate || session.date);
+  return course.sessionExceptions.find((e) => e.action !== 'add' && e.date === originalDate) || null;
+}
+
+function pushException(course, data) {
+  course.sessionExceptions.push(data);
+  return course.sessionExceptions[course.sessionExceptions.length - 1];
+}
+
+// Rename (or drop, when `to` is null) one date key across an attendance map
+function moveAttendanceKey(attendance, from, to) {
+  const out = {};
+  for (const [id, keys] of Object.entries(attendance)) {
+    out[id] = keys.flatMap((k) => (k !== from ? [k] : to ? [to] : []));
+  }
+  return out;
+}
+
+/**
+ * POST /api/courses/:id/sessions
+ * Body: { date: 'yyyy-mm-dd', start_time?, end_time?, reason? }
+ * Adds a one-off makeup session (times default to the course range).
+ * (courses:write)
+ */
+router.post('/:id/sessions', verifyToken, async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id);
+    if (!course) return res.status(404).json({ error: 'Not found' });
+    if (!allowed(req, 'courses:write', course)) return res.status(403).json({ error: 'Forbidden' });
+
+    const { date, reason } = req.body || {};
+    const start_time = req.body?.start_time || course.range_start_time;
+    const end_time = req.body?.end_time || course.range_end_time;
+    const invalid = invalidSessionInput({ date, start_time, end_time });
+    if (invalid) return res.status(400).json({ err: invalid });
+    if (hasClash(course.courseDatesTimes, date)) {
+      return res.status(409).json({ error: 'Another session is already scheduled on that date' });
+    }
+
+    if (await rejectConflicts(req, res, {
+      courseId: course._id,
+      instructors: course.instructors,
+      venue: course.venue,
+      room: course.room,
+      sessions: [{ date: new Date(date), start_time, end_time }],
+      timezone: course.timezone,
+    })) return;
+
+    const previous = snapshot(course);
+    const sessions = plainSessions(course);
+    course.attendance = normalizeAttendanceKeys(sessions, course.attendance);
+
+    const exc = pushException(course, {
+      action: 'add', date, start_time, end_time, reason, createdBy: req.user._id,
+    });
+    sessions.push({ date: new Date(date), start_time, end_time, kind: 'makeup', exception: exc._id, reason });
+    course.courseDatesTimes = sortSessions(sessions);
+    await course.save();
+    await recordAudit(req, 'course.session.add', course, { before: previous, meta: { date, reason } });
+    notifyScheduleChange(course, { change: 'added', date, start_time, end_time, reason });
+
+    const populated = await course.populate('owner', 'name');
+    res.status(201).json(populated.toJSON({ virtuals: true }));
+  } catch (err) {
+    if (err.name === 'ValidationError') return res.status(400).json({ err: err.message });
+    res.status(500).json({ err: err.message });
+  }
+});
+
+/**
+ * POST /api/courses/:id/sessions/:sessionKey/reschedule
+ * Body: { date: 'yyyy-mm-dd', start_time?, end_time?, reason? }
+ * Moves one session. Instructor and student attendance recorded for the old
+ * date follow the session to its new date.
+ * (courses:write)
+ */
+router.post('/:id/sessions/:sessionKey/reschedule', verifyToken, async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id);
+    if (!course) return res.status(404).json({ error: 'Not found' });
+    if (!allowed(req, 'courses:write', course)) return res.status(403).json({ error: 'Forbidden' });
+
+    const found = findSession(course, req.params.sessionKey);
+    if (!found) return res.status(404).json({ error: 'Session not found' });
+    if (isCancelled(found.session)) {
+      return res.status(409).json({ error: 'Restore the session before rescheduling it' });
+    }
+
+    const { date, reason } = req.body || {};
+    const start_time = req.body?.start_time || found.session.start_time;
+    const end_time = req.body?.end_time || found.session.end_time;
+    const invalid = invalidSessionInput({ date, start_time, end_time });
+    if (invalid) return res.status(400).json({ err: invalid });
+    if (hasClash(course.courseDatesTimes, date, found.index)) {
+      return res.status(409).json({ error: 'Another session is already scheduled on that date' });
+    }
+
+    if (await rejectConflicts(req, res, {
+      courseId: course._id,
+      instructors: course.instructors,
+      venue: course.venue,
+      room: course.room,
+      sessions: [{ date: new Date(date), start_time, end_time }],
+      timezone: course.timezone,
+    })) return;
+
+    const previous = snapshot(course);
+    const sessions = plainSessions(course);
+    const before = normalizeAttendanceKeys(sessions, course.attendance);
+    const moved = { ...sessions[found.index], date: new Date(date), start_time, end_time, reason };
+
+    if (found.session.kind === 'makeup') {
+      const exc = course.sessionExceptions.id(found.session.exception);
+      if (exc) Object.assign(exc, { date, start_time, end_time, reason });
+    } else {
+      const exc = exceptionForSession(course, found.session) || pushException(course, {
+        action: 'reschedule',
+        date: ymd(found.session.originalDate || found.session.date),
+        createdBy: req.user._id,
+      });
+      Object.assign(exc, { newDate: date, start_time, end_time, reason });
+      moved.originalDate = found.session.originalDate || found.session.date;
+      moved.exception = exc._id;
+    }
+    sessions[found.index] = moved;
+
+    const after = moveAttendanceKey(before, found.key, date);
+    const locked = await findLockedAttendanceChanges(course, before, after, sessions);
+    if (locked.length) {
+      return res.status(409).json({ error: 'Attendance is locked by a paid payroll statement', locked });
+    }
+
+    course.courseDatesTimes = sortSessions(sessions);
+    course.attendance = after;
+    await course.save();
+    if (found.key !== date) {
+      await StudentAttendance.updateMany(
+        { course: course._id, session: found.key },
+        { $set: { session: date } }
+      );
+    }
+    await recordAudit(req, 'course.session.reschedule', course, {
+      before: previous,
+      meta: { session: found.key, newDate: date, reason },
+    });
+    notifyScheduleChange(course, {
+      change: 'rescheduled', date: ymd(found.session.date), newDate: date, start_time, end_time, reason,
+    });
+
+    const populated = await course.populate('owner', 'name');
+    res.json(populated.toJSON({ virtuals: true }));
+  } catch (err) {
+    if (err.name === 'ValidationError') return res.status(400).json({ err: err.message });
+    res.status(500).json({ err: err.message });
+  }
+});
+
+/**
+ * POST /api/courses/:id/sessions/:sessionKey/cancel
+ * Body: { reason? }
+ * Regular sessions stay in the calendar with status 'cancelled' (and drop out of
+ * totals); makeup sessions are removed.
+ * (courses:write)
+ */
+router.post('/:id/sessions/:sessionKey/cancel', verifyToken, async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id);
+    if (!course) return res.status(404).json({ error: 'Not found' });
+    if (!allowed(req, 'courses:write', course)) return res.status(403).json({ error: 'Forbidden' });
+
+    const found = findSession(course, req.params.sessionKey);
+    if (!found) return res.status(404).json({ error: 'Session not found' });
+    if (isCancelled(found.session)) return res.status(409).json({ error: 'Session is already cancelled' });
+
+    const reason = req.body?.reason;
+    const previous = snapshot(course);
+    const sessions = plainSessions(course);
+    const before = normalizeAttendanceKeys(sessions, course.attendance);
+
+    if (found.session.kind === 'makeup') {
+      const after = moveAttendanceKey(before, found.key, null);
+      const remaining = sessions.filter((_, i) => i !== found.index);
+      const locked = await findLockedAttendanceChanges(course, before, after, remaining);
+      if (locked.length) {
+        return res.status(409).json({ error: 'Attendance is locked by a paid payroll statement', locked });
+      }
+      course.sessionExceptions.pull(found.session.exception);
+      course.courseDatesTimes = remaining;
+      course.attendance = after;
+    } else {
+      const exc = exceptionForSession(course, found.session) || pushException(course, {
+        action: 'cancel',
+        date: ymd(found.session.originalDate || found.session.date),
+        createdBy: req.user._id,
+      });
+      exc.action = 'cancel';
+      if (reason !== undefined) exc.reason = reason;
+      sessions[found.index] = { ...sessions[found.index], status: 'cancelled', exception: exc._id, reason: exc.reason };
+      course.courseDatesTimes = sessions;
+      course.attendance = before;
+    }
+    await course.save();
+    await recordAudit(req, 'course.session.cancel', course, { before: previous, meta: { session: found.key, reason } });
+    notifyScheduleChange(course, { change: 'cancelled', date: ymd(found.session.date), reason });
+
+    const populated = await course.populate('owner', 'name');
+    res.json(populated.toJSON({ virtuals: true }));
+  } catch (err) {
+    if (err.name === 'ValidationError') return res.status(400).json({ err: err.message });
+    res.status(500).json({ err: err.message });
+  }
+});
+
+/**
+ * POST /api/courses/:id/sessions/:sessionKey/restore
+ * Un-cancels a regular session (a previous reschedule is kept).
+ * (courses:write)
+ */
+router.post('/:id/sessions/:sessionKey/restore', verifyToken, async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id);
+    if (!course) return res.status(404).json({ error: 'Not found' });
+    if (!allowed(req, 'courses:write', course)) return res.status(403).json({ error: 'Forbidden' });
+
+    const found = findSession(course, req.params.sessionKey);
+    if (!found) return res.status(404).json({ error: 'Session not found' });
+    if (!isCancelled(found.session)) return res.status(409).json({ error: 'Session is not cancelled' });
+    if (hasClash(course.courseDatesTimes, found.key, found.index)) {
+      return res.status(409).json({ error: 'Another session is already scheduled on that date' });
+    }
+
+    const previous = snapshot(course);
+    const sessions = plainSessions(course);
+    const restored = { ...sessions[found.index], status: 'scheduled' };
+    const exc = exceptionForSession(course, found.session);
+    if (exc && exc.newDate) {
+      exc.action = 'reschedule';
+    } else {
+      if (exc) course.sessionExceptions.pull(exc._id);
+      delete restored.exception;
+      delete restored.reason;
+    }
+    sessions[found.index] = restored;
+    course.courseDatesTimes = sessions;
+    await course.save();
+    await recordAudit(req, 'course.session.restore', course, { before: previous, meta: { session: found.key } });
+
+    const populated = await course.populate('owner', 'name');
     res.json(populated.toJSON({ virtuals: true }));
   } catch (err) {
     res.status(500).json({ err: err.message });
@@ -429,18 +1222,15 @@ router.post('/:id/regenerate-sessions', verifyToken, async (req, res) => {
 /**
  * GET /api/courses/:id/attendance
  * Returns { [instructorId]: string[] } of session keys.
- * (owner OR assigned instructor)
+ * (attendance:read OR assigned instructor)
  */
 router.get('/:id/attendance', verifyToken, async (req, res) => {
   try {
     const course = await Course.findById(req.params.id).lean();
     if (!course) return res.status(404).json({ error: 'Not found' });
 
-    if (!isOwner(course, req.user._id)) {
-      const myInstructorId = await resolveInstructorIdForUser(req.user._id);
-      if (!courseIncludesInstructor(course, myInstructorId)) {
-        return res.status(403).json({ error: 'Forbidden' });
-      }
+    if (!(await canTakeAttendance(req, course, 'attendance:read'))) {
+      return res.status(403).json({ error: 'Forbidden' });
     }
 
     // Ensure plain object of arrays
@@ -457,7 +1247,7 @@ router.get('/:id/attendance', verifyToken, async (req, res) => {
 
 /**
  * PUT /api/courses/:id/attendance
- * Owner: can set full map { [instructorId]: string[] }
+ * Staff with attendance:write: can set full map { [instructorId]: string[] }
  * Instructor: can only set their own list (body can be array OR { [myId]: string[] })
  */
 router.put('/:id/attendance', verifyToken, async (req, res) => {
@@ -465,18 +1255,18 @@ router.put('/:id/attendance', verifyToken, async (req, res) => {
     const course = await Course.findById(req.params.id);
     if (!course) return res.status(404).json({ error: 'Not found' });
 
-    // Build allowed session keys (by date and by index fallback)
+    // Build valid session keys (by date and by index fallback)
     const sessions = Array.isArray(course.courseDatesTimes) ? course.courseDatesTimes : [];
-    const byDate = sessions.map((s) => ymd(s?.date));
-    const byIdx  = sessions.map((_, i) => `idx-${i}`);
-    const allowed = new Set([...byDate, ...byIdx]);
+    const byDate = sessions.filter((s) => !isCancelled(s)).map((s) => ymd(s?.date));
+    const byIdx  = sessions.map((s, i) => (isCancelled(s) ? null : `idx-${i}`)).filter(Boolean);
+    const validKeys = new Set([...byDate, ...byIdx]);
 
     const sanitizeList = (arr) => {
       const out = [];
       const seen = new Set();
       (Array.isArray(arr) ? arr : []).forEach((x) => {
         const k = String(x || '');
-        if (!allowed.has(k)) return;
+        if (!validKeys.has(k)) return;
         if (seen.has(k)) return;
         seen.add(k);
         out.push(k);
@@ -484,19 +1274,31 @@ router.put('/:id/attendance', verifyToken, async (req, res) => {
       return out;
     };
 
-    if (isOwner(course, req.user._id)) {
-      // Owner can replace the whole map
+    // Sessions already paid out (locked payroll statements) cannot change
+    const before = Object.fromEntries(course.attendance || []);
+    const previous = snapshot(course);
+    const rejectLocked = async (after) => {
+      const locked = await findLockedAttendanceChanges(course, before, after);
+      if (!locked.length) return false;
+      res.status(409).json({ error: 'Attendance is locked by a paid payroll statement', locked });
+      return true;
+    };
+
+    if (allowed(req, 'attendance:write', course)) {
+      // Tenant staff can replace the whole map
       const incoming = req.body && typeof req.body === 'object' ? req.body : {};
       const next = {};
       for (const [insId, arr] of Object.entries(incoming)) {
         next[String(insId)] = sanitizeList(arr);
       }
+      if (await rejectLocked(next)) return;
       course.attendance = next;
       await course.save();
+      await recordAudit(req, 'course.attendance.update', course, { before: previous });
       return res.json(course.attendance || {});
     }
 
-    // Not owner: must be assigned instructor
+    // Otherwise: must be assigned instructor
     const myInstructorId = await resolveInstructorIdForUser(req.user._id);
     if (!courseIncludesInstructor(course, myInstructorId)) {
       return res.status(403).json({ error: 'Forbidden' });
@@ -509,11 +1311,13 @@ router.put('/:id/attendance', verifyToken, async (req, res) => {
     } else if (req.body && typeof req.body === 'object') {
       myList = sanitizeList(req.body[myInstructorId] || []);
     }
+    if (await rejectLocked({ ...before, [String(myInstructorId)]: myList })) return;
 
     const map = course.attendance || {};
     map[String(myInstructorId)] = myList;
     course.attendance = map;
     await course.save();
+    await recordAudit(req, 'course.attendance.update', course, { before: previous });
 
     return res.json({ [String(myInstructorId)]: myList });
   } catch (err) {
@@ -521,4 +1325,580 @@ router.put('/:id/attendance', verifyToken, async (req, res) => {
   }
 });
 
+/* ------------------- Student attendance (roll call) ------------------- */
+
+/**
+ * GET /api/courses/:id/sessions/:sessionKey/roll-call
+ * sessionKey: "yyyy-mm-dd" or "idx-N".
+ * Returns the session and every actively enrolled student with their mark (or null).
+ * (attendance:read OR assigned instructor)
+ */
+router.get('/:id/sessions/:sessionKey/roll-call', verifyToken, async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id)
+      .select('owner instructors courseDatesTimes timezone')
+      .lean();
+    if (!course) return res.status(404).json({ error: 'Not found' });
+    if (!(await canTakeAttendance(req, course, 'attendance:read'))) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    const found = findSession(course, req.params.sessionKey);
+    if (!found) return res.status(404).json({ error: 'Session not found' });
+
+    const [enrollments, marks] = await Promise.all([
+      Enrollment.find({ course_id: course._id, status: 'active' })
+        .populate('student_id', 'name email')
+        .lean(),
+      StudentAttendance.find({ course: course._id, session: found.key }).lean(),
+    ]);
+
+    const byStudent = new Map(marks.map((m) => [String(m.student), m]));
+    const students = enrollments
+      .filter((e) => e.student_id)
+      .map((e) => {
+        const mark = byStudent.get(String(e.student_id._id));
+        return {
+          studentId: String(e.student_id._id),
+          name: e.student_id.name,
+          email: e.student_id.email,
+          status: mark?.status || null,
+          note: mark?.note || '',
+        };
+      })
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    res.json({
+      session: { key: found.key, index: found.index, ...found.session },
+      students,
+    });
+  } catch (err) {
+    res.status(500).json({ err: err.message });
+  }
+});
+
+/**
+ * PUT /api/courses/:id/sessions/:sessionKey/roll-call
+ * Body: { [studentId]: status } or [{ studentId, status, note? }]
+ * status: present | absent | late | excused | null (clears the mark).
+ * Only the listed students are touched; others keep their marks.
+ * (attendance:write OR assigned instructor)
+ */
+router.put('/:id/sessions/:sessionKey/roll-call', verifyToken, async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id)
+      .select('owner title instructors courseDatesTimes timezone')
+      .lean();
+    if (!course) return res.status(404).json({ error: 'Not found' });
+    if (!(await canTakeAttendance(req, course))) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    const found = findSession(course, req.params.sessionKey);
+    if (!found) return res.status(404).json({ error: 'Session not found' });
+    if (isCancelled(found.session)) return res.status(409).json({ error: 'Session is cancelled' });
+
+    const entries = Array.isArray(req.body)
+      ? req.body.map((r) => ({ studentId: r?.studentId, status: r?.status ?? null, note: r?.note }))
+      : Object.entries(req.body || {}).map(([studentId, status]) => ({ studentId, status }));
+
+    const statuses = new Set(StudentAttendance.STATUSES);
+    const invalid = entries.filter((e) => !e.studentId || (e.status !== null && !statuses.has(e.status)));
+    if (invalid.length) {
+      return res.status(400).json({ err: 'Invalid roll-call entries', invalid });
+    }
+
+    // Marks are only accepted for actively enrolled students
+    const enrolled = new Set(
+      (await Enrollment.distinct('student_id', { course_id: course._id, status: 'active' })).map(String)
+    );
+    const notEnrolled = entries.filter((e) => !enrolled.has(String(e.studentId))).map((e) => e.studentId);
+    if (notEnrolled.length) {
+      return res.status(400).json({ err: 'Students are not enrolled in this course', students: notEnrolled });
+    }
+
+    const marksOf = async () => Object.fromEntries(
+      (await StudentAttendance.find({ course: course._id, session: found.key }).lean())
+        .map((m) => [String(m.student), { status: m.status, note: m.note || '' }])
+    );
+    const previous = await marksOf();
+
+    const ops = entries.map((e) => {
+      const filter = { course: course._id, session: found.key, student: e.studentId };
+      if (e.status === null) return { deleteOne: { filter } };
+      const set = { status: e.status, owner: course.owner, markedBy: req.user._id };
+      if (e.note !== undefined) set.note = String(e.note || '');
+      return { updateOne: { filter, update: { $set: set }, upsert: true } };
+    });
+    if (ops.length) await StudentAttendance.bulkWrite(ops);
+
+    const marks = await marksOf();
+    await recordAudit(req, 'course.roll-call.update', course, {
+      type: 'Course',
+      before: { marks: previous },
+      after: { marks },
+      meta: { session: found.key },
+    });
+    res.json(Object.fromEntries(Object.entries(marks).map(([id, m]) => [id, m.status])));
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ err: err.message });
+    res.status(500).json({ err: err.message });
+  }
+});
+
+/**
+ * GET /api/courses/:id/student-attendance
+ * Per-student totals and attendance percentage for actively enrolled students.
+ * percentage = (present + late) / (present + late + absent); excused and unmarked
+ * sessions are left out. `sessionsHeld` counts sessions dated today or earlier.
+ * (attendance:read OR assigned instructor)
+ */
+router.get('/:id/student-attendance', verifyToken, async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id)
+      .select('owner instructors courseDatesTimes timezone')
+      .lean();
+    if (!course) return res.status(404).json({ error: 'Not found' });
+    if (!(await canTakeAttendance(req, course, 'attendance:read'))) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    const today = todayIn(course.timezone);
+    const sessionKeys = new Set(
+      (course.courseDatesTimes || []).filter((s) => !isCancelled(s)).map((s) => ymd(s?.date))
+    );
+    const sessionsHeld = Array.from(sessionKeys).filter((k) => k <= today).length;
+
+    const [enrollments, marks] = await Promise.all([
+      Enrollment.find({ course_id: course._id, status: 'active' })
+        .populate('student_id', 'name email')
+        .lean(),
+      StudentAttendance.find({ course: course._id }).lean(),
+    ]);
+
+    const tallies = new Map();
+    for (const m of marks) {
+      if (!sessionKeys.has(m.session)) continue; // session was removed from the calendar
+      const t = tallies.get(String(m.student)) || { present: 0, absent: 0, late: 0, excused: 0 };
+      t[m.status] += 1;
+      tallies.set(String(m.student), t);
+    }
+
+    const students = enrollments
+      .filter((e) => e.student_id)
+      .map((e) => {
+        const t = tallies.get(String(e.student_id._id)) || { present: 0, absent: 0, late: 0, excused: 0 };
+        const attended = t.present + t.late;
+        const counted = attended + t.absent;
+        return {
+          studentId: String(e.student_id._id),
+          name: e.student_id.name,
+          email: e.student_id.email,
+          ...t,
+          unmarked: Math.max(0, sessionsHeld - (counted + t.excused)),
+          percentage: counted ? Math.round((attended / counted) * 1000) / 10 : null,
+        };
+      })
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    res.json({ totalSessions: sessionKeys.size, sessionsHeld, students });
+  } catch (err) {
+    res.status(500).json({ err: err.message });
+  }
+});
+
+/* --------------------- Certificate endpoints --------------------- */
+
+const CERTIFICATE_FIELDS = 'owner title start_date end_date timezone courseDatesTimes';
+
+// Course + issuing organization for the certificate routes; sends 404/403 itself
+async function loadCertificateCourse(req, res) {
+  const course = await Course.findById(req.params.id).select(CERTIFICATE_FIELDS).lean();
+  if (!course) {
+    res.status(404).json({ error: 'Not found' });
+    return null;
+  }
+  if (!allowed(req, 'courses:read', course)) {
+    res.status(403).json({ error: 'Forbidden' });
+    return null;
+  }
+  // Hydrated so organizations without a saved template get the defaults
+  const org = await Organization.findById(course.owner).select('name certificate');
+  return { course, org, template: org?.certificate?.toObject() || {} };
+}
+
+/**
+ * GET /api/courses/:id/certificates
+ * Eligibility of each enrolled student: attendance percentage against the
+ * organization's minAttendance, and the certificate code once issued.
+ * (courses:read)
+ */
+router.get('/:id/certificates', verifyToken, async (req, res) => {
+  try {
+    const ctx = await loadCertificateCourse(req, res);
+    if (!ctx) return;
+    const { course, template } = ctx;
+
+    const [students, issued] = await Promise.all([
+      courseEligibility(course, template.minAttendance),
+      Certificate.find({ course: course._id }).select('student code issuedAt').lean(),
+    ]);
+    const byStudent = new Map(issued.map((c) => [String(c.student), c]));
+
+    res.json({
+      ended: courseEnded(course),
+      minAttendance: template.minAttendance,
+      students: students.map(({ student, percentage, eligible }) => ({
+        studentId: String(student._id),
+        name: student.name,
+        percentage,
+        eligible,
+        certificate: byStudent.has(String(student._id))
+          ? { code: byStudent.get(String(student._id)).code, issuedAt: byStudent.get(String(student._id)).issuedAt }
+          : null,
+      })),
+    });
+  } catch (err) {
+    res.status(500).json({ err: err.message });
+  }
+});
+
+/**
+ * GET /api/courses/:id/certificates.zip
+ * One PDF per eligible student (issuing missing certificates), plus
+ * skipped.csv listing students below the attendance threshold.
+ * 409 until the course has ended. (courses:read)
+ */
+router.get('/:id/certificates.zip', verifyToken, async (req, res) => {
+  try {
+    const ctx = await loadCertificateCourse(req, res);
+    if (!ctx) return;
+    const { course, org, template } = ctx;
+    if (!courseEnded(course)) return res.status(409).json({ error: 'Course has not ended yet' });
+
+    const students = await courseEligibility(course, template.minAttendance);
+    const eligible = students.filter((s) => s.eligible);
+    if (!eligible.length) {
+      return res.status(409).json({ error: 'No student meets the attendance threshold', minAttendance: template.minAttendance });
+    }
+
+    const certs = [];
+    for (const { student, percentage } of eligible) {
+      certs.push(await issueCertificate({ course, student, org, percentage, issuedBy: req.user._id }));
+    }
+
+    const slug = (v) => String(v || '').replace(/[^\w.-]+/g, '_').slice(0, 60);
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="certificates-${slug(course.title)}.zip"`);
+
+    const zip = archiver('zip');
+    zip.on('error', (err) => res.destroy(err));
+    zip.pipe(res);
+    for (const cert of certs) {
+      zip.append(renderCertificate(cert, template, { verifyLink: verifyUrl(cert.code) }), {
+        name: `${slug(cert.studentName)}-${cert.code}.pdf`,
+      });
+    }
+    const skipped = students.filter((s) => !s.eligible);
+    if (skipped.length) {
+      const rows = skipped.map((s) => `"${s.student.name.replace(/"/g, '""')}",${s.percentage ?? ''}`);
+      zip.append(['student,attendance_percentage', ...rows].join('\r\n'), { name: 'skipped.csv' });
+    }
+    await zip.finalize();
+  } catch (err) {
+    if (res.headersSent) return res.destroy(err);
+    res.status(500).json({ err: err.message });
+  }
+});
+
+/**
+ * GET /api/courses/:id/certificates/:studentId.pdf
+ * The student's certificate, issued on first download. 409 until the course
+ * has ended or when the student is below the attendance threshold. (courses:read)
+ */
+router.get('/:id/certificates/:file', verifyToken, async (req, res) => {
+  try {
+    const [studentId, ext] = String(req.params.file).split('.');
+    if (ext !== 'pdf') return res.status(404).json({ error: 'Not found' });
+
+    const ctx = await loadCertificateCourse(req, res);
+    if (!ctx) return;
+    const { course, org, template } = ctx;
+    if (!courseEnded(course)) return res.status(409).json({ error: 'Course has not ended yet' });
+
+    const students = await courseEligibility(course, template.minAttendance);
+    const entry = students.find((s) => String(s.student._id) === studentId);
+    if (!entry) return res.status(404).json({ error: 'Student is not enrolled in this course' });
+    if (!entry.eligible) {
+      return res.status(409).json({
+        error: 'Student has not met the attendance threshold',
+        percentage: entry.percentage,
+        minAttendance: template.minAttendance,
+      });
+    }
+
+    const cert = await issueCertificate({
+      course,
+      student: entry.student,
+      org,
+      percentage: entry.percentage,
+      issuedBy: req.user._id,
+    });
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="certificate-${cert.code}.pdf"`);
+    renderCertificate(cert, template, { verifyLink: verifyUrl(cert.code) }).pipe(res);
+  } catch (err) {
+    res.status(500).json({ err: err.message });
+  }
+});
+
+/* ---------------------- Enrollment endpoints ---------------------- */
+
+/**
+ * GET /api/courses/:id/enrollments?status=active|waitlisted|withdrawn|all
+ * Lists enrollments with student contact details (default: active only).
+ * (courses:read OR assigned instructor)
+ */
+router.get('/:id/enrollments', verifyToken, canViewCourse, async (req, res) => {
+  try {
+    const status = String(req.query.status || 'active');
+    const filter = { course_id: req.params.id };
+    if (status !== 'all') filter.status = status;
+
+    const items = await Enrollment.find(filter)
+      .populate('student_id', 'name email tel1 tel2')
+      .sort({ enrolled_at: 1 })
+      .lean();
+
+    res.json(items);
+  } catch (err) {
+    res.status(500).json({ err: err.message });
+  }
+});
+
+// Loads the course for an enrollment change; sends 404/403 and resolves to null otherwise
+async function loadEnrollmentCourse(req, res) {
+  const course = await Course.findById(req.params.id).select(ENROLLMENT_COURSE_FIELDS).lean();
+  if (!course) {
+    res.status(404).json({ error: 'Not found' });
+    return null;
+  }
+  if (!allowed(req, 'courses:write', course)) {
+    res.status(403).json({ error: 'Forbidden' });
+    return null;
+  }
+  return course;
+}
+
+// POST /:id/enrollments and POST /:id/waitlist: enroll, or waitlist when full and `waitlist` is set
+async function enrollStudent(req, res, { waitlist }) {
+  const course = await loadEnrollmentCourse(req, res);
+  if (!course) return;
+  if (course.archivedAt) return res.status(409).json({ error: 'Course is archived' });
+
+  const studentId = req.body?.studentId ?? req.body?.student_id;
+  if (!studentId) return res.status(400).json({ err: 'studentId is required' });
+
+  const student = await Student.findById(studentId).select('owner').lean();
+  if (!student || String(student.owner) !== String(course.owner)) {
+    return res.status(404).json({ error: 'Student not found' });
+  }
+
+  let result;
+  try {
+    result = await enroll(course, student._id, { waitlist });
+  } catch (err) {
+    if (err.code !== 'COURSE_FULL') throw err;
+    return res.status(409).json({
+      error: 'Course is full',
+      capacity: err.capacity,
+      hint: 'POST to /waitlist instead to put the student on the waitlist.',
+    });
+  }
+  const { enrollment, status, previous, position, promoted } = result;
+  await auditPromotions(req, course, promoted);
+  if (previous !== status) {
+    await auditEnrollment(req, status === 'active' ? 'course.enrollment.add' : 'course.waitlist.add', course, student._id, previous, status);
+  }
+  await enrollment.populate('student_id', 'name email tel1 tel2');
+
+  const { students } = await Course.findById(course._id).select('students').lean();
+  if (status === 'waitlisted') return res.status(202).json({ enrollment, position, students });
+  res.status(201).json({ enrollment, students });
+}
+
+/**
+ * POST /api/courses/:id/enrollments
+ * Body: { studentId }
+ * Enrolls a student (re-activates a previous withdrawal or takes them off the
+ * waitlist) when a seat is free. Seats are the lower of the course's
+ * `capacity` and its room's, taken atomically. 409 when the course is archived
+ * or full.
+ * (courses:write)
+ */
+router.post('/:id/enrollments', verifyToken, async (req, res) => {
+  try {
+    await enrollStudent(req, res, { waitlist: false });
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ err: err.message });
+    res.status(500).json({ err: err.message });
+  }
+});
+
+/**
+ * DELETE /api/courses/:id/enrollments/:studentId
+ * Withdraws the student (keeps the enrollment record); the freed seat goes to
+ * the first student on the waitlist, who is emailed.
+ * -> { enrollment, students, promoted }
+ * (courses:write)
+ */
+router.delete('/:id/enrollments/:studentId', verifyToken, async (req, res) => {
+  try {
+    const course = await loadEnrollmentCourse(req, res);
+    if (!course) return;
+
+    const result = await withdraw(course, req.params.studentId);
+    if (!result) return res.status(404).json({ error: 'Enrollment not found' });
+    const { enrollment, promoted } = result;
+    await auditEnrollment(req, 'course.enrollment.withdraw', course, enrollment.student_id, 'active', 'withdrawn');
+    await auditPromotions(req, course, promoted);
+
+    const { students } = await Course.findById(course._id).select('students').lean();
+    res.json({ enrollment, students, promoted });
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ err: err.message });
+    res.status(500).json({ err: err.message });
+  }
+});
+
+/* ----------------------- Waitlist endpoints ----------------------- */
+
+/**
+ * GET /api/courses/:id/waitlist
+ * Waitlisted students in queue order, each with its `position` (1 = next in).
+ * -> { capacity, students, waitlist }
+ * (courses:read OR assigned instructor)
+ */
+router.get('/:id/waitlist', verifyToken, canViewCourse, async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id).select(ENROLLMENT_COURSE_FIELDS).lean();
+    const [capacity, waitlist] = await Promise.all([seatLimit(course), listWaitlist(course._id)]);
+    res.json({ capacity, students: course.students, waitlist });
+  } catch (err) {
+    res.status(500).json({ err: err.message });
+  }
+});
+
+/**
+ * POST /api/courses/:id/waitlist
+ * Body: { studentId }
+ * Enrolls the student when a seat is free (201), otherwise adds them to the
+ * end of the waitlist (202, with `position`). 409 when the course is archived.
+ * (courses:write)
+ */
+router.post('/:id/waitlist', verifyToken, async (req, res) => {
+  try {
+    await enrollStudent(req, res, { waitlist: true });
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ err: err.message });
+    res.status(500).json({ err: err.message });
+  }
+});
+
+/**
+ * DELETE /api/courses/:id/waitlist/:studentId
+ * Takes the student off the waitlist (the enrollment becomes withdrawn).
+ * (courses:write)
+ */
+router.delete('/:id/waitlist/:studentId', verifyToken, async (req, res) => {
+  try {
+    const course = await loadEnrollmentCourse(req, res);
+    if (!course) return;
+
+    const enrollment = await Enrollment.findOneAndUpdate(
+      { course_id: course._id, student_id: req.params.studentId, status: 'waitlisted' },
+      { $set: { status: 'withdrawn', withdrawn_at: new Date(), waitlisted_at: null } },
+      { new: true }
+    );
+    if (!enrollment) return res.status(404).json({ error: 'Student is not on the waitlist' });
+    await auditEnrollment(req, 'course.waitlist.remove', course, enrollment.student_id, 'waitlisted', 'withdrawn');
+
+    res.json({ enrollment });
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ err: err.message });
+    res.status(500).json({ err: err.message });
+  }
+});
+
+/* ----------------------- Invoice endpoints ----------------------- */
+
+/**
+ * GET /api/courses/:id/invoices
+ * The course's invoices with invoiced / collected / outstanding totals.
+ * (invoices:read)
+ */
+router.get('/:id/invoices', verifyToken, async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id).select('owner invoiced collected').lean();
+    if (!course) return res.status(404).json({ error: 'Not found' });
+    if (!allowed(req, 'invoices:read', course)) return res.status(403).json({ error: 'Forbidden' });
+
+    const items = await Invoice.find({ course: course._id })
+      .populate('student', 'name email')
+      .sort({ number: 1 })
+      .lean();
+    res.json({
+      invoiced: course.invoiced || 0,
+      collected: course.collected || 0,
+      outstanding: Math.round(((course.invoiced || 0) - (course.collected || 0)) * 100) / 100,
+      items,
+    });
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ err: err.message });
+    res.status(500).json({ err: err.message });
+  }
+});
+
+/**
+ * POST /api/courses/:id/invoices
+ * Body: { dueDate?, discount?, discountReason?, note? }
+ * Invoices every active enrollment that is not invoiced yet, at the course cost.
+ * Returns { created, skipped, invoices }. (invoices:write)
+ */
+router.post('/:id/invoices', verifyToken, async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id).select('owner title cost').lean();
+    if (!course) return res.status(404).json({ error: 'Not found' });
+    if (!allowed(req, 'invoices:write', course)) return res.status(403).json({ error: 'Forbidden' });
+
+    const { dueDate, discount, discountReason, note } = req.body || {};
+    const dueKey = dueDate ? toDateKey(dueDate) : '';
+    if (dueDate && !dueKey) return res.status(400).json({ err: 'dueDate must be a date (yyyy-mm-dd)' });
+    const discountNum = discount == null || discount === '' ? 0 : Number(discount);
+    if (!(discountNum >= 0) || discountNum > (course.cost || 0)) {
+      return res.status(400).json({ err: 'discount must be between 0 and the course cost' });
+    }
+
+    const { created, skipped } = await generateCourseInvoices(course, {
+      dueDate: dueKey ? new Date(dueKey) : undefined,
+      discount: discountNum,
+      discountReason,
+      note,
+      createdBy: req.user._id,
+    });
+    for (const invoice of created) await recordAudit(req, 'invoice.issue', invoice);
+    if (created.length) {
+      await recordAudit(req, 'course.invoices.generate', course, {
+        type: 'Course',
+        after: null,
+        meta: { invoices: created.map((i) => i.number), skipped },
+      });
+    }
+    res.status(created.length ? 201 : 200).json({ created: created.length, skipped, invoices: created });
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ err: err.message });
+    res.status(500).json({ err: err.message });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
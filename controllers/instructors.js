@@ -5,37 +5,53 @@ const bcrypt = require('bcryptjs');
 
 const User = require('../models/user');
 const Instructor = require('../models/instructor');
+const Organization = require('../models/organization');
 const InviteToken = require('../models/invite-token');
 const verifyToken = require('../middleware/verify-token');
+const { buildPayroll, lockPayroll } = require('../lib/payroll');
+const PayrollStatement = require('../models/payroll-statement');
+const { busySlots } = require('../lib/scheduling');
+const { DEFAULT_TIMEZONE, isValidTimeZone, todayIn, ymd, addDays } = require('../lib/sessions');
+const { generateOpaqueToken, hashToken } = require('../lib/tokens');
+const {
+  PENDING,
+  MAX_RESENDS,
+  createInvite,
+  resendInvite,
+  resendWaitSeconds,
+  revokeInvites,
+} = require('../lib/invites');
+const { buildCalendar, sendCalendar } = require('../lib/ics');
+const Course = require('../models/course');
+const { requireWithinLimit, requireFeature, limitExceeded } = require('../lib/plans');
+const { csvBody, readCsv, planInstructorImport, applyImport, importResult } = require('../lib/imports');
+const { allowed } = require('../lib/permissions');
+const { snapshot, recordAudit } = require('../lib/audit');
+const { archivedFilter, instructorReferences } = require('../lib/archive');
 
 const router = express.Router();
 
 /* --------------------------- Config / Helpers --------------------------- */
 const SELF_EDITABLE_FIELDS = ['name', 'bio', 'phone', 'photoUrl', 'skills'];
 
-const FRONTEND_URL =
-  process.env.FRONTEND_APP_URL ||
-  process.env.APP_ORIGIN ||
-  process.env.WEB_APP_URL ||
-  'http://localhost:5173'|| 
-  'https://whale-app-2vav2.ondigitalocean.app';
-
 const toStr = (v) => (v == null ? '' : String(v));
 const sameId = (a, b) => String(a) === String(b);
 const normalizeEmail = (e) => toStr(e).trim().toLowerCase();
 
 function sanitizeUpdatable(body = {}) {
   const out = { ...body };
+  delete out.archivedAt; // managed through /archive and /restore
+  delete out.archivedBy;
   if ('email' in out && out.email) out.email = normalizeEmail(out.email);
   if ('name' in out && out.name) out.name = toStr(out.name).trim();
   return out;
 }
 
-function canAccess(doc, userId) {
+// Tenant members granted `action`, or the instructor's own linked user
+function canAccess(req, doc, action = 'instructors:read') {
   if (!doc) return false;
-  const isOwner = sameId(doc.owner, userId);
-  const isSelf = doc.user && sameId(doc.user, userId);
-  return isOwner || isSelf;
+  const isSelf = doc.user && sameId(doc.user, req.user._id);
+  return allowed(req, action, doc) || !!isSelf;
 }
 
 // Replace your existing resolveOrLinkInstructorForUser with this version:
@@ -64,24 +80,85 @@ async function resolveOrLinkInstructorForUser(userId) {
 }
 
 
-function buildInviteUrl(token) {
-  return `${FRONTEND_URL.replace(/\/+$/, '')}/set-password?token=${encodeURIComponent(token)}`;
+const YMD_RE = /^\d{4}-\d{2}-\d{2}$/;
+const isYmd = (v) => YMD_RE.test(String(v)) && !Number.isNaN(new Date(v).getTime());
+
+// Validates optional ?from=&to= ("yyyy-mm-dd"); returns an error message or null
+function invalidPeriod(from, to) {
+  if (from && !isYmd(from)) return 'from must be yyyy-mm-dd';
+  if (to && !isYmd(to)) return 'to must be yyyy-mm-dd';
+  if (from && to && from > to) return 'from must be on or before to';
+  return null;
+}
+
+// Public base URL of this API, used for calendar subscription links
+function apiBaseUrl(req) {
+  const configured = process.env.API_BASE_URL;
+  return (configured || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
 }
 
-function generateOpaqueToken(bytes = 32) {
-  // URL-safe token
-  return crypto.randomBytes(bytes).toString('base64url');
+// Calendar apps cannot send a Bearer header: ?token= is checked in the handler instead
+function bearerOrFeedToken(req, res, next) {
+  if (req.query.token) return next();
+  return verifyToken(req, res, next);
+}
+
+// Mongo filter for each invite status shown by GET /instructors/invites
+function inviteStatusFilter(status, now = new Date()) {
+  switch (status) {
+    case 'pending': return { ...PENDING, expiresAt: { $gt: now } };
+    case 'expired': return { ...PENDING, expiresAt: { $lte: now } };
+    case 'used':    return { usedAt: { $ne: null } };
+    case 'revoked': return { usedAt: null, revokedAt: { $ne: null } };
+    case 'all':     return {};
+    default:        return null;
+  }
+}
+
+function inviteSummary(inv) {
+  return {
+    id: inv._id,
+    status: inv.status,
+    instructor: inv.instructor,
+    email: inv.email,
+    expiresAt: inv.expiresAt,
+    usedAt: inv.usedAt,
+    revokedAt: inv.revokedAt,
+    revokeReason: inv.revokeReason,
+    createdAt: inv.createdAt,
+    createdBy: inv.createdBy,
+    delivery: inv.delivery,
+    resendCount: inv.resendCount,
+    lastResentAt: inv.lastResentAt,
+  };
+}
+
+// 429 (with Retry-After during the cooldown) when `invite` may not be resent yet
+function rejectResend(res, invite) {
+  const wait = resendWaitSeconds(invite);
+  if (wait === Infinity) {
+    res.status(429).json({ message: `This invite was already resent ${MAX_RESENDS} times. Create a new invite.` });
+    return true;
+  }
+  if (wait > 0) {
+    res.set('Retry-After', String(wait));
+    res.status(429).json({ message: `Please wait ${wait}s before resending.`, retryAfter: wait });
+    return true;
+  }
+  return false;
 }
 
 /* -------------------------------- Routes -------------------------------- */
 /**
- * GET /api/instructors?q=
- * Owner-scoped list (multi-tenant)
+ * GET /api/instructors?q=&includeArchived=true
+ * Tenant-scoped list, archived instructors left out unless includeArchived (instructors:read)
  */
 router.get('/', verifyToken, async (req, res, next) => {
   try {
+    if (!allowed(req, 'instructors:read')) return res.status(403).json({ message: 'Forbidden' });
+
     const { q } = req.query;
-    const filter = { owner: req.user._id };
+    const filter = { owner: req.tenant.ownerId, ...archivedFilter(req) };
     if (q) {
       filter.$or = [{ name: new RegExp(q, 'i') }, { email: new RegExp(q, 'i') }];
     }
@@ -112,99 +189,419 @@ router.get('/me', verifyToken, async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/instructors/invites?status=pending|expired|used|revoked|all&instructor=<id>
+ * Instructor invites of the caller's organization, newest first (default: all).
+ * (instructors:invite)
+ */
+router.get('/invites', verifyToken, async (req, res, next) => {
+  try {
+    if (!allowed(req, 'instructors:invite')) return res.status(403).json({ message: 'Forbidden' });
+
+    const byStatus = inviteStatusFilter(String(req.query.status || 'all'));
+    if (!byStatus) {
+      return res.status(400).json({ message: 'status must be pending, expired, used, revoked or all' });
+    }
+
+    const filter = { owner: req.tenant.ownerId, instructor: { $ne: null }, ...byStatus };
+    if (req.query.instructor) filter.instructor = req.query.instructor;
+
+    const items = await InviteToken.find(filter)
+      .populate('instructor', 'name email')
+      .populate('createdBy', 'username')
+      .sort({ createdAt: -1 });
+    res.json(items.map(inviteSummary));
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ message: 'instructor must be an id.' });
+    next(err);
+  }
+});
+
 /**
  * GET /api/instructors/:id
- * Read if owner OR linked user
+ * Read with instructors:read OR as the linked user
  */
 router.get('/:id', verifyToken, async (req, res, next) => {
   try {
     const doc = await Instructor.findById(req.params.id);
     if (!doc) return res.status(404).json({ message: 'Not found' });
-    if (!canAccess(doc, req.user._id)) return res.status(403).json({ message: 'Forbidden' });
+    if (!canAccess(req, doc)) return res.status(403).json({ message: 'Forbidden' });
     res.json(doc);
   } catch (err) { next(err); }
 });
 
 /**
  * POST /api/instructors
- * Owner-scoped create
+ * Tenant-scoped create (instructors:write; 402 when the plan's instructor limit is reached)
  */
-router.post('/', verifyToken, async (req, res, next) => {
+router.post('/', verifyToken, requireWithinLimit('instructors'), async (req, res, next) => {
   try {
+    if (!allowed(req, 'instructors:write')) return res.status(403).json({ message: 'Forbidden' });
+
     const payload = sanitizeUpdatable(req.body);
-    payload.owner = req.user._id;
+    payload.owner = req.tenant.ownerId;
 
     if (!payload.email && !payload.name) {
       return res.status(400).json({ err: 'name or email is required' });
     }
 
     const doc = await Instructor.create(payload);
+    await recordAudit(req, 'instructor.create', doc);
     res.status(201).json(doc);
   } catch (err) { next(err); }
 });
 
+/**
+ * POST /api/instructors/import?dryRun=true
+ * Body: CSV (Content-Type: text/csv) or JSON { csv } with columns name, email, bio.
+ * Every row is validated and reported; the valid ones are written in one
+ * transaction. Emails already used in the organization update that instructor.
+ * ?dryRun=true only previews. 402 when the creates exceed the plan. (instructors:write)
+ */
+router.post('/import', verifyToken, csvBody, async (req, res, next) => {
+  try {
+    if (!allowed(req, 'instructors:write')) return res.status(403).json({ message: 'Forbidden' });
+
+    const csv = readCsv(req);
+    if (!csv) return res.status(400).json({ message: 'Send the CSV as the request body (Content-Type: text/csv).' });
+    const dryRun = req.query.dryRun === 'true' || req.query.dryRun === '1';
+
+    const plan = await planInstructorImport(req.tenant.ownerId, csv);
+    if (!dryRun) {
+      const exceeded = plan.summary.create && await limitExceeded(req.tenant.ownerId, 'instructors', plan.summary.create);
+      if (exceeded) return res.status(402).json(exceeded);
+      await applyImport('instructors', plan);
+      for (const r of plan.rows.filter((row) => row.id)) {
+        await recordAudit(req, 'instructor.import', { _id: r.id, ...r.data }, {
+          type: 'Instructor',
+          meta: { row: r.row, action: r.action },
+        });
+      }
+    }
+
+    res.status(!dryRun && !plan.summary.valid ? 422 : 200).json(importResult(plan, { dryRun }));
+  } catch (err) {
+    if (err.code === 'IMPORT_INVALID') return res.status(400).json({ message: err.message });
+    if (err.code === 'IMPORT_UNSUPPORTED') return res.status(503).json({ message: err.message });
+    next(err);
+  }
+});
+
 /**
  * PATCH /api/instructors/:id
- * Owner OR linked user can update
+ * instructors:write OR linked user can update
  */
 router.patch('/:id', verifyToken, async (req, res, next) => {
   try {
     const doc = await Instructor.findById(req.params.id);
     if (!doc) return res.status(404).json({ message: 'Not found' });
-    if (!canAccess(doc, req.user._id)) return res.status(403).json({ message: 'Forbidden' });
+    if (!canAccess(req, doc, 'instructors:write')) return res.status(403).json({ message: 'Forbidden' });
 
-    const isOwner = sameId(doc.owner, req.user._id);
+    const canManage = allowed(req, 'instructors:write', doc);
     const isSelf = doc.user && sameId(doc.user, req.user._id);
 
     let updates = sanitizeUpdatable(req.body);
     if ('owner' in updates) delete updates.owner; // never allow owner change
-    if (!isOwner && 'user' in updates) delete updates.user; // linked user can't change linkage
+    if (!canManage && 'user' in updates) delete updates.user; // linked user can't change linkage
 
-    if (isSelf && !isOwner) {
+    if (isSelf && !canManage) {
       updates = Object.fromEntries(
         Object.entries(updates).filter(([k]) => SELF_EDITABLE_FIELDS.includes(k))
       );
     }
 
     const updated = await Instructor.findByIdAndUpdate(req.params.id, updates, { new: true });
+    await recordAudit(req, 'instructor.update', updated, { before: snapshot(doc) });
     res.json(updated);
   } catch (err) { next(err); }
 });
 
+// Archive (archived = true) or restore the instructor; resolves to the updated document.
+// Archiving also revokes their pending invites.
+async function setArchived(req, doc, archived) {
+  const updated = await Instructor.findByIdAndUpdate(
+    doc._id,
+    archived
+      ? { $set: { archivedAt: new Date(), archivedBy: req.user._id } }
+      : { $set: { archivedAt: null }, $unset: { archivedBy: 1 } },
+    { new: true }
+  );
+  if (archived) await revokeInvites({ instructor: doc._id }, { by: req.user._id, reason: 'archived' });
+  await recordAudit(req, archived ? 'instructor.archive' : 'instructor.restore', updated, { before: snapshot(doc) });
+  return updated;
+}
+
 /**
  * DELETE /api/instructors/:id
- * Owner only
+ * Soft delete: archives the instructor (like POST /:id/archive).
+ * ?permanent=true deletes an archived instructor for good; 409 while courses
+ * (listing them, or holding their rate or attendance) or payroll statements
+ * still reference them. Their user account is unlinked, not deleted.
+ * instructors:delete
  */
 router.delete('/:id', verifyToken, async (req, res, next) => {
   try {
     const doc = await Instructor.findById(req.params.id);
     if (!doc) return res.status(404).json({ message: 'Not found' });
-    if (!sameId(doc.owner, req.user._id)) return res.status(403).json({ message: 'Forbidden' });
+    if (!allowed(req, 'instructors:delete', doc)) return res.status(403).json({ message: 'Forbidden' });
+
+    if (req.query.permanent !== 'true') {
+      if (!doc.archivedAt) await setArchived(req, doc, true);
+      return res.status(204).end();
+    }
+
+    if (!doc.archivedAt) {
+      return res.status(409).json({ message: 'Archive the instructor before deleting them permanently.' });
+    }
+    const references = await instructorReferences(doc);
+    if (Object.keys(references).length) {
+      return res.status(409).json({ message: 'Instructor is still referenced by other records.', references });
+    }
 
     await Instructor.findByIdAndDelete(req.params.id);
+    await User.updateMany({ instructor: doc._id }, { $unset: { instructor: 1 } });
+    await revokeInvites({ instructor: doc._id }, { by: req.user._id, reason: 'deleted' });
+    await recordAudit(req, 'instructor.purge', doc, { before: snapshot(doc), after: null });
     res.status(204).end();
   } catch (err) { next(err); }
 });
 
+/**
+ * POST /api/instructors/:id/archive
+ * Hides the instructor from lists and plan usage and revokes pending invites;
+ * course assignments, rates, attendance and payroll history stay.
+ * instructors:delete
+ */
+router.post('/:id/archive', verifyToken, async (req, res, next) => {
+  try {
+    const doc = await Instructor.findById(req.params.id);
+    if (!doc) return res.status(404).json({ message: 'Not found' });
+    if (!allowed(req, 'instructors:delete', doc)) return res.status(403).json({ message: 'Forbidden' });
+    if (doc.archivedAt) return res.status(409).json({ message: 'Instructor is already archived.' });
+
+    res.json(await setArchived(req, doc, true));
+  } catch (err) { next(err); }
+});
+
+/**
+ * POST /api/instructors/:id/restore
+ * Brings an archived instructor back (402 when the plan's instructor limit is reached).
+ * instructors:delete
+ */
+router.post('/:id/restore', verifyToken, async (req, res, next) => {
+  try {
+    const doc = await Instructor.findById(req.params.id);
+    if (!doc) return res.status(404).json({ message: 'Not found' });
+    if (!allowed(req, 'instructors:delete', doc)) return res.status(403).json({ message: 'Forbidden' });
+    if (!doc.archivedAt) return res.status(409).json({ message: 'Instructor is not archived.' });
+
+    const exceeded = await limitExceeded(doc.owner, 'instructors');
+    if (exceeded) return res.status(402).json(exceeded);
+
+    res.json(await setArchived(req, doc, false));
+  } catch (err) { next(err); }
+});
+
+/* ============================== AVAILABILITY ============================== */
+/**
+ * GET /api/instructors/:id/availability?from=yyyy-mm-dd&to=yyyy-mm-dd
+ * Busy slots (live course sessions) for the instructor. Defaults to the next 30 days.
+ * instructors:read OR linked user
+ */
+router.get('/:id/availability', verifyToken, async (req, res, next) => {
+  try {
+    const doc = await Instructor.findById(req.params.id);
+    if (!doc) return res.status(404).json({ message: 'Not found' });
+    if (!canAccess(req, doc)) return res.status(403).json({ message: 'Forbidden' });
+
+    // "Today" is the organization's calendar day, not the server's
+    const org = await Organization.findById(doc.owner).select('timezone').lean();
+    const tz = isValidTimeZone(org?.timezone) ? org.timezone : DEFAULT_TIMEZONE;
+
+    const from = req.query.from || todayIn(tz);
+    let invalid = invalidPeriod(from);
+    if (invalid) return res.status(400).json({ message: invalid });
+
+    const to = req.query.to || ymd(addDays(from, 30));
+    invalid = invalidPeriod(from, to);
+    if (invalid) return res.status(400).json({ message: invalid });
+
+    const slots = await busySlots({ instructorIds: [doc._id], from, to });
+    res.json({
+      instructor: { id: doc._id, name: doc.name },
+      from,
+      to,
+      busy: slots.map(({ instructors, ...slot }) => slot),
+    });
+  } catch (err) { next(err); }
+});
+
+/* ================================ CALENDAR ================================ */
+/**
+ * POST /api/instructors/:id/calendar-token
+ * Creates (or rotates) the instructor's calendar subscription token and returns
+ * the feed URL. Previous URLs stop working.
+ * instructors:write OR linked user
+ */
+router.post('/:id/calendar-token', verifyToken, async (req, res, next) => {
+  try {
+    const doc = await Instructor.findById(req.params.id);
+    if (!doc) return res.status(404).json({ message: 'Not found' });
+    if (!canAccess(req, doc, 'instructors:write')) return res.status(403).json({ message: 'Forbidden' });
+
+    const token = generateOpaqueToken();
+    await Instructor.updateOne({ _id: doc._id }, { $set: { calendarTokenHash: hashToken(token) } });
+    await recordAudit(req, 'instructor.calendar-token.rotate', doc, { after: null });
+
+    const url = `${apiBaseUrl(req)}/instructors/${doc._id}/calendar.ics?token=${encodeURIComponent(token)}`;
+    res.status(201).json({ url });
+  } catch (err) { next(err); }
+});
+
+/**
+ * DELETE /api/instructors/:id/calendar-token
+ * Revokes the calendar subscription URL.
+ * instructors:write OR linked user
+ */
+router.delete('/:id/calendar-token', verifyToken, async (req, res, next) => {
+  try {
+    const doc = await Instructor.findById(req.params.id);
+    if (!doc) return res.status(404).json({ message: 'Not found' });
+    if (!canAccess(req, doc, 'instructors:write')) return res.status(403).json({ message: 'Forbidden' });
+
+    await Instructor.updateOne({ _id: doc._id }, { $unset: { calendarTokenHash: 1 } });
+    await recordAudit(req, 'instructor.calendar-token.revoke', doc, { after: null });
+    res.status(204).end();
+  } catch (err) { next(err); }
+});
+
+/**
+ * GET /api/instructors/:id/calendar.ics?token=
+ * iCalendar feed of every course session the instructor teaches.
+ * Auth: subscription token (no header needed) OR Bearer with instructors:read / as linked user.
+ */
+router.get('/:id/calendar.ics', bearerOrFeedToken, async (req, res, next) => {
+  try {
+    const doc = await Instructor.findById(req.params.id).select('+calendarTokenHash');
+    if (!doc) return res.status(404).json({ message: 'Not found' });
+
+    const permitted = req.query.token
+      ? !!doc.calendarTokenHash && doc.calendarTokenHash === hashToken(req.query.token)
+      : canAccess(req, doc);
+    if (!permitted) return res.status(403).json({ message: 'Forbidden' });
+
+    const courses = await Course.find({ owner: doc.owner, instructors: doc._id, archivedAt: null })
+      .select('title description location courseDatesTimes updatedAt')
+      .lean();
+
+    sendCalendar(res, `instructor-${doc._id}.ics`, buildCalendar(`${doc.name} – Teaching schedule`, courses));
+  } catch (err) { next(err); }
+});
+
+/* ================================ PAYROLL ================================ */
+/**
+ * GET /api/instructors/:id/payroll?from=yyyy-mm-dd&to=yyyy-mm-dd
+ * Hours on attended sessions × instructorRates, across every course in the tenant.
+ * Sessions inside a paid statement come from the statement snapshot.
+ * payroll:read OR linked user (read-only)
+ */
+router.get('/:id/payroll', verifyToken, async (req, res, next) => {
+  try {
+    const { from, to } = req.query;
+    const invalid = invalidPeriod(from, to);
+    if (invalid) return res.status(400).json({ message: invalid });
+
+    const doc = await Instructor.findById(req.params.id);
+    if (!doc) return res.status(404).json({ message: 'Not found' });
+    if (!canAccess(req, doc, 'payroll:read')) return res.status(403).json({ message: 'Forbidden' });
+
+    const report = await buildPayroll({ owner: doc.owner, instructorId: doc._id, from, to });
+    res.json({ instructor: { id: doc._id, name: doc.name, email: doc.email }, ...report });
+  } catch (err) { next(err); }
+});
+
+/**
+ * GET /api/instructors/:id/payroll/statements
+ * Paid (locked) payroll periods, newest first.
+ * payroll:read OR linked user
+ */
+router.get('/:id/payroll/statements', verifyToken, async (req, res, next) => {
+  try {
+    const doc = await Instructor.findById(req.params.id);
+    if (!doc) return res.status(404).json({ message: 'Not found' });
+    if (!canAccess(req, doc, 'payroll:read')) return res.status(403).json({ message: 'Forbidden' });
+
+    const items = await PayrollStatement.find({ instructor: doc._id }).sort({ from: -1 });
+    res.json(items);
+  } catch (err) { next(err); }
+});
+
+/**
+ * POST /api/instructors/:id/payroll/lock
+ * Body: { from: 'yyyy-mm-dd', to: 'yyyy-mm-dd', note? }
+ * Marks the period as paid by freezing its line items. Attendance inside a
+ * paid period can no longer be edited.
+ * payroll:lock
+ */
+router.post('/:id/payroll/lock', verifyToken, async (req, res, next) => {
+  try {
+    const { from, to, note } = req.body || {};
+    if (!from || !to) return res.status(400).json({ message: 'from and to are required.' });
+    const invalid = invalidPeriod(from, to);
+    if (invalid) return res.status(400).json({ message: invalid });
+
+    const doc = await Instructor.findById(req.params.id);
+    if (!doc) return res.status(404).json({ message: 'Not found' });
+    if (!allowed(req, 'payroll:lock', doc)) return res.status(403).json({ message: 'Forbidden' });
+
+    const statement = await lockPayroll({
+      owner: doc.owner,
+      instructorId: doc._id,
+      from,
+      to,
+      paidBy: req.user._id,
+      note,
+    });
+    await recordAudit(req, 'instructor.payroll.lock', doc, {
+      after: null,
+      meta: {
+        statement: statement._id,
+        from: statement.from,
+        to: statement.to,
+        totalHours: statement.totalHours,
+        totalAmount: statement.totalAmount,
+      },
+    });
+    res.status(201).json(statement);
+  } catch (err) {
+    if (err.code === 'PAYROLL_OVERLAP') {
+      return res.status(409).json({ message: err.message, statements: err.statements });
+    }
+    next(err);
+  }
+});
+
 /* ========================== NEW ADMIN-ONLY ENDPOINTS ========================== */
 /**
  * POST /api/instructors/:id/invite
- * Admin (owner) generates a set-password invite link for this instructor:
+ * Staff with instructors:invite generate a set-password invite link for this instructor:
  * - find/create User by instructor.email
  * - set a random placeholder password (since User.hashedPassword is required)
  * - (optional) set roles/status if those fields exist in User schema
- * - create InviteToken (1–3 days expiry)
+ * - create InviteToken (48 hours expiry) and email the link
  * - link instructor.user = user._id
- * - return { url, expiresAt }
+ * - return { url, expiresAt, delivery }
+ * 403 when the plan does not include invites; 409 when the instructor is archived.
  */
 // Replace your current /:id/invite endpoint with this:
-router.post('/:id/invite', verifyToken, async (req, res, next) => {
+router.post('/:id/invite', verifyToken, requireFeature('invites'), async (req, res, next) => {
   try {
     const instr = await Instructor.findById(req.params.id);
     if (!instr) return res.status(404).json({ message: 'Not found' });
-    if (String(instr.owner) !== String(req.user._id)) {
+    if (!allowed(req, 'instructors:invite', instr)) {
       return res.status(403).json({ message: 'Forbidden' });
     }
+    if (instr.archivedAt) return res.status(409).json({ message: 'Instructor is archived.' });
 
     const username = (instr.email || '').trim().toLowerCase();
     if (!username) return res.status(400).json({ message: 'Instructor is missing a valid email.' });
@@ -212,8 +609,6 @@ router.post('/:id/invite', verifyToken, async (req, res, next) => {
     // Find or create user by USERNAME (email-as-username)
     let user = await User.findOne({ username });
     if (!user) {
-      const crypto = require('crypto');
-      const bcrypt = require('bcryptjs');
       const randomPassword = crypto.randomBytes(16).toString('hex');
       const hash = await bcrypt.hash(randomPassword, 10);
 
@@ -230,6 +625,7 @@ router.post('/:id/invite', verifyToken, async (req, res, next) => {
     }
 
     // Link instructor to this user if not yet linked
+    const previous = snapshot(instr);
     if (!instr.user || String(instr.user) !== String(user._id)) {
       instr.user = user._id;
       user.instructor = instr._id
@@ -237,39 +633,86 @@ router.post('/:id/invite', verifyToken, async (req, res, next) => {
       await user.save();
     }
 
-    // Create a single-use invite token
-    const InviteToken = require('../models/invite-token');
-    const crypto = require('crypto');
+    // Create a single-use invite token and email the link
+    const org = await Organization.findById(instr.owner).select('name').lean();
+    const { url, expiresAt, delivery } = await createInvite({
+      owner: instr.owner,
+      user: user._id,
+      instructor: instr._id,
+      createdBy: req.user._id,
+      email: username,
+      template: 'instructor-invite',
+      data: { name: instr.name, organizationName: org?.name },
+    });
+    await recordAudit(req, 'instructor.invite', instr, { before: previous, meta: { email: username, expiresAt } });
 
-    const token = crypto.randomBytes(32).toString('base64url');
-    const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
-    const expiresAt = new Date(Date.now() + 1000 * 60 * 60 * 48); // 48 hours
+    return res.status(201).json({ url, expiresAt, delivery });
+  } catch (err) { next(err); }
+});
 
-    await InviteToken.deleteMany({ instructor: instr._id, owner: instr.owner });
+/**
+ * POST /api/instructors/:id/invite/resend
+ * Emails the instructor's pending (or expired, unused) invite again with a fresh
+ * link; the previous link stops working. 429 with Retry-After when resent too
+ * soon or too often.
+ * (instructors:invite)
+ */
+router.post('/:id/invite/resend', verifyToken, requireFeature('invites'), async (req, res, next) => {
+  try {
+    const instr = await Instructor.findById(req.params.id);
+    if (!instr) return res.status(404).json({ message: 'Not found' });
+    if (!allowed(req, 'instructors:invite', instr)) {
+      return res.status(403).json({ message: 'Forbidden' });
+    }
 
-    await InviteToken.create({
-      tokenHash,
-      instructor: instr._id,
-      owner: instr.owner,
-      user: user._id,
-      expiresAt,
+    const invite = await InviteToken.findOne({ instructor: instr._id, ...PENDING }).sort({ createdAt: -1 });
+    if (!invite) return res.status(404).json({ message: 'No pending invite for this instructor.' });
+    if (rejectResend(res, invite)) return;
+
+    const org = await Organization.findById(instr.owner).select('name').lean();
+    const sent = await resendInvite(invite, {
+      name: instr.name,
+      organizationName: org?.name,
+    });
+    if (!sent) {
+      // A concurrent resend (or revoke) got in first
+      const current = await InviteToken.findOne({ _id: invite._id, ...PENDING }).lean();
+      if (current && rejectResend(res, current)) return;
+      return res.status(404).json({ message: 'No pending invite for this instructor.' });
+    }
+
+    const { url, expiresAt, delivery, invite: resent } = sent;
+    await recordAudit(req, 'instructor.invite.resend', instr, {
+      after: null,
+      meta: { expiresAt, resendCount: resent.resendCount },
     });
+    res.json({ url, expiresAt, delivery, resendCount: resent.resendCount });
+  } catch (err) { next(err); }
+});
 
-    const FRONTEND_URL =
-      process.env.FRONTEND_APP_URL ||
-      process.env.APP_ORIGIN ||
-      process.env.WEB_APP_URL ||
-      'http://localhost:5173' ||
-      'https://whale-app-2vav2.ondigitalocean.app';
-    const url = `${FRONTEND_URL.replace(/\/+$/, '')}/set-password?token=${encodeURIComponent(token)}`;
+/**
+ * POST /api/instructors/:id/invite/revoke
+ * Invalidates the instructor's pending invites.
+ * (instructors:invite)
+ */
+router.post('/:id/invite/revoke', verifyToken, async (req, res, next) => {
+  try {
+    const instr = await Instructor.findById(req.params.id);
+    if (!instr) return res.status(404).json({ message: 'Not found' });
+    if (!allowed(req, 'instructors:invite', instr)) {
+      return res.status(403).json({ message: 'Forbidden' });
+    }
 
-    return res.status(201).json({ url, expiresAt });
+    const revoked = await revokeInvites({ instructor: instr._id }, { by: req.user._id });
+    if (!revoked) return res.status(404).json({ message: 'No pending invite for this instructor.' });
+    await recordAudit(req, 'instructor.invite.revoke', instr, { after: null, meta: { revoked } });
+    res.json({ revoked });
   } catch (err) { next(err); }
 });
 
 /**
  * POST /api/instructors/:id/link-user
- * Admin (owner) links an existing user by email to this instructor.
+ * Staff with instructors:write link an existing user by email to this instructor.
  * Body: { email }
  * Returns: updated instructor document
  */
@@ -278,7 +721,7 @@ router.post('/:id/link-user', verifyToken, async (req, res, next) => {
   try {
     const instr = await Instructor.findById(req.params.id);
     if (!instr) return res.status(404).json({ message: 'Not found' });
-    if (String(instr.owner) !== String(req.user._id)) {
+    if (!allowed(req, 'instructors:write', instr)) {
       return res.status(403).json({ message: 'Forbidden' });
     }
 
@@ -289,8 +732,10 @@ router.post('/:id/link-user', verifyToken, async (req, res, next) => {
     const user = await User.findOne({ username: raw });
     if (!user) return res.status(404).json({ message: 'User with this username was not found.' });
 
+    const previous = snapshot(instr);
     instr.user = user._id;
     await instr.save();
+    await recordAudit(req, 'instructor.link-user', instr, { before: previous, meta: { username: user.username } });
 
     if (User.schema.path('roles')) {
       const roles = new Set([...(user.roles || []), 'instructor']);
@@ -0,0 +1,301 @@
+// routes/invoices.js
+const express = require('express');
+
+const Invoice = require('../models/invoice');
+const Enrollment = require('../models/enrollment');
+const verifyToken = require('../middleware/verify-token');
+const { allowed } = require('../lib/permissions');
+const { toDateKey } = require('../lib/sessions');
+const { snapshot, recordAudit } = require('../lib/audit');
+const {
+  issueInvoice,
+  recordPayment,
+  recordRefund,
+  applyDiscount,
+  voidInvoice,
+  outstandingBalances,
+} = require('../lib/invoicing');
+
+const router = express.Router();
+
+/* --------------------------- Config / Helpers --------------------------- */
+const ERROR_STATUS = {
+  INVOICE_INVALID: 400,
+  INVOICE_EXISTS: 409,
+  INVOICE_NOT_ENROLLED: 409,
+  INVOICE_VOID: 409,
+  INVOICE_OVERPAYMENT: 409,
+  INVOICE_REFUND_TOO_LARGE: 409,
+  INVOICE_DISCOUNT_TOO_LARGE: 409,
+  INVOICE_HAS_PAYMENTS: 409,
+};
+
+const toStr = (v) => (v == null ? '' : String(v));
+
+// lib/invoicing errors -> { message, code, ...details }; concurrent edits -> 409
+function sendInvoiceError(res, err) {
+  if (ERROR_STATUS[err.code]) {
+    const { message, code, invoice, balance, paid } = err;
+    return res.status(ERROR_STATUS[err.code]).json({ message, code, invoice, balance, paid });
+  }
+  if (err.name === 'VersionError') {
+    return res.status(409).json({ message: 'Invoice was changed by someone else. Reload and try again.' });
+  }
+  if (err.name === 'ValidationError' || err.name === 'CastError') {
+    return res.status(400).json({ message: err.message });
+  }
+  return null;
+}
+
+// "yyyy-mm-dd" or ISO date -> Date; undefined when absent, null when invalid
+function parseDueDate(raw) {
+  if (raw == null || raw === '') return undefined;
+  const key = toDateKey(raw);
+  return key ? new Date(key) : null;
+}
+
+async function loadInvoice(req, res, action) {
+  const invoice = await Invoice.findById(req.params.id);
+  if (!invoice) {
+    res.status(404).json({ message: 'Not found' });
+    return null;
+  }
+  if (!allowed(req, action, invoice)) {
+    res.status(403).json({ message: 'Forbidden' });
+    return null;
+  }
+  return invoice;
+}
+
+/* -------------------------------- Routes -------------------------------- */
+/**
+ * GET /api/invoices?status=open|partial|paid|void|outstanding&course=&student=&page=&limit=
+ * Tenant-scoped list, newest first, with totals for the filtered set (invoices:read)
+ */
+router.get('/', verifyToken, async (req, res, next) => {
+  try {
+    if (!allowed(req, 'invoices:read')) return res.status(403).json({ message: 'Forbidden' });
+
+    const { status, course, student } = req.query;
+    const pageNum = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limitNum = Math.min(Math.max(1, parseInt(req.query.limit, 10) || 50), 200);
+
+    const filter = { owner: req.tenant.ownerId };
+    if (status === 'outstanding') filter.status = { $in: Invoice.OUTSTANDING };
+    else if (status) {
+      if (!Invoice.STATUSES.includes(status)) {
+        return res.status(400).json({ message: `status must be one of: outstanding, ${Invoice.STATUSES.join(', ')}` });
+      }
+      filter.status = status;
+    }
+    if (course) filter.course = course;
+    if (student) filter.student = student;
+
+    const [items, total] = await Promise.all([
+      Invoice.find(filter)
+        .populate('student', 'name email')
+        .sort({ issuedAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      Invoice.countDocuments(filter),
+    ]);
+    res.json({ page: pageNum, limit: limitNum, total, items });
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ message: err.message });
+    next(err);
+  }
+});
+
+/**
+ * GET /api/invoices/outstanding?course=&student=
+ * Outstanding balance per student (open and partially paid invoices). (invoices:read)
+ */
+router.get('/outstanding', verifyToken, async (req, res, next) => {
+  try {
+    if (!allowed(req, 'invoices:read')) return res.status(403).json({ message: 'Forbidden' });
+    if (!req.tenant.ownerId) return res.json({ total: 0, items: [] });
+
+    const items = await outstandingBalances(req.tenant.ownerId, {
+      course: req.query.course,
+      student: req.query.student,
+    });
+    const total = Math.round(items.reduce((sum, i) => sum + i.balance, 0) * 100) / 100;
+    res.json({ total, items });
+  } catch (err) {
+    if (err.name === 'BSONError' || err.name === 'CastError') {
+      return res.status(400).json({ message: 'course and student must be ids.' });
+    }
+    next(err);
+  }
+});
+
+/**
+ * GET /api/invoices/:id (invoices:read)
+ */
+router.get('/:id', verifyToken, async (req, res, next) => {
+  try {
+    const invoice = await loadInvoice(req, res, 'invoices:read');
+    if (!invoice) return;
+    await invoice.populate('student', 'name email tel1');
+    res.json(invoice);
+  } catch (err) {
+    if (sendInvoiceError(res, err)) return;
+    next(err);
+  }
+});
+
+/**
+ * POST /api/invoices
+ * Body: { enrollmentId } or { courseId, studentId }, plus optional
+ *       { amount, discount, discountReason, dueDate, note }
+ * Issues the invoice for one enrollment; amount defaults to the course cost.
+ * 409 when the enrollment is not active or already has a (non-void) invoice.
+ * (invoices:write)
+ */
+router.post('/', verifyToken, async (req, res, next) => {
+  try {
+    if (!allowed(req, 'invoices:write')) return res.status(403).json({ message: 'Forbidden' });
+
+    const body = req.body || {};
+    const enrollment = body.enrollmentId
+      ? await Enrollment.findById(body.enrollmentId).lean()
+      : await Enrollment.findOne({ course_id: body.courseId, student_id: body.studentId }).lean();
+    if (!enrollment || !allowed(req, 'invoices:write', enrollment)) {
+      return res.status(404).json({ message: 'Enrollment not found' });
+    }
+
+    const dueDate = parseDueDate(body.dueDate);
+    if (dueDate === null) return res.status(400).json({ message: 'dueDate must be a date (yyyy-mm-dd).' });
+    const amount = body.amount == null || body.amount === '' ? undefined : Number(body.amount);
+    if (amount !== undefined && !(amount >= 0)) {
+      return res.status(400).json({ message: 'amount must be 0 or more.' });
+    }
+
+    const invoice = await issueInvoice(enrollment, {
+      amount,
+      discount: Number(body.discount) || 0,
+      discountReason: body.discountReason,
+      dueDate,
+      note: body.note,
+      createdBy: req.user._id,
+    });
+    await recordAudit(req, 'invoice.issue', invoice);
+    res.status(201).json(invoice);
+  } catch (err) {
+    if (sendInvoiceError(res, err)) return;
+    next(err);
+  }
+});
+
+/**
+ * PATCH /api/invoices/:id
+ * Body: { dueDate?, note?, discount?, discountReason? } (invoices:write)
+ * The discount may not bring the total below the amount already paid.
+ */
+router.patch('/:id', verifyToken, async (req, res, next) => {
+  try {
+    const invoice = await loadInvoice(req, res, 'invoices:write');
+    if (!invoice) return;
+    if (invoice.status === 'void') return res.status(409).json({ message: 'Invoice is void.', code: 'INVOICE_VOID' });
+
+    const before = snapshot(invoice);
+    const body = req.body || {};
+    if ('dueDate' in body) {
+      const dueDate = parseDueDate(body.dueDate);
+      if (dueDate === null) return res.status(400).json({ message: 'dueDate must be a date (yyyy-mm-dd).' });
+      invoice.dueDate = dueDate;
+    }
+    if ('note' in body) invoice.note = toStr(body.note).trim() || undefined;
+
+    if ('discount' in body) {
+      await applyDiscount(invoice, { discount: body.discount, reason: body.discountReason });
+    } else {
+      if ('discountReason' in body) invoice.discountReason = body.discountReason;
+      await invoice.save();
+    }
+    await recordAudit(req, 'invoice.update', invoice, { before });
+    res.json(invoice);
+  } catch (err) {
+    if (sendInvoiceError(res, err)) return;
+    next(err);
+  }
+});
+
+/**
+ * POST /api/invoices/:id/payments
+ * Body: { amount, method?: cash|card|transfer|other, paidAt?, reference?, note? }
+ * Records a full or partial payment; 409 above the balance. (invoices:write)
+ */
+router.post('/:id/payments', verifyToken, async (req, res, next) => {
+  try {
+    const invoice = await loadInvoice(req, res, 'invoices:write');
+    if (!invoice) return;
+
+    const { amount, method, paidAt, reference, note } = req.body || {};
+    if (method && !Invoice.PAYMENT_METHODS.includes(method)) {
+      return res.status(400).json({ message: `method must be one of: ${Invoice.PAYMENT_METHODS.join(', ')}` });
+    }
+    if (paidAt && Number.isNaN(new Date(paidAt).getTime())) {
+      return res.status(400).json({ message: 'paidAt must be a date.' });
+    }
+
+    const before = snapshot(invoice);
+    await recordPayment(invoice, {
+      amount,
+      method,
+      paidAt: paidAt ? new Date(paidAt) : undefined,
+      reference,
+      note,
+      recordedBy: req.user._id,
+    });
+    await recordAudit(req, 'invoice.payment', invoice, { before, meta: { amount: Number(amount), method, reference } });
+    res.status(201).json(invoice);
+  } catch (err) {
+    if (sendInvoiceError(res, err)) return;
+    next(err);
+  }
+});
+
+/**
+ * POST /api/invoices/:id/refunds
+ * Body: { amount, reason? } — up to the amount paid. The refunded amount is
+ * taken off the total, so the student does not owe it again. (invoices:refund)
+ */
+router.post('/:id/refunds', verifyToken, async (req, res, next) => {
+  try {
+    const invoice = await loadInvoice(req, res, 'invoices:refund');
+    if (!invoice) return;
+
+    const { amount, reason } = req.body || {};
+    const before = snapshot(invoice);
+    await recordRefund(invoice, { amount, reason, recordedBy: req.user._id });
+    await recordAudit(req, 'invoice.refund', invoice, { before, meta: { amount: Number(amount), reason } });
+    res.status(201).json(invoice);
+  } catch (err) {
+    if (sendInvoiceError(res, err)) return;
+    next(err);
+  }
+});
+
+/**
+ * POST /api/invoices/:id/void
+ * Body: { reason? } — cancels an invoice with nothing paid on it (invoices:void).
+ * The enrollment can then be invoiced again.
+ */
+router.post('/:id/void', verifyToken, async (req, res, next) => {
+  try {
+    const invoice = await loadInvoice(req, res, 'invoices:void');
+    if (!invoice) return;
+
+    const before = snapshot(invoice);
+    await voidInvoice(invoice, { by: req.user._id, reason: req.body?.reason });
+    await recordAudit(req, 'invoice.void', invoice, { before, meta: { reason: req.body?.reason } });
+    res.json(invoice);
+  } catch (err) {
+    if (sendInvoiceError(res, err)) return;
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,265 @@
+// routes/locations.js
+// The organization's venues and their rooms. Courses reference them by
+// { venue, room }; see lib/locations for capacity and the copied label.
+const express = require('express');
+
+const Course = require('../models/course');
+const Location = require('../models/location');
+const verifyToken = require('../middleware/verify-token');
+const { allowed } = require('../lib/permissions');
+const { syncCourseLocations, coursesAt } = require('../lib/locations');
+const { promoteWaitlistsAt, auditPromotions } = require('../lib/enrollments');
+const { snapshot, recordAudit } = require('../lib/audit');
+
+const router = express.Router();
+
+/* --------------------------- Config / Helpers --------------------------- */
+const EDITABLE_FIELDS = ['name', 'address', 'lat', 'lon', 'placeId', 'capacity'];
+const ROOM_FIELDS = ['name', 'capacity', 'notes'];
+const ADDRESS_FIELDS = ['line1', 'line2', 'city', 'region', 'postalCode', 'country'];
+
+const toStr = (v) => (v == null ? '' : String(v));
+const escapeRegExp = (s) => toStr(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+function pick(body = {}, fields) {
+  return Object.fromEntries(Object.entries(body).filter(([k]) => fields.includes(k)));
+}
+
+function sanitizeLocation(body = {}) {
+  const out = pick(body, EDITABLE_FIELDS);
+  if (out.address && typeof out.address === 'object') out.address = pick(out.address, ADDRESS_FIELDS);
+  else delete out.address;
+  return out;
+}
+
+// Validation / cast errors -> 400, duplicate names -> 409
+function sendLocationError(res, err) {
+  if (err.code === 11000) return res.status(409).json({ message: 'A location with this name already exists.' });
+  if (err.name === 'ValidationError' || err.name === 'CastError') {
+    return res.status(400).json({ message: err.message });
+  }
+  return null;
+}
+
+async function loadLocation(req, res, action) {
+  const location = await Location.findById(req.params.id);
+  if (!location) {
+    res.status(404).json({ message: 'Not found' });
+    return null;
+  }
+  if (!allowed(req, action, location)) {
+    res.status(403).json({ message: 'Forbidden' });
+    return null;
+  }
+  return location;
+}
+
+// Active courses in the room (or booking the whole venue when roomId is null)
+// with more students than `capacity` seats
+function overbookedCourses(venueId, roomId, capacity) {
+  if (capacity == null) return [];
+  return Course.find({ venue: venueId, room: roomId || null, archivedAt: null, students: { $gt: capacity } })
+    .select('title students')
+    .lean();
+}
+
+async function rejectOverbooked(res, venueId, roomId, capacity) {
+  const courses = await overbookedCourses(venueId, roomId, capacity);
+  if (!courses.length) return false;
+  res.status(409).json({ message: `Courses here already have more than ${capacity} students.`, courses });
+  return true;
+}
+
+// Hand seats freed by a capacity change to the waitlists of the courses there
+async function fillFreedSeats(req, venueId, roomId) {
+  for (const { course, promoted } of await promoteWaitlistsAt(venueId, roomId)) {
+    await auditPromotions(req, course, promoted);
+  }
+}
+
+/* -------------------------------- Routes -------------------------------- */
+/**
+ * GET /api/locations?q=
+ * The organization's locations by name (locations:read)
+ */
+router.get('/', verifyToken, async (req, res, next) => {
+  try {
+    if (!allowed(req, 'locations:read')) return res.status(403).json({ message: 'Forbidden' });
+
+    const filter = { owner: req.tenant.ownerId };
+    if (req.query.q) {
+      const q = new RegExp(escapeRegExp(req.query.q), 'i');
+      filter.$or = [{ name: q }, { 'address.city': q }, { 'rooms.name': q }];
+    }
+    const items = await Location.find(filter).sort({ name: 1 }).lean();
+    res.json(items);
+  } catch (err) { next(err); }
+});
+
+/**
+ * GET /api/locations/:id (locations:read)
+ */
+router.get('/:id', verifyToken, async (req, res, next) => {
+  try {
+    const location = await loadLocation(req, res, 'locations:read');
+    if (!location) return;
+    res.json(location);
+  } catch (err) {
+    if (sendLocationError(res, err)) return;
+    next(err);
+  }
+});
+
+/**
+ * POST /api/locations
+ * Body: { name, address?: { line1, line2, city, region, postalCode, country },
+ *   lat?, lon?, placeId?, capacity?, rooms?: [{ name, capacity?, notes? }] }
+ * 409 when the name is taken. (locations:write)
+ */
+router.post('/', verifyToken, async (req, res, next) => {
+  try {
+    if (!allowed(req, 'locations:write')) return res.status(403).json({ message: 'Forbidden' });
+
+    const rooms = Array.isArray(req.body?.rooms) ? req.body.rooms.map((r) => pick(r, ROOM_FIELDS)) : [];
+    const location = await Location.create({
+      ...sanitizeLocation(req.body),
+      rooms,
+      owner: req.tenant.ownerId,
+    });
+    await recordAudit(req, 'location.create', location);
+    res.status(201).json(location);
+  } catch (err) {
+    if (sendLocationError(res, err)) return;
+    next(err);
+  }
+});
+
+/**
+ * PATCH /api/locations/:id
+ * Body: any location field (see POST) but rooms. Courses held here get the new
+ * label and coordinates. 409 when courses booking the whole venue have more
+ * students than a lowered capacity; a raised one promotes their waitlists.
+ * (locations:write)
+ */
+router.patch('/:id', verifyToken, async (req, res, next) => {
+  try {
+    const location = await loadLocation(req, res, 'locations:write');
+    if (!location) return;
+
+    const updates = sanitizeLocation(req.body);
+    if ('capacity' in updates && await rejectOverbooked(res, location._id, null, updates.capacity)) return;
+
+    const before = snapshot(location);
+    location.set(updates);
+    await location.save();
+    await syncCourseLocations(location);
+    await recordAudit(req, 'location.update', location, { before });
+    if ('capacity' in updates) await fillFreedSeats(req, location._id, null);
+    res.json(location);
+  } catch (err) {
+    if (sendLocationError(res, err)) return;
+    next(err);
+  }
+});
+
+/**
+ * DELETE /api/locations/:id
+ * 409 while any course (archived included) is held there. (locations:delete)
+ */
+router.delete('/:id', verifyToken, async (req, res, next) => {
+  try {
+    const location = await loadLocation(req, res, 'locations:delete');
+    if (!location) return;
+
+    const courses = await coursesAt(location._id);
+    if (courses) {
+      return res.status(409).json({ message: 'Courses still use this location. Move them first.', courses });
+    }
+
+    await location.deleteOne();
+    await recordAudit(req, 'location.delete', location, { before: snapshot(location), after: null });
+    res.status(204).end();
+  } catch (err) {
+    if (sendLocationError(res, err)) return;
+    next(err);
+  }
+});
+
+/* ------------------------------ Rooms ------------------------------ */
+/**
+ * POST /api/locations/:id/rooms
+ * Body: { name, capacity?, notes? } -> the updated location (locations:write)
+ */
+router.post('/:id/rooms', verifyToken, async (req, res, next) => {
+  try {
+    const location = await loadLocation(req, res, 'locations:write');
+    if (!location) return;
+
+    const before = snapshot(location);
+    location.rooms.push(pick(req.body, ROOM_FIELDS));
+    await location.save();
+    await recordAudit(req, 'location.room.add', location, { before });
+    res.status(201).json(location);
+  } catch (err) {
+    if (sendLocationError(res, err)) return;
+    next(err);
+  }
+});
+
+/**
+ * PATCH /api/locations/:id/rooms/:roomId
+ * Body: { name?, capacity?, notes? }. Renames reach the courses in the room;
+ * 409 when its courses have more students than a lowered capacity, while a
+ * raised one promotes their waitlists. (locations:write)
+ */
+router.patch('/:id/rooms/:roomId', verifyToken, async (req, res, next) => {
+  try {
+    const location = await loadLocation(req, res, 'locations:write');
+    if (!location) return;
+    const room = location.rooms.id(req.params.roomId);
+    if (!room) return res.status(404).json({ message: 'Room not found' });
+
+    const updates = pick(req.body, ROOM_FIELDS);
+    if ('capacity' in updates && await rejectOverbooked(res, location._id, room._id, updates.capacity)) return;
+
+    const before = snapshot(location);
+    room.set(updates);
+    await location.save();
+    if ('name' in updates) await syncCourseLocations(location);
+    await recordAudit(req, 'location.room.update', location, { before });
+    if ('capacity' in updates) await fillFreedSeats(req, location._id, room._id);
+    res.json(location);
+  } catch (err) {
+    if (sendLocationError(res, err)) return;
+    next(err);
+  }
+});
+
+/**
+ * DELETE /api/locations/:id/rooms/:roomId
+ * 409 while any course (archived included) is held in the room. (locations:write)
+ */
+router.delete('/:id/rooms/:roomId', verifyToken, async (req, res, next) => {
+  try {
+    const location = await loadLocation(req, res, 'locations:write');
+    if (!location) return;
+    const room = location.rooms.id(req.params.roomId);
+    if (!room) return res.status(404).json({ message: 'Room not found' });
+
+    const courses = await coursesAt(location._id, room._id);
+    if (courses) {
+      return res.status(409).json({ message: 'Courses still use this room. Move them first.', courses });
+    }
+
+    const before = snapshot(location);
+    room.deleteOne();
+    await location.save();
+    await recordAudit(req, 'location.room.remove', location, { before });
+    res.json(location);
+  } catch (err) {
+    if (sendLocationError(res, err)) return;
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,272 @@
+// routes/me.js
+// Student / parent portal. Everything is scoped to the students linked to the
+// caller (Student.user) and their active enrollments; no course financials, no
+// other students' data. Invoices are the caller's own.
+const express = require('express');
+
+const Student = require('../models/student');
+const Enrollment = require('../models/enrollment');
+const Course = require('../models/course');
+const StudentAttendance = require('../models/student-attendance');
+const Invoice = require('../models/invoice');
+const verifyToken = require('../middleware/verify-token');
+const { isCancelled, todayIn, toDateKey, ymd } = require('../lib/sessions');
+
+const router = express.Router();
+
+/* --------------------------- Config / Helpers --------------------------- */
+const DEFAULT_SESSION_LIMIT = 50;
+const MAX_SESSION_LIMIT = 200;
+
+// Course fields a student may see
+const COURSE_FIELDS = 'title description location timezone start_date end_date daysOfWeek courseDatesTimes instructors owner';
+
+function requireStudent(req, res, next) {
+  if (!(req.user?.roles || []).includes('student')) {
+    return res.status(403).json({ message: 'Student portal only.' });
+  }
+  next();
+}
+
+/**
+ * The caller's students and their active enrollments in courses that are not
+ * archived (an archived course drops out of the portal, enrollments included).
+ * Returns { students, enrollments, courseIds }.
+ */
+async function loadScope(userId) {
+  const students = await Student.find({ user: userId }).select('name owner').lean();
+  const active = students.length
+    ? await Enrollment.find({ student_id: { $in: students.map((s) => s._id) }, status: 'active' })
+      .select('student_id course_id enrolled_at')
+      .lean()
+    : [];
+  const live = new Set(
+    (await Course.find({ _id: { $in: active.map((e) => e.course_id) }, archivedAt: null }).distinct('_id')).map(String)
+  );
+  const enrollments = active.filter((e) => live.has(String(e.course_id)));
+  const courseIds = [...live];
+  return { students, enrollments, courseIds };
+}
+
+function studentRef(students, id) {
+  const s = students.find((x) => String(x._id) === String(id));
+  return s ? { id: s._id, name: s.name } : null;
+}
+
+function sessionView(s) {
+  return {
+    date: ymd(s.date),
+    start_time: s.start_time,
+    end_time: s.end_time,
+    startsAt: s.startsAt,
+    endsAt: s.endsAt,
+    status: s.status || 'scheduled',
+    kind: s.kind || 'regular',
+    ...(s.originalDate ? { originalDate: ymd(s.originalDate) } : {}),
+    ...(s.reason ? { reason: s.reason } : {}),
+  };
+}
+
+function courseView(course) {
+  const sessions = course.courseDatesTimes || [];
+  return {
+    id: course._id,
+    title: course.title,
+    description: course.description,
+    location: course.location,
+    timezone: course.timezone,
+    start_date: course.start_date,
+    end_date: course.end_date,
+    daysOfWeek: course.daysOfWeek,
+    organization: course.owner?.name ? { id: course.owner._id, name: course.owner.name } : undefined,
+    instructors: (course.instructors || []).map((i) => ({ id: i._id, name: i.name })),
+    totalSessions: sessions.filter((s) => !isCancelled(s)).length,
+  };
+}
+
+async function loadCourses(courseIds) {
+  return Course.find({ _id: { $in: courseIds }, archivedAt: null })
+    .select(COURSE_FIELDS)
+    .populate('instructors', 'name')
+    .populate('owner', 'name')
+    .sort({ start_date: 1 })
+    .lean();
+}
+
+/* -------------------------------- Routes -------------------------------- */
+router.use(verifyToken, requireStudent);
+
+/**
+ * GET /api/me/students
+ * The students (children) linked to the caller.
+ */
+router.get('/students', async (req, res, next) => {
+  try {
+    const { students } = await loadScope(req.user._id);
+    res.json(students.map((s) => ({ id: s._id, name: s.name })));
+  } catch (err) { next(err); }
+});
+
+/**
+ * GET /api/me/courses
+ * Courses the caller's students are actively enrolled in, one entry per enrollment.
+ */
+router.get('/courses', async (req, res, next) => {
+  try {
+    const { students, enrollments, courseIds } = await loadScope(req.user._id);
+    if (!courseIds.length) return res.json([]);
+
+    const courses = new Map((await loadCourses(courseIds)).map((c) => [String(c._id), c]));
+    const items = enrollments
+      .filter((e) => courses.has(String(e.course_id)))
+      .map((e) => ({
+        ...courseView(courses.get(String(e.course_id))),
+        student: studentRef(students, e.student_id),
+        enrolled_at: e.enrolled_at,
+      }));
+    res.json(items);
+  } catch (err) { next(err); }
+});
+
+/**
+ * GET /api/me/courses/:courseId
+ * One enrolled course with its full session calendar (cancelled sessions included).
+ */
+router.get('/courses/:courseId', async (req, res, next) => {
+  try {
+    const { students, enrollments, courseIds } = await loadScope(req.user._id);
+    if (!courseIds.includes(String(req.params.courseId))) {
+      return res.status(404).json({ message: 'Not found' });
+    }
+
+    const [course] = await loadCourses([req.params.courseId]);
+    if (!course) return res.status(404).json({ message: 'Not found' });
+
+    res.json({
+      ...courseView(course),
+      students: enrollments
+        .filter((e) => String(e.course_id) === String(course._id))
+        .map((e) => studentRef(students, e.student_id)),
+      sessions: (course.courseDatesTimes || []).map(sessionView),
+    });
+  } catch (err) { next(err); }
+});
+
+/**
+ * GET /api/me/sessions?from=yyyy-mm-dd&to=yyyy-mm-dd&limit=50
+ * Upcoming sessions across enrolled courses, soonest first. `from` defaults to
+ * today in each course's timezone. Cancelled sessions are listed with their status.
+ */
+router.get('/sessions', async (req, res, next) => {
+  try {
+    const from = req.query.from ? toDateKey(req.query.from) : null;
+    const to = req.query.to ? toDateKey(req.query.to) : null;
+    if ((req.query.from && !from) || (req.query.to && !to)) {
+      return res.status(400).json({ message: 'from and to must be dates (yyyy-mm-dd).' });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_SESSION_LIMIT, 1), MAX_SESSION_LIMIT);
+
+    const { students, enrollments, courseIds } = await loadScope(req.user._id);
+    if (!courseIds.length) return res.json([]);
+
+    const courses = await loadCourses(courseIds);
+    const items = courses.flatMap((course) => {
+      const start = from || todayIn(course.timezone);
+      const enrolled = enrollments
+        .filter((e) => String(e.course_id) === String(course._id))
+        .map((e) => studentRef(students, e.student_id));
+      return (course.courseDatesTimes || [])
+        .filter((s) => {
+          const day = ymd(s.date);
+          return day >= start && (!to || day <= to);
+        })
+        .map((s) => ({
+          ...sessionView(s),
+          course: { id: course._id, title: course.title, location: course.location, timezone: course.timezone },
+          students: enrolled,
+        }));
+    });
+
+    items.sort((a, b) => new Date(a.startsAt || a.date) - new Date(b.startsAt || b.date));
+    res.json(items.slice(0, limit));
+  } catch (err) { next(err); }
+});
+
+/**
+ * GET /api/me/attendance?course=<id>
+ * Roll-call marks for the caller's students in the courses they are actively
+ * enrolled in, grouped per student and course with status counts.
+ */
+router.get('/attendance', async (req, res, next) => {
+  try {
+    const { students, enrollments, courseIds } = await loadScope(req.user._id);
+    if (!enrollments.length) return res.json([]);
+    if (req.query.course && !courseIds.includes(String(req.query.course))) return res.json([]);
+
+    // Only the student/course pairs with an active enrollment
+    const pairs = enrollments
+      .filter((e) => !req.query.course || String(e.course_id) === String(req.query.course))
+      .map((e) => ({ student: e.student_id, course: e.course_id }));
+    const filter = { $or: pairs };
+
+    const marks = await StudentAttendance.find(filter)
+      .select('course student session status note')
+      .populate('course', 'title')
+      .sort({ session: 1 })
+      .lean();
+
+    const groups = new Map();
+    for (const m of marks) {
+      if (!m.course) continue;
+      const key = `${m.student}:${m.course._id}`;
+      if (!groups.has(key)) {
+        groups.set(key, {
+          student: studentRef(students, m.student),
+          course: { id: m.course._id, title: m.course.title },
+          counts: Object.fromEntries(StudentAttendance.STATUSES.map((s) => [s, 0])),
+          sessions: [],
+        });
+      }
+      const group = groups.get(key);
+      group.counts[m.status] += 1;
+      group.sessions.push({ session: m.session, status: m.status, ...(m.note ? { note: m.note } : {}) });
+    }
+    res.json([...groups.values()]);
+  } catch (err) { next(err); }
+});
+
+/**
+ * GET /api/me/invoices?status=open|partial|paid|outstanding
+ * Invoices of the caller's students with payments and balance (void ones hidden).
+ */
+router.get('/invoices', async (req, res, next) => {
+  try {
+    const { students } = await loadScope(req.user._id);
+    if (!students.length) return res.json([]);
+
+    const filter = { student: { $in: students.map((s) => s._id) }, status: { $ne: 'void' } };
+    const { status } = req.query;
+    if (status === 'outstanding') filter.status = { $in: Invoice.OUTSTANDING };
+    else if (status && status !== 'void' && Invoice.STATUSES.includes(status)) filter.status = status;
+
+    const invoices = await Invoice.find(filter).sort({ issuedAt: -1 }).lean();
+    res.json(invoices.map((inv) => ({
+      id: inv._id,
+      number: inv.number,
+      student: studentRef(students, inv.student),
+      course: { id: inv.course, title: inv.courseTitle },
+      amount: inv.amount,
+      discount: inv.discount,
+      total: inv.total,
+      paid: inv.paid,
+      balance: inv.balance,
+      status: inv.status,
+      issuedAt: inv.issuedAt,
+      dueDate: inv.dueDate,
+      payments: (inv.payments || []).map((p) => ({ amount: p.amount, method: p.method, paidAt: p.paidAt })),
+      refunds: (inv.refunds || []).map((r) => ({ amount: r.amount, refundedAt: r.refundedAt })),
+    })));
+  } catch (err) { next(err); }
+});
+
+module.exports = router;
@@ -0,0 +1,351 @@
+// routes/organizations.js
+const express = require('express');
+const bcrypt = require('bcryptjs');
+
+const Organization = require('../models/organization');
+const User = require('../models/user');
+const verifyToken = require('../middleware/verify-token');
+const { MEMBER_ROLES, allowed } = require('../lib/permissions');
+const { isValidTimeZone } = require('../lib/sessions');
+const { generateOpaqueToken } = require('../lib/tokens');
+const { createInvite } = require('../lib/invites');
+const { requireFeature, organizationLimitExceeded } = require('../lib/plans');
+
+const router = express.Router();
+
+/* --------------------------- Config / Helpers --------------------------- */
+const EDITABLE_FIELDS = ['name', 'timezone'];
+
+const toStr = (v) => (v == null ? '' : String(v));
+const normalizeEmail = (e) => toStr(e).trim().toLowerCase();
+
+function parseRole(raw) {
+  const role = toStr(raw).trim().toLowerCase();
+  return MEMBER_ROLES.includes(role) ? role : null;
+}
+
+const ROLE_ERROR = `role must be one of: ${MEMBER_ROLES.join(', ')}`;
+
+// Only owners may hand out (or take away) the owner role
+function canAssign(req, role) {
+  return role !== 'owner' || req.tenant.roles.includes('owner');
+}
+
+// An organization always keeps at least one owner
+function isLastOwner(org, userId) {
+  const owners = org.members.filter((m) => m.role === 'owner');
+  return owners.length === 1 && String(owners[0].user) === String(userId);
+}
+
+async function loadCurrent(req) {
+  if (!req.tenant.ownerId) return null;
+  return Organization.findById(req.tenant.ownerId);
+}
+
+/* -------------------------------- Routes -------------------------------- */
+/**
+ * GET /api/organizations
+ * Organizations the caller belongs to, with their role in each.
+ */
+router.get('/', verifyToken, async (req, res, next) => {
+  try {
+    const orgs = await Organization.find({ 'members.user': req.user._id })
+      .select('name timezone members')
+      .sort({ name: 1 })
+      .lean();
+    res.json(orgs.map((o) => ({
+      id: o._id,
+      name: o.name,
+      timezone: o.timezone,
+      role: o.members.find((m) => String(m.user) === String(req.user._id))?.role,
+      active: String(o._id) === String(req.tenant.ownerId),
+    })));
+  } catch (err) { next(err); }
+});
+
+/**
+ * POST /api/organizations
+ * Body: { name, timezone? }
+ * Creates an organization owned by the caller and makes it their active one.
+ * 402 when the caller already owns a free-plan organization.
+ */
+router.post('/', verifyToken, async (req, res, next) => {
+  try {
+    const name = toStr(req.body?.name).trim();
+    if (!name) return res.status(400).json({ message: 'name is required' });
+    const timezone = req.body?.timezone;
+    if (timezone && !isValidTimeZone(timezone)) {
+      return res.status(400).json({ message: 'timezone must be a valid IANA timezone.' });
+    }
+
+    const exceeded = await organizationLimitExceeded(req.user._id);
+    if (exceeded) return res.status(402).json(exceeded);
+
+    const user = await User.findById(req.user._id).select('username fullName timezone').lean();
+    const org = await Organization.createFor(user, { name, timezone });
+    res.status(201).json(org);
+  } catch (err) { next(err); }
+});
+
+/**
+ * POST /api/organizations/:orgId/activate
+ * Makes `orgId` the caller's default organization (requests without X-Organization-Id).
+ */
+router.post('/:orgId/activate', verifyToken, async (req, res, next) => {
+  try {
+    const org = await Organization.findOne({ _id: req.params.orgId, 'members.user': req.user._id })
+      .select('name')
+      .lean();
+    if (!org) return res.status(404).json({ message: 'Not found' });
+
+    await User.updateOne({ _id: req.user._id }, { $set: { organization: org._id } });
+    res.json({ id: org._id, name: org.name });
+  } catch (err) { next(err); }
+});
+
+/**
+ * GET /api/organizations/current
+ * The organization the request acts in. Members are listed with members:read.
+ */
+router.get('/current', verifyToken, async (req, res, next) => {
+  try {
+    const org = await loadCurrent(req);
+    if (!org) return res.status(404).json({ message: 'No organization' });
+
+    if (!allowed(req, 'members:read')) {
+      const { members, ...rest } = org.toJSON();
+      return res.json({ ...rest, role: req.tenant.roles[0] });
+    }
+    await org.populate('members.user', 'username email fullName status');
+    res.json({ ...org.toJSON(), role: req.tenant.roles[0] });
+  } catch (err) { next(err); }
+});
+
+/**
+ * PATCH /api/organizations/current
+ * Body: { name?, timezone? } (organization:write)
+ */
+router.patch('/current', verifyToken, async (req, res, next) => {
+  try {
+    if (!allowed(req, 'organization:write')) return res.status(403).json({ message: 'Forbidden' });
+
+    const updates = Object.fromEntries(
+      Object.entries(req.body || {}).filter(([k]) => EDITABLE_FIELDS.includes(k))
+    );
+    if ('timezone' in updates && !isValidTimeZone(updates.timezone)) {
+      return res.status(400).json({ message: 'timezone must be a valid IANA timezone.' });
+    }
+
+    const org = await Organization.findByIdAndUpdate(req.tenant.ownerId, { $set: updates }, {
+      new: true,
+      runValidators: true,
+    });
+    if (!org) return res.status(404).json({ message: 'No organization' });
+    res.json(org);
+  } catch (err) { next(err); }
+});
+
+/* ------------------------- Certificate template ------------------------- */
+const TEMPLATE_FIELDS = ['title', 'body', 'signatureName', 'signatureTitle', 'accentColor', 'minAttendance'];
+
+/**
+ * GET /api/organizations/current/certificate-template
+ * Layout and attendance threshold used for certificates of completion.
+ */
+router.get('/current/certificate-template', verifyToken, async (req, res, next) => {
+  try {
+    const org = await loadCurrent(req);
+    if (!org) return res.status(404).json({ message: 'No organization' });
+    res.json(org.certificate);
+  } catch (err) { next(err); }
+});
+
+/**
+ * PUT /api/organizations/current/certificate-template
+ * Body: { title?, body?, signatureName?, signatureTitle?, accentColor? (#rrggbb), minAttendance? (0-100) }
+ * `body` may use {{student}}, {{course}}, {{hours}}, {{startDate}}, {{endDate}}, {{organization}}.
+ * (organization:write)
+ */
+router.put('/current/certificate-template', verifyToken, async (req, res, next) => {
+  try {
+    if (!allowed(req, 'organization:write')) return res.status(403).json({ message: 'Forbidden' });
+
+    const org = await loadCurrent(req);
+    if (!org) return res.status(404).json({ message: 'No organization' });
+
+    for (const [k, v] of Object.entries(req.body || {})) {
+      if (TEMPLATE_FIELDS.includes(k)) org.set(`certificate.${k}`, v === '' ? undefined : v);
+    }
+    await org.save();
+    res.json(org.certificate);
+  } catch (err) {
+    if (err.name === 'ValidationError') return res.status(400).json({ message: err.message });
+    next(err);
+  }
+});
+
+/* ------------------------------- Members -------------------------------- */
+
+/**
+ * GET /api/organizations/current/members (members:read)
+ */
+router.get('/current/members', verifyToken, async (req, res, next) => {
+  try {
+    if (!allowed(req, 'members:read')) return res.status(403).json({ message: 'Forbidden' });
+
+    const org = await Organization.findById(req.tenant.ownerId)
+      .populate('members.user', 'username email fullName status')
+      .lean();
+    if (!org) return res.status(404).json({ message: 'No organization' });
+    res.json(org.members);
+  } catch (err) { next(err); }
+});
+
+/**
+ * POST /api/organizations/current/members
+ * Body: { username | email, role }
+ * Adds an existing account to the organization (members:manage).
+ */
+router.post('/current/members', verifyToken, async (req, res, next) => {
+  try {
+    if (!allowed(req, 'members:manage')) return res.status(403).json({ message: 'Forbidden' });
+
+    const role = parseRole(req.body?.role);
+    if (!role) return res.status(400).json({ message: ROLE_ERROR });
+    if (!canAssign(req, role)) return res.status(403).json({ message: 'Only owners can add owners.' });
+
+    const login = toStr(req.body?.username ?? req.body?.email).trim();
+    if (!login) return res.status(400).json({ message: 'username or email is required' });
+
+    const user = await User.findOne({ $or: [{ username: login }, { email: normalizeEmail(login) }] })
+      .select('username email fullName organization');
+    if (!user) return res.status(404).json({ message: 'User not found.' });
+
+    const org = await loadCurrent(req);
+    if (!org) return res.status(404).json({ message: 'No organization' });
+    if (org.memberOf(user._id)) return res.status(409).json({ message: 'User is already a member.' });
+
+    org.members.push({ user: user._id, role, addedBy: req.user._id });
+    await org.save();
+    if (!user.organization) {
+      user.organization = org._id;
+      await user.save();
+    }
+
+    res.status(201).json(org.memberOf(user._id));
+  } catch (err) { next(err); }
+});
+
+/**
+ * PATCH /api/organizations/current/members/:userId
+ * Body: { role } (members:manage)
+ */
+router.patch('/current/members/:userId', verifyToken, async (req, res, next) => {
+  try {
+    if (!allowed(req, 'members:manage')) return res.status(403).json({ message: 'Forbidden' });
+
+    const role = parseRole(req.body?.role);
+    if (!role) return res.status(400).json({ message: ROLE_ERROR });
+
+    const org = await loadCurrent(req);
+    if (!org) return res.status(404).json({ message: 'No organization' });
+    const member = org.memberOf(req.params.userId);
+    if (!member) return res.status(404).json({ message: 'Member not found.' });
+
+    if (!canAssign(req, role) || !canAssign(req, member.role)) {
+      return res.status(403).json({ message: 'Only owners can change owners.' });
+    }
+    if (role !== 'owner' && isLastOwner(org, member.user)) {
+      return res.status(409).json({ message: 'An organization needs at least one owner.' });
+    }
+
+    member.role = role;
+    await org.save();
+    res.json(member);
+  } catch (err) { next(err); }
+});
+
+/**
+ * DELETE /api/organizations/current/members/:userId
+ * members:manage, or any member removing themselves (leaving).
+ */
+router.delete('/current/members/:userId', verifyToken, async (req, res, next) => {
+  try {
+    const isSelf = String(req.params.userId) === String(req.user._id);
+    if (!isSelf && !allowed(req, 'members:manage')) return res.status(403).json({ message: 'Forbidden' });
+
+    const org = await loadCurrent(req);
+    if (!org) return res.status(404).json({ message: 'No organization' });
+    const member = org.memberOf(req.params.userId);
+    if (!member) return res.status(404).json({ message: 'Member not found.' });
+
+    if (!isSelf && !canAssign(req, member.role)) {
+      return res.status(403).json({ message: 'Only owners can remove owners.' });
+    }
+    if (isLastOwner(org, member.user)) {
+      return res.status(409).json({ message: 'An organization needs at least one owner.' });
+    }
+
+    org.members = org.members.filter((m) => String(m.user) !== String(member.user));
+    await org.save();
+    await User.updateOne(
+      { _id: member.user, organization: org._id },
+      { $unset: { organization: 1 } }
+    );
+    res.status(204).end();
+  } catch (err) { next(err); }
+});
+
+/* ------------------------------- Invites -------------------------------- */
+
+/**
+ * POST /api/organizations/current/invites
+ * Body: { email, role }
+ * Invites someone without an account as a staff member: creates an `invited`
+ * user and emails a set-password link (also returned). Accepting it adds the membership.
+ * Existing accounts are added with POST /current/members instead.
+ * (members:manage; 403 when the plan does not include invites)
+ */
+router.post('/current/invites', verifyToken, requireFeature('invites'), async (req, res, next) => {
+  try {
+    if (!allowed(req, 'members:manage')) return res.status(403).json({ message: 'Forbidden' });
+
+    const role = parseRole(req.body?.role);
+    if (!role) return res.status(400).json({ message: ROLE_ERROR });
+    if (!canAssign(req, role)) return res.status(403).json({ message: 'Only owners can invite owners.' });
+
+    const email = normalizeEmail(req.body?.email);
+    if (!/^\S+@\S+\.\S+$/.test(email)) return res.status(400).json({ message: 'A valid email is required.' });
+
+    let user = await User.findOne({ $or: [{ username: email }, { email }] });
+    if (user && user.status !== 'invited') {
+      return res.status(409).json({
+        message: 'This person already has an account. Add them as a member instead.',
+      });
+    }
+    if (!user) {
+      user = await User.create({
+        username: email,
+        email,
+        // Placeholder until the invite sets a real password
+        hashedPassword: await bcrypt.hash(generateOpaqueToken(16), 10),
+        roles: [],
+        status: 'invited',
+      });
+    }
+
+    const { url, expiresAt, delivery } = await createInvite({
+      owner: req.tenant.ownerId,
+      user: user._id,
+      organization: req.tenant.ownerId,
+      role,
+      createdBy: req.user._id,
+      email,
+      template: 'staff-invite',
+      data: { organizationName: req.tenant.name, role },
+    });
+    res.status(201).json({ url, expiresAt, delivery });
+  } catch (err) { next(err); }
+});
+
+module.exports = router;
@@ -0,0 +1,41 @@
+// routes/reports.js
+const express = require('express');
+
+const verifyToken = require('../middleware/verify-token');
+const { allowed } = require('../lib/permissions');
+const { toDateKey, DEFAULT_TIMEZONE } = require('../lib/sessions');
+const { GROUP_BY, financialSummary } = require('../lib/reports');
+
+const router = express.Router();
+
+/* -------------------------------- Routes -------------------------------- */
+/**
+ * GET /api/reports/summary?from=yyyy-mm-dd&to=yyyy-mm-dd&groupBy=month|instructor|location
+ * Revenue, instructor expense, materials cost, profit, sessions and hours across
+ * the tenant's courses, computed by the database. from/to select sessions by
+ * date (calendar days in the organization's timezone). (reports:read)
+ */
+router.get('/summary', verifyToken, async (req, res, next) => {
+  try {
+    if (!allowed(req, 'reports:read')) return res.status(403).json({ message: 'Forbidden' });
+
+    const { from, to, groupBy } = req.query;
+    const tz = req.tenant.timezone || DEFAULT_TIMEZONE;
+    const fromKey = from ? toDateKey(from, tz) : undefined;
+    const toKey = to ? toDateKey(to, tz) : undefined;
+    if ((from && !fromKey) || (to && !toKey)) {
+      return res.status(400).json({ message: 'from and to must be dates (yyyy-mm-dd).' });
+    }
+    if (fromKey && toKey && fromKey > toKey) {
+      return res.status(400).json({ message: 'from must be on or before to.' });
+    }
+    if (groupBy && !GROUP_BY.includes(groupBy)) {
+      return res.status(400).json({ message: `groupBy must be one of: ${GROUP_BY.join(', ')}` });
+    }
+
+    const summary = await financialSummary({ owner: req.tenant.ownerId, from: fromKey, to: toKey, groupBy });
+    res.json({ from: fromKey || null, to: toKey || null, groupBy: groupBy || null, ...summary });
+  } catch (err) { next(err); }
+});
+
+module.exports = router;
@@ -0,0 +1,192 @@
+// routes/students.js
+const express = require('express');
+const bcrypt = require('bcryptjs');
+
+const Student = require('../models/student');
+const User = require('../models/user');
+const Organization = require('../models/organization');
+const Enrollment = require('../models/enrollment');
+const verifyToken = require('../middleware/verify-token');
+const { allowed } = require('../lib/permissions');
+const { requireFeature } = require('../lib/plans');
+const { generateOpaqueToken } = require('../lib/tokens');
+const { createInvite } = require('../lib/invites');
+const { removeStudentEnrollments, auditPromotions } = require('../lib/enrollments');
+const { studentReferences } = require('../lib/archive');
+
+const router = express.Router();
+
+/* --------------------------- Config / Helpers --------------------------- */
+const EDITABLE_FIELDS = ['name', 'tel1', 'tel2', 'email'];
+
+const toStr = (v) => (v == null ? '' : String(v));
+const normalizeEmail = (e) => toStr(e).trim().toLowerCase();
+const escapeRegExp = (s) => toStr(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+function sanitizeUpdatable(body = {}) {
+  const out = Object.fromEntries(
+    Object.entries(body).filter(([k]) => EDITABLE_FIELDS.includes(k))
+  );
+  if ('email' in out && out.email) out.email = normalizeEmail(out.email);
+  if ('name' in out && out.name) out.name = toStr(out.name).trim();
+  return out;
+}
+
+/* -------------------------------- Routes -------------------------------- */
+/**
+ * GET /api/students?q=
+ * Tenant-scoped list (students:read)
+ */
+router.get('/', verifyToken, async (req, res, next) => {
+  try {
+    if (!allowed(req, 'students:read')) return res.status(403).json({ message: 'Forbidden' });
+
+    const { q } = req.query;
+    const filter = { owner: req.tenant.ownerId };
+    if (q) {
+      const rx = new RegExp(escapeRegExp(q), 'i');
+      filter.$or = [{ name: rx }, { email: rx }, { tel1: rx }];
+    }
+    const items = await Student.find(filter).sort({ name: 1 });
+    res.json(items);
+  } catch (err) { next(err); }
+});
+
+/**
+ * GET /api/students/:id
+ * students:read. Includes the student's enrollments with course titles.
+ */
+router.get('/:id', verifyToken, async (req, res, next) => {
+  try {
+    const doc = await Student.findById(req.params.id).lean();
+    if (!doc) return res.status(404).json({ message: 'Not found' });
+    if (!allowed(req, 'students:read', doc)) return res.status(403).json({ message: 'Forbidden' });
+
+    const enrollments = await Enrollment.find({ student_id: doc._id })
+      .populate('course_id', 'title start_date end_date')
+      .sort({ enrolled_at: -1 })
+      .lean();
+
+    res.json({ ...doc, enrollments });
+  } catch (err) { next(err); }
+});
+
+/**
+ * POST /api/students
+ * Tenant-scoped create (students:write)
+ */
+router.post('/', verifyToken, async (req, res, next) => {
+  try {
+    if (!allowed(req, 'students:write')) return res.status(403).json({ message: 'Forbidden' });
+
+    const payload = sanitizeUpdatable(req.body);
+    payload.owner = req.tenant.ownerId;
+
+    const doc = await Student.create(payload);
+    res.status(201).json(doc);
+  } catch (err) { next(err); }
+});
+
+/**
+ * PATCH /api/students/:id
+ * students:write
+ */
+router.patch('/:id', verifyToken, async (req, res, next) => {
+  try {
+    const doc = await Student.findById(req.params.id);
+    if (!doc) return res.status(404).json({ message: 'Not found' });
+    if (!allowed(req, 'students:write', doc)) return res.status(403).json({ message: 'Forbidden' });
+
+    const updates = sanitizeUpdatable(req.body);
+    const updated = await Student.findByIdAndUpdate(req.params.id, updates, {
+      new: true,
+      runValidators: true,
+    });
+    res.json(updated);
+  } catch (err) { next(err); }
+});
+
+/**
+ * DELETE /api/students/:id
+ * students:delete. Removes the student's enrollments and hands freed seats to
+ * the courses' waitlists. 409 while invoices, attendance marks or certificates
+ * still reference the student.
+ */
+router.delete('/:id', verifyToken, async (req, res, next) => {
+  try {
+    const doc = await Student.findById(req.params.id);
+    if (!doc) return res.status(404).json({ message: 'Not found' });
+    if (!allowed(req, 'students:delete', doc)) return res.status(403).json({ message: 'Forbidden' });
+
+    const references = await studentReferences(doc);
+    if (Object.keys(references).length) {
+      return res.status(409).json({ message: 'Student is still referenced by other records.', references });
+    }
+
+    const promotions = await removeStudentEnrollments(doc._id);
+    await Student.findByIdAndDelete(req.params.id);
+    for (const { course, promoted } of promotions) await auditPromotions(req, course, promoted);
+
+    res.status(204).end();
+  } catch (err) { next(err); }
+});
+
+/**
+ * POST /api/students/:id/invite
+ * Invites the student (or the parent using the student's email) to the portal:
+ * - find/create a User by the student's email, link student.user
+ * - email a set-password link (accepted through /auth/accept-invite)
+ * - return { expiresAt, delivery }
+ * students:write; 403 when the plan does not include invites, 409 when the
+ * email belongs to an account that is already set up.
+ */
+router.post('/:id/invite', verifyToken, requireFeature('invites'), async (req, res, next) => {
+  try {
+    const doc = await Student.findById(req.params.id);
+    if (!doc) return res.status(404).json({ message: 'Not found' });
+    if (!allowed(req, 'students:write', doc)) return res.status(403).json({ message: 'Forbidden' });
+
+    const email = normalizeEmail(doc.email);
+    if (!email) return res.status(400).json({ message: 'Student is missing a valid email.' });
+
+    let user = doc.user
+      ? await User.findById(doc.user)
+      : await User.findOne({ $or: [{ username: email }, { email }] });
+    if (user && user.status !== 'invited') {
+      return res.status(409).json({
+        message: doc.user
+          ? 'The student already has portal access.'
+          : 'This email already belongs to an account.',
+      });
+    }
+    if (!user) {
+      user = await User.create({
+        username: email,
+        email,
+        // Placeholder until the invite sets a real password
+        hashedPassword: await bcrypt.hash(generateOpaqueToken(16), 10),
+        roles: ['student'],
+        status: 'invited',
+      });
+    }
+    if (!doc.user) {
+      doc.user = user._id;
+      await doc.save();
+    }
+
+    const org = await Organization.findById(doc.owner).select('name').lean();
+    const { expiresAt, delivery } = await createInvite({
+      owner: doc.owner,
+      user: user._id,
+      student: doc._id,
+      createdBy: req.user._id,
+      email: user.email || email,
+      template: 'student-invite',
+      data: { name: doc.name, organizationName: org?.name },
+    });
+
+    res.status(201).json({ expiresAt, delivery });
+  } catch (err) { next(err); }
+});
+
+module.exports = router;
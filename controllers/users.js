@@ -2,6 +2,9 @@ const express = require('express');
 const router = express.Router();
 const User = require('../models/user');
 const verifyToken = require('../middleware/verify-token');
+const { isValidTimeZone } = require('../lib/sessions');
+
+const SELF_EDITABLE_FIELDS = ['fullName', 'timezone'];
 
 router.get('/',verifyToken,  async (req, res) => {
   try {
@@ -36,4 +39,29 @@ router.get('/:userId', verifyToken, async (req, res) => {
   }
 });
 
+router.patch('/:userId', verifyToken, async (req, res) => {
+  try {
+    // Users can only update their own profile settings
+    if (req.user._id !== req.params.userId){
+      return res.status(403).json({ err: "Unauthorized"});
+    }
+
+    const updates = Object.fromEntries(
+      Object.entries(req.body || {}).filter(([k]) => SELF_EDITABLE_FIELDS.includes(k))
+    );
+    if ('timezone' in updates && !isValidTimeZone(updates.timezone)) {
+      return res.status(400).json({ err: 'timezone must be a valid IANA timezone.' });
+    }
+
+    const user = await User.findByIdAndUpdate(req.params.userId, { $set: updates }, { new: true });
+    if (!user) {
+      return res.status(404).json({ err: 'User not found.'});
+    }
+
+    res.json({ user });
+  } catch (err) {
+    res.status(500).json({ err: err.message });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,73 @@
+// lib/archive.js
+// Soft delete for courses and instructors. Archiving sets `archivedAt`; the
+// record keeps its revenue, attendance and payroll history but drops out of
+// default lists, plan usage and scheduling. Purging (a real delete) is only
+// allowed once nothing references the record any more; the same goes for
+// deleting a student.
+const Course = require('../models/course');
+const Enrollment = require('../models/enrollment');
+const Invoice = require('../models/invoice');
+const StudentAttendance = require('../models/student-attendance');
+const Certificate = require('../models/certificate');
+const PayrollStatement = require('../models/payroll-statement');
+
+const NOT_ARCHIVED = { archivedAt: null };
+
+// ?includeArchived=true lists archived records too
+const archivedFilter = (req) =>
+  (req.query.includeArchived === 'true' || req.query.includeArchived === '1' ? {} : NOT_ARCHIVED);
+
+// { [name]: count } keeping only the non-zero counts
+async function countAll(queries) {
+  const names = Object.keys(queries);
+  const counts = await Promise.all(names.map((name) => queries[name].countDocuments()));
+  return Object.fromEntries(names.map((name, i) => [name, counts[i]]).filter(([, n]) => n > 0));
+}
+
+/**
+ * Records still pointing at the course: { enrollments?, invoices?, studentAttendance?,
+ * certificates?, payrollStatements? } ({} when it can be purged).
+ */
+function courseReferences(course) {
+  return countAll({
+    enrollments: Enrollment.find({ course_id: course._id }),
+    invoices: Invoice.find({ course: course._id }),
+    studentAttendance: StudentAttendance.find({ course: course._id }),
+    certificates: Certificate.find({ course: course._id }),
+    payrollStatements: PayrollStatement.find({ 'lines.course': course._id }),
+  });
+}
+
+/**
+ * Records still pointing at the instructor: { courses?, payrollStatements? }.
+ * Courses count when they list the instructor, hold a rate or attendance for
+ * them — archived courses included.
+ */
+function instructorReferences(instructor) {
+  const id = String(instructor._id);
+  return countAll({
+    courses: Course.find({
+      owner: instructor.owner,
+      $or: [
+        { instructors: id },
+        { [`instructorRates.${id}`]: { $exists: true } },
+        { [`attendance.${id}`]: { $exists: true } },
+      ],
+    }),
+    payrollStatements: PayrollStatement.find({ instructor: instructor._id }),
+  });
+}
+
+/**
+ * Records still pointing at the student: { invoices?, studentAttendance?,
+ * certificates? }. Enrollments are not counted: they go with the student.
+ */
+function studentReferences(student) {
+  return countAll({
+    invoices: Invoice.find({ student: student._id }),
+    studentAttendance: StudentAttendance.find({ student: student._id }),
+    certificates: Certificate.find({ student: student._id }),
+  });
+}
+
+module.exports = { NOT_ARCHIVED, archivedFilter, courseReferences, instructorReferences, studentReferences };
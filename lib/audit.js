@@ -0,0 +1,112 @@
+// lib/audit.js
+// Append-only audit trail (models/audit-event). Routes snapshot a document
+// before changing it and call recordAudit() afterwards; only the paths that
+// differ are stored. Failures are logged, never surfaced to the request.
+const AuditEvent = require('../models/audit-event');
+
+// Bookkeeping fields left out of diffs
+const IGNORED = new Set(['__v', 'createdAt', 'updatedAt']);
+// Stored as changed, never with their values
+const SECRET_RE = /password|secret|token|hash/i;
+const REDACTED = '[redacted]';
+
+const isObject = (v) => v != null && typeof v === 'object' && !Array.isArray(v);
+const isScalarArray = (v) => Array.isArray(v) && v.every((x) => x == null || typeof x !== 'object');
+
+/**
+ * Plain JSON copy of a document (ids and dates as strings, Maps as objects),
+ * taken before a change so the diff has something to compare against.
+ */
+function snapshot(doc) {
+  if (doc == null) return null;
+  const obj = typeof doc.toObject === 'function'
+    ? doc.toObject({ depopulate: true, flattenMaps: true, virtuals: false })
+    : doc;
+  return JSON.parse(JSON.stringify(obj));
+}
+
+/**
+ * Changed paths between two snapshots: [{ path, before, after }].
+ * Objects, and arrays of objects (by index), are compared field by field;
+ * scalar arrays and values present on one side only are recorded whole.
+ */
+function diff(before, after, path = '') {
+  const same = JSON.stringify(before) === JSON.stringify(after);
+  if (same) return [];
+
+  const bothObjects = isObject(before) && isObject(after);
+  const bothObjectArrays = Array.isArray(before) && Array.isArray(after) && !isScalarArray(before) && !isScalarArray(after);
+  if (!bothObjects && !bothObjectArrays) {
+    return [{ path: path || '$', before: before ?? null, after: after ?? null }];
+  }
+
+  const keys = bothObjects
+    ? [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    : Array.from({ length: Math.max(before.length, after.length) }, (_, i) => String(i));
+
+  return keys
+    .filter((key) => !(IGNORED.has(key) && bothObjects))
+    .flatMap((key) => {
+      const child = path ? `${path}.${key}` : key;
+      if (bothObjects && SECRET_RE.test(key)) {
+        return JSON.stringify(before[key]) === JSON.stringify(after[key])
+          ? []
+          : [{ path: child, before: before[key] == null ? null : REDACTED, after: after[key] == null ? null : REDACTED }];
+      }
+      return diff(before[key], after[key], child);
+    });
+}
+
+// Snapshot with secret fields masked (creates and deletes record it whole)
+function redact(value) {
+  if (Array.isArray(value)) return value.map(redact);
+  if (!isObject(value)) return value;
+  return Object.fromEntries(
+    Object.entries(value)
+      .filter(([k]) => !IGNORED.has(k))
+      .map(([k, v]) => [k, SECRET_RE.test(k) && v != null ? REDACTED : redact(v)])
+  );
+}
+
+const labelOf = (doc) => doc?.title || doc?.name || doc?.number || doc?.username || doc?.email || undefined;
+
+/**
+ * Append an audit event for `action` ("<resource>.<verb>") on `doc`.
+ * opts:
+ *   before  snapshot taken before the change (omit for creates)
+ *   after   snapshot after it; defaults to `doc` now, pass null for deletes
+ *   type    model name when `doc` is a lean object
+ *   owner   organization; defaults to the caller's tenant, then doc.owner
+ *   actor   user; defaults to req.user (pass it on routes without a token)
+ *   meta    extra context, e.g. { sessionKey, reason }
+ */
+async function recordAudit(req, action, doc, opts = {}) {
+  try {
+    const before = opts.before === undefined ? null : opts.before;
+    const after = opts.after === undefined ? snapshot(doc) : opts.after;
+    const changes = before && after ? diff(before, after) : diff(redact(before) || {}, redact(after) || {});
+    // Updates that changed nothing are not worth an event
+    if (before && after && !changes.length && !opts.meta) return;
+
+    const actor = opts.actor || req.user;
+    await AuditEvent.create({
+      owner: opts.owner ?? req.tenant?.ownerId ?? doc?.owner,
+      actor: actor?._id,
+      actorName: actor?.username,
+      action,
+      target: {
+        type: opts.type || doc?.constructor?.modelName,
+        id: doc?._id,
+        label: labelOf(doc),
+      },
+      changes,
+      meta: opts.meta,
+      ip: req.ip,
+      userAgent: req.get?.('user-agent'),
+    });
+  } catch (err) {
+    console.error(`audit ${action} failed:`, err.message);
+  }
+}
+
+module.exports = { snapshot, diff, recordAudit };
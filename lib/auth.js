@@ -0,0 +1,150 @@
+// lib/auth.js
+// Short-lived access tokens (JWT) bound to a server-side session, plus rotating
+// refresh tokens. Revoking the session (logout, reuse detection) or suspending
+// the user stops its access tokens on the next request.
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/user');
+const AuthSession = require('../models/auth-session');
+const { generateOpaqueToken, hashToken } = require('./tokens');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+function authError(message, code, status = 401) {
+  const err = new Error(message);
+  err.code = code;
+  err.status = status;
+  return err;
+}
+
+function signAccessToken(user, session) {
+  const payload = { sub: String(user._id), uid: String(user._id), sid: String(session._id), username: user.username };
+  return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+}
+
+function tokenResponse(user, session, refreshToken) {
+  const token = signAccessToken(user, session);
+  const { exp, iat } = jwt.decode(token);
+  return { token, refreshToken, tokenType: 'Bearer', expiresIn: exp - iat };
+}
+
+/**
+ * Start a session for `user` (sign-in, sign-up, accepted invite).
+ * Returns { token, refreshToken, tokenType, expiresIn }.
+ */
+async function startSession(user, req) {
+  const refreshToken = generateOpaqueToken();
+  const session = await AuthSession.create({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    expiresAt: refreshExpiry(),
+    lastUsedAt: new Date(),
+    userAgent: req?.get?.('user-agent'),
+    ip: req?.ip,
+  });
+  return tokenResponse(user, session, refreshToken);
+}
+
+/**
+ * Exchange a refresh token for a new access + refresh token pair. The presented
+ * token is retired; presenting a retired token again revokes the whole session.
+ */
+async function rotateRefreshToken(rawToken, req) {
+  if (!rawToken || typeof rawToken !== 'string') throw authError('refreshToken is required.', 'REFRESH_REQUIRED', 400);
+
+  const presented = hashToken(rawToken);
+  const next = generateOpaqueToken();
+  const now = new Date();
+
+  // Atomic swap so two concurrent refreshes cannot both succeed
+  const session = await AuthSession.findOneAndUpdate(
+    { refreshTokenHash: presented, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        refreshTokenHash: hashToken(next),
+        previousTokenHash: presented,
+        expiresAt: refreshExpiry(),
+        lastUsedAt: now,
+        userAgent: req?.get?.('user-agent'),
+        ip: req?.ip,
+      },
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const reused = await AuthSession.findOneAndUpdate(
+      { previousTokenHash: presented, revokedAt: null },
+      { $set: { revokedAt: now, revokedReason: 'refresh-token-reuse' } }
+    );
+    if (reused) throw authError('Refresh token was already used. Please sign in again.', 'REFRESH_REUSED');
+    throw authError('Invalid or expired refresh token.', 'REFRESH_INVALID');
+  }
+
+  const user = await User.findById(session.user).select('username status').lean();
+  if (!user || user.status === 'suspended') {
+    await AuthSession.updateOne({ _id: session._id }, { $set: { revokedAt: now, revokedReason: 'suspended' } });
+    throw authError(user ? 'Account suspended.' : 'Account not found.', user ? 'ACCOUNT_SUSPENDED' : 'ACCOUNT_NOT_FOUND');
+  }
+
+  return tokenResponse(user, session, next);
+}
+
+/**
+ * Revoke one session by refresh token or id (logout). Resolves to true when a
+ * live session was revoked.
+ */
+async function revokeSession({ refreshToken, sessionId, reason = 'logout' }) {
+  const filter = sessionId ? { _id: sessionId } : { refreshTokenHash: hashToken(refreshToken) };
+  const res = await AuthSession.updateOne(
+    { ...filter, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return res.modifiedCount > 0;
+}
+
+/**
+ * Verify a Bearer access token against its session and user.
+ * Resolves to { user, session, decoded } or throws an error with `status`.
+ */
+async function authenticate(token) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    throw authError(err.name === 'TokenExpiredError' ? 'Token expired.' : 'Invalid token.', 'TOKEN_INVALID');
+  }
+
+  // Support BOTH shapes:
+  // 1) Old: { payload: { _id, username, roles? } }
+  // 2) New: { _id? uid? sub?, sid, username?, roles? }
+  const src =
+    decoded && typeof decoded === 'object' && decoded.payload && typeof decoded.payload === 'object'
+      ? decoded.payload
+      : decoded;
+
+  const userId = String(src._id || src.uid || src.sub || '');
+  if (!userId || !mongoose.isValidObjectId(userId)) throw authError('Invalid token payload.', 'TOKEN_INVALID');
+
+  // Tokens issued before sessions existed never expire and cannot be revoked
+  if (!decoded.sid || !mongoose.isValidObjectId(decoded.sid)) {
+    throw authError('Session expired. Please sign in again.', 'SESSION_REQUIRED');
+  }
+
+  const [user, session] = await Promise.all([
+    User.findById(userId).select('username roles organization status').lean(),
+    AuthSession.findById(decoded.sid).select('user revokedAt expiresAt').lean(),
+  ]);
+  if (!user) throw authError('Account not found.', 'ACCOUNT_NOT_FOUND');
+  if (user.status === 'suspended') throw authError('Account suspended.', 'ACCOUNT_SUSPENDED');
+  if (!session || session.revokedAt || String(session.user) !== userId || session.expiresAt <= new Date()) {
+    throw authError('Session has been revoked. Please sign in again.', 'SESSION_REVOKED');
+  }
+
+  return { user, session, decoded, username: src.username || src.email || user.username };
+}
+
+module.exports = { startSession, rotateRefreshToken, revokeSession, authenticate };
@@ -0,0 +1,167 @@
+// lib/certificates.js
+// Certificates of completion: eligibility from student attendance, issuing
+// (one per student and course, with a public verification code) and PDF
+// rendering from the organization's template (Organization.certificate).
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+
+const Certificate = require('../models/certificate');
+const Enrollment = require('../models/enrollment');
+const StudentAttendance = require('../models/student-attendance');
+const { diffHours, isCancelled, todayIn, ymd } = require('./sessions');
+const { FRONTEND_URL } = require('./invites');
+
+// Verification codes avoid look-alike characters (0/O, 1/I/L)
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+function generateCode() {
+  const bytes = crypto.randomBytes(12);
+  const chars = Array.from(bytes, (b) => CODE_ALPHABET[b % CODE_ALPHABET.length]).join('');
+  return chars.match(/.{4}/g).join('-');
+}
+
+// "{{student}} completed {{course}}" -> "Ann completed Math"
+function fillTemplate(text, vars) {
+  return String(text || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (m, key) => (key in vars ? String(vars[key] ?? '') : m));
+}
+
+// Verification page of the web app printed on the PDF (it reads GET
+// /certificates/verify/:code). Always from configuration, never the request's
+// Host header, so a forged header cannot put its own link on a certificate.
+function verifyUrl(code) {
+  const base = process.env.CERTIFICATE_VERIFY_URL || `${FRONTEND_URL.replace(/\/+$/, '')}/certificates/verify`;
+  return `${base.replace(/\/+$/, '')}/${encodeURIComponent(code)}`;
+}
+
+const courseEnded = (course) => ymd(course.end_date) <= todayIn(course.timezone);
+
+/**
+ * Attendance of the course's actively enrolled students, with the same
+ * percentage as GET /courses/:id/student-attendance:
+ * (present + late) / (present + late + absent), excused and unmarked left out.
+ * Returns [{ student: { _id, name, email }, percentage, eligible }] for `threshold`.
+ */
+async function courseEligibility(course, threshold) {
+  const sessionKeys = new Set(
+    (course.courseDatesTimes || []).filter((s) => !isCancelled(s)).map((s) => ymd(s.date))
+  );
+  const [enrollments, marks] = await Promise.all([
+    Enrollment.find({ course_id: course._id, status: 'active' }).populate('student_id', 'name email').lean(),
+    StudentAttendance.find({ course: course._id }).select('student session status').lean(),
+  ]);
+
+  const tallies = new Map();
+  for (const m of marks) {
+    if (!sessionKeys.has(m.session)) continue;
+    const t = tallies.get(String(m.student)) || { present: 0, absent: 0, late: 0, excused: 0 };
+    t[m.status] += 1;
+    tallies.set(String(m.student), t);
+  }
+
+  return enrollments
+    .filter((e) => e.student_id)
+    .map((e) => {
+      const t = tallies.get(String(e.student_id._id)) || { present: 0, absent: 0, late: 0, excused: 0 };
+      const attended = t.present + t.late;
+      const counted = attended + t.absent;
+      const percentage = counted ? Math.round((attended / counted) * 1000) / 10 : null;
+      return { student: e.student_id, percentage, eligible: percentage != null && percentage >= threshold };
+    })
+    .sort((a, b) => a.student.name.localeCompare(b.student.name));
+}
+
+const courseHours = (course) =>
+  (course.courseDatesTimes || []).reduce((sum, s) => (isCancelled(s) ? sum : sum + diffHours(s.start_time, s.end_time)), 0);
+
+/**
+ * The student's certificate for the course, issued on first request.
+ * `org` is the issuing organization; `percentage` the attendance at issue time.
+ */
+async function issueCertificate({ course, student, org, percentage, issuedBy }) {
+  const existing = await Certificate.findOne({ course: course._id, student: student._id });
+  if (existing) return existing;
+
+  try {
+    return await Certificate.create({
+      owner: course.owner,
+      course: course._id,
+      student: student._id,
+      code: generateCode(),
+      studentName: student.name,
+      courseTitle: course.title,
+      organizationName: org?.name,
+      startDate: ymd(course.start_date),
+      endDate: ymd(course.end_date),
+      hours: Math.round(courseHours(course) * 10) / 10,
+      attendanceRate: percentage ?? 0,
+      issuedBy,
+    });
+  } catch (err) {
+    // Issued concurrently by another request
+    if (err.code === 11000) return Certificate.findOne({ course: course._id, student: student._id });
+    throw err;
+  }
+}
+
+/**
+ * Render `cert` as a one-page landscape PDF using the organization `template`.
+ * Returns the PDFKit document (a readable stream, already ended).
+ */
+function renderCertificate(cert, template = {}, { verifyLink } = {}) {
+  const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 60, info: { Title: `${cert.courseTitle} - ${cert.studentName}` } });
+  const accent = template.accentColor || '#1f3a5f';
+  const { width, height } = doc.page;
+  const inner = width - 120;
+
+  doc.lineWidth(6).strokeColor(accent).rect(24, 24, width - 48, height - 48).stroke();
+  doc.lineWidth(1).rect(36, 36, width - 72, height - 72).stroke();
+
+  doc.fillColor('#555').font('Helvetica').fontSize(14)
+    .text(cert.organizationName || '', 60, 80, { width: inner, align: 'center' });
+  doc.fillColor(accent).font('Helvetica-Bold').fontSize(34)
+    .text(template.title || 'Certificate of Completion', 60, 115, { width: inner, align: 'center' });
+  doc.fillColor('#333').font('Helvetica').fontSize(14)
+    .text('This certifies that', 60, 190, { width: inner, align: 'center' });
+  doc.fillColor('#111').font('Helvetica-Bold').fontSize(30)
+    .text(cert.studentName, 60, 220, { width: inner, align: 'center' });
+
+  const body = fillTemplate(template.body, {
+    student: cert.studentName,
+    course: cert.courseTitle,
+    hours: cert.hours,
+    startDate: cert.startDate,
+    endDate: cert.endDate,
+    organization: cert.organizationName,
+  });
+  doc.fillColor('#333').font('Helvetica').fontSize(15)
+    .text(body, 110, 285, { width: width - 220, align: 'center' });
+
+  if (template.signatureName) {
+    const x = width - 330;
+    doc.strokeColor('#999').lineWidth(1).moveTo(x, height - 150).lineTo(x + 220, height - 150).stroke();
+    doc.fillColor('#111').font('Helvetica-Bold').fontSize(12)
+      .text(template.signatureName, x, height - 142, { width: 220, align: 'center' });
+    if (template.signatureTitle) {
+      doc.fillColor('#555').font('Helvetica').fontSize(11)
+        .text(template.signatureTitle, x, height - 126, { width: 220, align: 'center' });
+    }
+  }
+
+  doc.fillColor('#555').font('Helvetica').fontSize(10)
+    .text(`Issued ${ymd(cert.issuedAt)}`, 80, height - 142)
+    .text(`Verification code: ${cert.code}`, 80, height - 126);
+  if (verifyLink) doc.fillColor(accent).text(verifyLink, 80, height - 110, { link: verifyLink, underline: true });
+
+  doc.end();
+  return doc;
+}
+
+module.exports = {
+  generateCode,
+  fillTemplate,
+  verifyUrl,
+  courseEnded,
+  courseEligibility,
+  issueCertificate,
+  renderCertificate,
+};
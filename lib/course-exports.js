@@ -0,0 +1,199 @@
+// lib/course-exports.js
+// Spreadsheet datasets over a stream of Course documents (see lib/exports).
+// Each dataset has a sheet name, its columns and an async generator of rows.
+// `ctx.names` maps instructor id -> name; `ctx.instructorIds` lists the
+// instructors assigned to the exported courses (attendance matrix columns).
+const { diffHours, isCancelled, resolveSessionKeys, sortSessions, ymd } = require('./sessions');
+
+const round2 = (n) => Math.round((n || 0) * 100) / 100;
+const day = (d) => (d ? ymd(d) : null);
+
+const mapEntries = (m) => (m instanceof Map ? Array.from(m.entries()) : Object.entries(m || {}));
+
+// Listed instructors plus anyone holding a rate or attendance on the course
+function courseInstructorIds(course) {
+  return [...new Set([
+    ...(course.instructors || []).map(String),
+    ...mapEntries(course.instructorRates).map(([id]) => id),
+    ...mapEntries(course.attendance).map(([id]) => id),
+  ])];
+}
+
+function attendedIndexes(course, instructorId) {
+  const keys = mapEntries(course.attendance).find(([id]) => id === String(instructorId))?.[1] || [];
+  return new Set(resolveSessionKeys(course.courseDatesTimes || [], keys));
+}
+
+const rateOf = (course, id) => Number(mapEntries(course.instructorRates).find(([k]) => k === String(id))?.[1]) || 0;
+
+/* -------------------------------- Courses ------------------------------- */
+const COURSE_COLUMNS = [
+  { key: 'id', header: 'Course ID', width: 26 },
+  { key: 'title', header: 'Title', width: 30 },
+  { key: 'location', header: 'Location' },
+  { key: 'timezone', header: 'Timezone', width: 18 },
+  { key: 'start_date', header: 'Start date' },
+  { key: 'end_date', header: 'End date' },
+  { key: 'instructors', header: 'Instructors', width: 30 },
+  { key: 'students', header: 'Students' },
+  { key: 'cost', header: 'Cost per student' },
+  { key: 'totalSessions', header: 'Sessions' },
+  { key: 'totalHours', header: 'Hours' },
+  { key: 'revenue', header: 'Projected revenue' },
+  { key: 'instructorExpense', header: 'Instructor expense' },
+  { key: 'materialsCost', header: 'Materials cost' },
+  { key: 'profit', header: 'Projected profit' },
+  { key: 'invoiced', header: 'Invoiced' },
+  { key: 'collected', header: 'Collected' },
+  { key: 'actualProfit', header: 'Actual profit' },
+];
+
+async function* courseRows(courses, ctx) {
+  for await (const c of courses) {
+    yield {
+      id: String(c._id),
+      title: c.title,
+      location: c.location,
+      timezone: c.timezone,
+      start_date: day(c.start_date),
+      end_date: day(c.end_date),
+      instructors: (c.instructors || []).map((id) => ctx.names.get(String(id)) || String(id)).join('; '),
+      students: c.students || 0,
+      cost: c.cost || 0,
+      totalSessions: c.totalSessions,
+      totalHours: round2(c.totalHours),
+      revenue: round2(c.revenue),
+      instructorExpense: round2(c.instructorExpense),
+      materialsCost: round2(c.materialsCost),
+      profit: round2(c.profit),
+      invoiced: round2(c.invoiced),
+      collected: round2(c.collected),
+      actualProfit: round2(c.actualProfit),
+    };
+  }
+}
+
+/* ------------------------------- Sessions ------------------------------- */
+const SESSION_COLUMNS = [
+  { key: 'courseId', header: 'Course ID', width: 26 },
+  { key: 'course', header: 'Course', width: 30 },
+  { key: 'date', header: 'Date' },
+  { key: 'start_time', header: 'Start' },
+  { key: 'end_time', header: 'End' },
+  { key: 'timezone', header: 'Timezone', width: 18 },
+  { key: 'startsAt', header: 'Starts at (UTC)', width: 22 },
+  { key: 'endsAt', header: 'Ends at (UTC)', width: 22 },
+  { key: 'hours', header: 'Hours' },
+  { key: 'status', header: 'Status' },
+  { key: 'kind', header: 'Kind' },
+  { key: 'originalDate', header: 'Original date' },
+  { key: 'reason', header: 'Reason', width: 30 },
+];
+
+async function* sessionRows(courses) {
+  for await (const c of courses) {
+    for (const s of sortSessions([...(c.courseDatesTimes || [])])) {
+      yield {
+        courseId: String(c._id),
+        course: c.title,
+        date: day(s.date),
+        start_time: s.start_time,
+        end_time: s.end_time,
+        timezone: c.timezone,
+        startsAt: s.startsAt,
+        endsAt: s.endsAt,
+        hours: diffHours(s.start_time, s.end_time),
+        status: s.status || 'scheduled',
+        kind: s.kind || 'regular',
+        originalDate: day(s.originalDate),
+        reason: s.reason,
+      };
+    }
+  }
+}
+
+/* ------------------------------ Attendance ------------------------------ */
+// One row per session, one column per instructor: present / absent, blank when
+// the instructor is not on the course or the session is cancelled
+function attendanceColumns(ctx) {
+  return [
+    { key: 'courseId', header: 'Course ID', width: 26 },
+    { key: 'course', header: 'Course', width: 30 },
+    { key: 'date', header: 'Date' },
+    { key: 'start_time', header: 'Start' },
+    { key: 'end_time', header: 'End' },
+    { key: 'status', header: 'Status' },
+    ...ctx.instructorIds.map((id) => ({ key: `instructor:${id}`, header: ctx.names.get(id) || id, width: 18 })),
+  ];
+}
+
+async function* attendanceRows(courses) {
+  for await (const c of courses) {
+    const sessions = c.courseDatesTimes || [];
+    const attended = courseInstructorIds(c).map((id) => [id, attendedIndexes(c, id)]);
+    const order = sortSessions(sessions.map((s, index) => ({ ...(s.toObject?.() || s), index })));
+
+    for (const s of order) {
+      const row = {
+        courseId: String(c._id),
+        course: c.title,
+        date: day(s.date),
+        start_time: s.start_time,
+        end_time: s.end_time,
+        status: s.status || 'scheduled',
+      };
+      if (!isCancelled(s)) {
+        for (const [id, indexes] of attended) {
+          row[`instructor:${id}`] = indexes.has(s.index) ? 'present' : 'absent';
+        }
+      }
+      yield row;
+    }
+  }
+}
+
+/* ----------------------------- Instructor rates ----------------------------- */
+const RATE_COLUMNS = [
+  { key: 'courseId', header: 'Course ID', width: 26 },
+  { key: 'course', header: 'Course', width: 30 },
+  { key: 'instructorId', header: 'Instructor ID', width: 26 },
+  { key: 'instructor', header: 'Instructor', width: 24 },
+  { key: 'rate', header: 'Hourly rate' },
+  { key: 'scheduledHours', header: 'Scheduled hours' },
+  { key: 'scheduledAmount', header: 'Scheduled amount' },
+  { key: 'attendedSessions', header: 'Attended sessions' },
+  { key: 'attendedHours', header: 'Attended hours' },
+  { key: 'attendedAmount', header: 'Attended amount' },
+];
+
+async function* rateRows(courses, ctx) {
+  for await (const c of courses) {
+    const sessions = c.courseDatesTimes || [];
+    for (const id of courseInstructorIds(c)) {
+      const rate = rateOf(c, id);
+      const attended = [...attendedIndexes(c, id)].map((i) => sessions[i]).filter((s) => !isCancelled(s));
+      const attendedHours = attended.reduce((sum, s) => sum + diffHours(s.start_time, s.end_time), 0);
+      yield {
+        courseId: String(c._id),
+        course: c.title,
+        instructorId: id,
+        instructor: ctx.names.get(id) || null,
+        rate,
+        scheduledHours: round2(c.totalHours),
+        scheduledAmount: round2(c.totalHours * rate),
+        attendedSessions: attended.length,
+        attendedHours: round2(attendedHours),
+        attendedAmount: round2(attendedHours * rate),
+      };
+    }
+  }
+}
+
+const DATASETS = {
+  courses: { sheet: 'Courses', columns: () => COURSE_COLUMNS, rows: courseRows },
+  sessions: { sheet: 'Sessions', columns: () => SESSION_COLUMNS, rows: sessionRows },
+  attendance: { sheet: 'Attendance', columns: attendanceColumns, rows: attendanceRows },
+  rates: { sheet: 'Instructor rates', columns: () => RATE_COLUMNS, rows: rateRows },
+};
+
+module.exports = { DATASETS };
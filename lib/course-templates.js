@@ -0,0 +1,35 @@
+// lib/course-templates.js
+// What carries over from one run of a program to the next: everything but the
+// dates, sessions, attendance, enrollments and money already invoiced. Shared
+// by POST /courses/:id/clone, the template library and POST /courses { templateId }.
+
+const BLUEPRINT_FIELDS = [
+  'title', 'description',
+  'venue', 'room', 'location', 'location_lat', 'location_lon', 'location_place_id',
+  'timezone', 'daysOfWeek', 'range_start_time', 'range_end_time',
+  'instructors', 'instructorRates', 'cost', 'materialsCost', 'capacity',
+];
+
+/**
+ * Plain copy of the blueprint fields of a course, template or request body
+ * (ids as strings, instructorRates as an object). Absent fields are left out.
+ */
+function blueprintOf(source = {}) {
+  const obj = typeof source.toObject === 'function'
+    ? source.toObject({ depopulate: true, flattenMaps: true, virtuals: false })
+    : source;
+
+  const out = {};
+  for (const field of BLUEPRINT_FIELDS) {
+    if (obj[field] != null) out[field] = obj[field];
+  }
+  if (Array.isArray(out.instructors)) out.instructors = out.instructors.map(String);
+  if (out.venue) out.venue = String(out.venue);
+  if (out.room) out.room = String(out.room);
+  if (Array.isArray(out.daysOfWeek)) out.daysOfWeek = [...out.daysOfWeek];
+  if (out.instructorRates instanceof Map) out.instructorRates = Object.fromEntries(out.instructorRates);
+  else if (out.instructorRates) out.instructorRates = { ...out.instructorRates };
+  return out;
+}
+
+module.exports = { BLUEPRINT_FIELDS, blueprintOf };
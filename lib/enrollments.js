@@ -0,0 +1,258 @@
+// lib/enrollments.js
+// Enrollment against a seat limit, with a waitlist. `Course.students` is the
+// seat counter: a seat is taken with a single conditional $inc, so two
+// simultaneous enrollments can never both get the last one. When a seat frees
+// up the longest-waiting student is promoted and emailed.
+const Course = require('../models/course');
+const Enrollment = require('../models/enrollment');
+const { courseCapacity } = require('./locations');
+const { notifyWaitlistPromotion } = require('./notifications');
+const { recordAudit } = require('./audit');
+
+// Course fields the helpers below need
+const COURSE_FIELDS = 'owner title location start_date archivedAt capacity venue room students';
+
+function enrollmentError(message, code, extra = {}) {
+  const err = new Error(message);
+  err.code = code;
+  return Object.assign(err, extra);
+}
+
+/**
+ * Seats on the course: the lower of its own `capacity` and its room's (see
+ * lib/locations); null when unlimited.
+ */
+async function seatLimit(course) {
+  const room = await courseCapacity(course);
+  const own = course.capacity ?? null;
+  if (own == null || room == null) return own ?? room;
+  return Math.min(own, room);
+}
+
+// Take one seat; false when the course is full or archived
+async function reserveSeat(courseId, limit) {
+  const filter = { _id: courseId, archivedAt: null };
+  if (limit != null) filter.students = { $lt: limit };
+  const { modifiedCount } = await Course.updateOne(filter, { $inc: { students: 1 } });
+  return modifiedCount === 1;
+}
+
+function releaseSeat(courseId) {
+  return Course.updateOne({ _id: courseId, students: { $gt: 0 } }, { $inc: { students: -1 } });
+}
+
+// Students waiting ahead of `enrollment` (everyone waiting when it is not waitlisted)
+function queuedAhead(courseId, enrollment) {
+  const filter = { course_id: courseId, status: 'waitlisted' };
+  if (enrollment?.status === 'waitlisted') {
+    filter.$or = [
+      { waitlisted_at: { $lt: enrollment.waitlisted_at } },
+      { waitlisted_at: enrollment.waitlisted_at, _id: { $lt: enrollment._id } },
+    ];
+  }
+  return Enrollment.countDocuments(filter);
+}
+
+// 1-based place in the course's waitlist
+async function waitlistPosition(enrollment) {
+  return (await queuedAhead(enrollment.course_id, enrollment)) + 1;
+}
+
+/**
+ * Enroll a student, re-activating a previous withdrawal. Free seats go to the
+ * waitlist first, in order: a student only takes one directly when nobody is
+ * waiting ahead of them. When the course is full the student joins the
+ * waitlist if `waitlist` is set, otherwise this throws COURSE_FULL
+ * (err.capacity). Resolves to
+ * { enrollment, status: 'active'|'waitlisted', previous, position?, promoted }
+ * where `previous` is the enrollment status before the call (null when new)
+ * and `promoted` the waitlisted enrollments given a seat on the way.
+ */
+async function enroll(course, studentId, { waitlist = false } = {}) {
+  const key = { course_id: course._id, student_id: studentId };
+  const existing = await Enrollment.findOne(key).select('status waitlisted_at').lean();
+  const previous = existing?.status || null;
+  if (previous === 'active') {
+    return { enrollment: await Enrollment.findOne(key), status: 'active', previous, promoted: [] };
+  }
+
+  // Serve the students waiting ahead first; this one may be among them
+  let promoted = [];
+  if (await queuedAhead(course._id, existing)) {
+    promoted = await promoteWaitlist(course);
+    const mine = promoted.find((e) => String(e.student_id) === String(studentId));
+    if (mine) {
+      return { enrollment: mine, status: 'active', previous, promoted: promoted.filter((e) => e !== mine) };
+    }
+  }
+
+  const limit = await seatLimit(course);
+  if (!(await queuedAhead(course._id, existing)) && await reserveSeat(course._id, limit)) {
+    try {
+      const enrollment = await Enrollment.findOneAndUpdate(
+        { ...key, status: { $ne: 'active' } },
+        {
+          $set: { status: 'active', enrolled_at: new Date(), withdrawn_at: null, waitlisted_at: null },
+          $setOnInsert: { owner: course.owner },
+        },
+        { new: true, upsert: true, runValidators: true }
+      );
+      return { enrollment, status: 'active', previous, promoted };
+    } catch (err) {
+      await releaseSeat(course._id);
+      // A concurrent request enrolled the student first
+      if (err.code === 11000) {
+        return { enrollment: await Enrollment.findOne(key), status: 'active', previous: 'active', promoted };
+      }
+      throw err;
+    }
+  }
+
+  if (!waitlist) throw enrollmentError('Course is full', 'COURSE_FULL', { capacity: limit });
+
+  let enrollment;
+  if (previous === 'waitlisted') {
+    enrollment = await Enrollment.findOne(key);
+  } else {
+    try {
+      enrollment = await Enrollment.findOneAndUpdate(
+        { ...key, status: { $nin: ['active', 'waitlisted'] } },
+        {
+          $set: { status: 'waitlisted', waitlisted_at: new Date(), withdrawn_at: null },
+          $setOnInsert: { owner: course.owner },
+        },
+        { new: true, upsert: true, runValidators: true }
+      );
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      enrollment = await Enrollment.findOne(key); // a concurrent request got there first
+    }
+  }
+  if (enrollment.status === 'active') return { enrollment, status: 'active', previous, promoted };
+  return { enrollment, status: 'waitlisted', previous, position: await waitlistPosition(enrollment), promoted };
+}
+
+/**
+ * Fill free seats from the waitlist, oldest first, and email the promoted
+ * students (in the background). Call whenever a seat may have opened: a
+ * withdrawal, a higher capacity or a bigger room. Resolves to the promoted
+ * enrollments.
+ */
+async function promoteWaitlist(course) {
+  const limit = await seatLimit(course);
+  const promoted = [];
+  while (await Enrollment.exists({ course_id: course._id, status: 'waitlisted' })) {
+    if (!(await reserveSeat(course._id, limit))) break;
+    const enrollment = await Enrollment.findOneAndUpdate(
+      { course_id: course._id, status: 'waitlisted' },
+      { $set: { status: 'active', enrolled_at: new Date(), waitlisted_at: null } },
+      { new: true, sort: { waitlisted_at: 1, _id: 1 } }
+    );
+    if (!enrollment) {
+      // Someone else emptied the waitlist in the meantime
+      await releaseSeat(course._id);
+      break;
+    }
+    promoted.push(enrollment);
+  }
+  if (promoted.length) notifyWaitlistPromotion(course, promoted);
+  return promoted;
+}
+
+/**
+ * Promote waitlisted students of every unarchived course held at `venueId`
+ * that uses the location's capacity: the courses in `roomId`, or those
+ * booking the whole venue when roomId is null. Call after a capacity rises.
+ * Resolves to [{ course, promoted }] for the courses that promoted anyone.
+ */
+async function promoteWaitlistsAt(venueId, roomId) {
+  const courseIds = await Enrollment.distinct('course_id', { status: 'waitlisted' });
+  const courses = await Course.find({ _id: { $in: courseIds }, venue: venueId, room: roomId || null, archivedAt: null })
+    .select(COURSE_FIELDS)
+    .lean();
+
+  const results = [];
+  for (const course of courses) {
+    const promoted = await promoteWaitlist(course);
+    if (promoted.length) results.push({ course, promoted });
+  }
+  return results;
+}
+
+/**
+ * Withdraw an active student and hand the seat to the waitlist. Resolves to
+ * { enrollment, promoted }, or null when the student is not enrolled.
+ */
+async function withdraw(course, studentId) {
+  const enrollment = await Enrollment.findOneAndUpdate(
+    { course_id: course._id, student_id: studentId, status: 'active' },
+    { $set: { status: 'withdrawn', withdrawn_at: new Date() } },
+    { new: true }
+  );
+  if (!enrollment) return null;
+  await releaseSeat(course._id);
+  const promoted = await promoteWaitlist(course);
+  return { enrollment, promoted };
+}
+
+/**
+ * Delete all of a student's enrollments, handing the seats of the active ones
+ * to the courses' waitlists. Resolves to [{ course, promoted }] for the
+ * courses that promoted anyone.
+ */
+async function removeStudentEnrollments(studentId) {
+  const freed = new Set();
+  for (const { _id } of await Enrollment.find({ student_id: studentId }).select('_id').lean()) {
+    // Read the status as deleted: it may have changed since the find
+    const enrollment = await Enrollment.findOneAndDelete({ _id }).select('course_id status').lean();
+    if (enrollment?.status !== 'active') continue;
+    await releaseSeat(enrollment.course_id);
+    freed.add(String(enrollment.course_id));
+  }
+
+  const results = [];
+  for (const course of await Course.find({ _id: { $in: [...freed] } }).select(COURSE_FIELDS).lean()) {
+    const promoted = await promoteWaitlist(course);
+    if (promoted.length) results.push({ course, promoted });
+  }
+  return results;
+}
+
+// Audit a change of one student's enrollment status on the course
+function auditEnrollment(req, action, course, studentId, before, after) {
+  return recordAudit(req, action, course, {
+    type: 'Course',
+    before: { enrollments: { [studentId]: before || null } },
+    after: { enrollments: { [studentId]: after } },
+  });
+}
+
+async function auditPromotions(req, course, promoted = []) {
+  for (const e of promoted) {
+    await auditEnrollment(req, 'course.waitlist.promote', course, e.student_id, 'waitlisted', 'active');
+  }
+}
+
+/**
+ * The course's waitlist in queue order, each entry with its `position`.
+ */
+async function listWaitlist(courseId) {
+  const items = await Enrollment.find({ course_id: courseId, status: 'waitlisted' })
+    .populate('student_id', 'name email tel1 tel2')
+    .sort({ waitlisted_at: 1, _id: 1 })
+    .lean();
+  return items.map((item, i) => ({ ...item, position: i + 1 }));
+}
+
+module.exports = {
+  COURSE_FIELDS,
+  seatLimit,
+  enroll,
+  withdraw,
+  promoteWaitlist,
+  promoteWaitlistsAt,
+  removeStudentEnrollments,
+  listWaitlist,
+  auditEnrollment,
+  auditPromotions,
+};
@@ -0,0 +1,68 @@
+// lib/exports.js
+// Stream tabular data to the response as CSV or XLSX.
+//
+// `columns`: [{ key, header, width? }]; `rows`: any (async) iterable of plain
+// objects keyed like the columns. Rows are written as they arrive so large
+// exports never sit in memory.
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+
+const FORMATS = ['csv', 'xlsx'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_RE = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  if (value == null) return '';
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? '' : value.toISOString();
+  if (typeof value === 'number') return Number.isFinite(value) ? String(value) : '';
+  let s = String(value);
+  if (FORMULA_RE.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+const csvLine = (values) => `${values.map(csvCell).join(',')}\r\n`;
+
+async function write(res, chunk) {
+  if (!res.write(chunk)) await once(res, 'drain');
+}
+
+async function streamCsv(res, columns, rows) {
+  // BOM so Excel opens UTF-8 files correctly
+  await write(res, `\ufeff${csvLine(columns.map((c) => c.header))}`);
+  for await (const row of rows) {
+    await write(res, csvLine(columns.map((c) => row[c.key])));
+  }
+  res.end();
+}
+
+async function streamXlsx(res, columns, rows, sheet) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const ws = workbook.addWorksheet(sheet);
+  ws.columns = columns.map((c) => ({ header: c.header, key: c.key, width: c.width || 14 }));
+  ws.getRow(1).font = { bold: true };
+  ws.getRow(1).commit();
+
+  for await (const row of rows) {
+    ws.addRow(Object.fromEntries(columns.map((c) => [c.key, row[c.key] ?? null]))).commit();
+  }
+  ws.commit();
+  await workbook.commit();
+}
+
+/**
+ * Send `rows` as a `format` ('csv' | 'xlsx') download named `filename` (no extension).
+ */
+async function sendTable(res, { format, filename, sheet = 'Export', columns, rows }) {
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+  if (format === 'xlsx') return streamXlsx(res, columns, rows, sheet);
+  return streamCsv(res, columns, rows);
+}
+
+module.exports = { FORMATS, sendTable, csvCell };
@@ -0,0 +1,110 @@
+// lib/ics.js
+// RFC 5545 (iCalendar) feed for course sessions.
+const { ymd, addDays, isCancelled, hhmmToMinutes } = require('./sessions');
+
+const PRODID = '-//Tadrib//Course Schedule//EN';
+const UID_DOMAIN = process.env.ICS_UID_DOMAIN || 'tadrib.app';
+
+// TEXT value escaping (RFC 5545 §3.3.11)
+function escapeText(v) {
+  return String(v == null ? '' : v)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Fold lines longer than 75 octets (RFC 5545 §3.1)
+function fold(line) {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+  const parts = [];
+  let current = '';
+  for (const ch of line) {
+    const limit = parts.length ? 74 : 75; // continuation lines start with a space
+    if (Buffer.byteLength(current + ch, 'utf8') > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += ch;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+const utcStamp = (d) => new Date(d).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Floating local date-time: "yyyymmddThhmmss"
+function localStamp(date, hhmm) {
+  const [h = '00', m = '00'] = String(hhmm || '00:00').split(':');
+  return `${ymd(date).replace(/-/g, '')}T${h.padStart(2, '0')}${m.padStart(2, '0')}00`;
+}
+
+// Sessions ending at/before their start time finish the next day
+function endDate(s) {
+  if (hhmmToMinutes(s.end_time) > hhmmToMinutes(s.start_time)) return s.date;
+  return addDays(s.date, 1);
+}
+
+/**
+ * Stable UID per session: regular sessions are keyed by their original date and
+ * makeups by their exception id, so a reschedule updates the same event.
+ */
+function sessionUid(course, s) {
+  const key = s.kind === 'makeup' && s.exception
+    ? `makeup-${s.exception}`
+    : ymd(s.originalDate || s.date);
+  return `${course._id}-${key}@${UID_DOMAIN}`;
+}
+
+function courseEvents(course, now = new Date()) {
+  const modified = course.updatedAt ? new Date(course.updatedAt) : now;
+  return (course.courseDatesTimes || []).map((s) => {
+    const lines = [
+      'BEGIN:VEVENT',
+      `UID:${sessionUid(course, s)}`,
+      `DTSTAMP:${utcStamp(now)}`,
+      `LAST-MODIFIED:${utcStamp(modified)}`,
+      // Clients only apply changes to an existing UID when SEQUENCE grows
+      `SEQUENCE:${s.exception ? Math.floor(modified.getTime() / 1000) : 0}`,
+      // UTC instants when known; older sessions fall back to floating local time
+      `DTSTART:${s.startsAt ? utcStamp(s.startsAt) : localStamp(s.date, s.start_time)}`,
+      `DTEND:${s.endsAt ? utcStamp(s.endsAt) : localStamp(endDate(s), s.end_time)}`,
+      `SUMMARY:${escapeText(course.title)}`,
+      `STATUS:${isCancelled(s) ? 'CANCELLED' : 'CONFIRMED'}`,
+    ];
+    if (course.location) lines.push(`LOCATION:${escapeText(course.location)}`);
+    const description = [course.description, s.reason].filter(Boolean).join('\n\n');
+    if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+    lines.push('END:VEVENT');
+    return lines;
+  });
+}
+
+/**
+ * Build a VCALENDAR document for one or more courses.
+ * @param {string} name  calendar display name (X-WR-CALNAME)
+ * @param {Array} courses  lean course docs with courseDatesTimes
+ */
+function buildCalendar(name, courses = []) {
+  const now = new Date();
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...courses.flatMap((c) => courseEvents(c, now).flat()),
+    'END:VCALENDAR',
+  ];
+  return lines.map(fold).join('\r\n') + '\r\n';
+}
+
+function sendCalendar(res, filename, body) {
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Content-Disposition', `inline; filename="${filename}"`);
+  res.send(body);
+}
+
+module.exports = { buildCalendar, sendCalendar, escapeText };
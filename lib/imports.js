@@ -0,0 +1,331 @@
+// lib/imports.js
+// Bulk CSV import of instructors and courses.
+//
+// plan*Import() parses and validates every row against the Mongoose schema
+// without writing anything (the dry-run preview); applyImport() writes the
+// valid rows of a plan in one transaction. Transactions need MongoDB running
+// as a replica set (a single-node one is enough) or behind mongos; on a
+// standalone server applying an import fails with IMPORT_UNSUPPORTED (dry runs
+// write nothing and still work).
+// Row numbers are CSV line numbers (the header is line 1).
+const express = require('express');
+const mongoose = require('mongoose');
+const { parse } = require('csv-parse/sync');
+
+const Instructor = require('../models/instructor');
+const Course = require('../models/course');
+const { buildSessions, isValidTimeZone, toDateKey, ymd } = require('./sessions');
+const { overlaps, findInstructorConflicts } = require('./scheduling');
+
+const MAX_ROWS = Number(process.env.IMPORT_MAX_ROWS) || 1000;
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const HHMM_RE = /^([01]?\d|2[0-3]):[0-5]\d$/;
+
+const toStr = (v) => (v == null ? '' : String(v).trim());
+const list = (v) => toStr(v).split(/[;|]/).map((x) => x.trim()).filter(Boolean);
+const filled = (obj) => Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== ''));
+
+// Body parser for import routes: raw CSV (text/csv) or JSON { csv }
+const csvBody = express.text({ type: ['text/csv', 'text/plain'], limit: process.env.IMPORT_MAX_BYTES || '2mb' });
+
+const readCsv = (req) => (typeof req.body === 'string' ? req.body : toStr(req.body?.csv));
+
+function importError(message, code = 'IMPORT_INVALID') {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+let transactionsSupported = null;
+
+/**
+ * Throws IMPORT_UNSUPPORTED unless the database can run transactions
+ * (replica set member or mongos). Checked once per process.
+ */
+async function assertTransactions() {
+  if (transactionsSupported == null) {
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    transactionsSupported = !!hello.setName || hello.msg === 'isdbgrid';
+  }
+  if (!transactionsSupported) {
+    throw importError(
+      'Imports need MongoDB to run as a replica set or behind mongos (transactions are not available on a standalone server).',
+      'IMPORT_UNSUPPORTED'
+    );
+  }
+}
+
+/**
+ * CSV text -> array of { line, record } keyed by lower-cased header names.
+ * Throws IMPORT_INVALID on malformed CSV, missing columns or too many rows.
+ */
+function parseCsv(text, required = []) {
+  let records;
+  try {
+    records = parse(String(text || ''), {
+      bom: true,
+      columns: (header) => header.map((h) => toStr(h).toLowerCase()),
+      skip_empty_lines: true,
+      trim: true,
+      relax_column_count: true,
+      info: true,
+    });
+  } catch (err) {
+    throw importError(`Invalid CSV: ${err.message}`);
+  }
+  if (!records.length) throw importError('The CSV has no data rows.');
+  if (records.length > MAX_ROWS) throw importError(`At most ${MAX_ROWS} rows can be imported at once.`);
+
+  const columns = Object.keys(records[0].record);
+  const missing = required.filter((c) => !columns.includes(c));
+  if (missing.length) throw importError(`Missing column(s): ${missing.join(', ')}`);
+
+  return records.map(({ info, record }) => ({ line: info.lines, record }));
+}
+
+// Mongoose ValidationError -> [{ field, message }]
+function schemaErrors(doc) {
+  const err = doc.validateSync();
+  if (!err) return [];
+  return Object.values(err.errors).map((e) => ({ field: e.path, message: e.message }));
+}
+
+function summarize(rows) {
+  const valid = rows.filter((r) => !r.errors.length);
+  return {
+    total: rows.length,
+    valid: valid.length,
+    invalid: rows.length - valid.length,
+    create: valid.filter((r) => r.action === 'create').length,
+    update: valid.filter((r) => r.action === 'update').length,
+  };
+}
+
+/* ------------------------------ Instructors ------------------------------ */
+const INSTRUCTOR_COLUMNS = ['name', 'email', 'bio'];
+
+/**
+ * Columns: name, email, bio. Rows whose email already exists for `owner`
+ * (the (owner, email) unique index) are updates, the others creates; empty
+ * cells leave an existing instructor's value alone. Archived instructors are
+ * errors: restore them first.
+ * Returns { rows: [{ row, action, data, errors }], summary }.
+ */
+async function planInstructorImport(owner, text) {
+  const records = parseCsv(text, INSTRUCTOR_COLUMNS);
+  const emails = records.map(({ record }) => toStr(record.email).toLowerCase()).filter(Boolean);
+  const found = await Instructor.find({ owner, email: { $in: emails } }).select('name email bio archivedAt').lean();
+  const existing = new Map(found.map((i) => [i.email, i]));
+
+  const seen = new Map();
+  const rows = records.map(({ line, record }) => {
+    const data = {
+      name: toStr(record.name),
+      email: toStr(record.email).toLowerCase(),
+      bio: toStr(record.bio),
+      owner,
+    };
+    // Updates are checked as they will be saved: the current values under the filled cells
+    const current = existing.get(data.email);
+    const errors = schemaErrors(new Instructor(current
+      ? { name: current.name, email: current.email, bio: current.bio, ...filled(data) }
+      : data));
+    if (data.email && seen.has(data.email)) {
+      errors.push({ field: 'email', message: `Duplicate of row ${seen.get(data.email)}.` });
+    } else if (data.email) {
+      seen.set(data.email, line);
+    }
+    if (current?.archivedAt) {
+      errors.push({ field: 'email', message: 'This instructor is archived. Restore them before importing.' });
+    }
+
+    const id = current?._id;
+    return { row: line, action: id ? 'update' : 'create', id, data, errors };
+  });
+
+  return { rows, summary: summarize(rows) };
+}
+
+/* -------------------------------- Courses -------------------------------- */
+const COURSE_COLUMNS = ['title', 'description', 'start_date', 'end_date', 'cost'];
+
+// "mon;wed" / "1;3" -> [1, 3]; null when a value is not a weekday
+function parseDays(raw) {
+  const days = list(raw).map((d) => {
+    const n = /^\d$/.test(d) ? Number(d) : WEEKDAYS.indexOf(d.slice(0, 3).toLowerCase());
+    return n >= 0 && n <= 6 ? n : null;
+  });
+  return days.includes(null) ? null : [...new Set(days)];
+}
+
+const toNumber = (v, fallback) => (toStr(v) === '' ? fallback : Number(v));
+
+// Double-bookings of `data`'s instructors with the valid rows planned so far
+function fileConflicts(rows, data, emailOf) {
+  const errors = [];
+  for (const other of rows) {
+    if (other.errors.length) continue;
+    for (const id of data.instructors.filter((i) => other.data.instructors.includes(i))) {
+      const clash = data.courseDatesTimes.find((s) => other.data.courseDatesTimes.some((o) => overlaps(s, o)));
+      if (!clash) continue;
+      errors.push({
+        field: 'instructors',
+        message: `${emailOf.get(id)} would also be teaching "${other.data.title}" (row ${other.row}) on ${ymd(clash.date)}.`,
+      });
+    }
+  }
+  return errors;
+}
+
+/**
+ * Columns: title, description, start_date, end_date, cost, plus optional
+ * location, timezone, days ("mon;wed" or "1;3"), start_time, end_time,
+ * materials_cost, instructors (emails, ";"-separated) and rates (hourly rates
+ * in the same order). Sessions are generated like POST /courses. Instructors
+ * must already exist; double-bookings, with existing courses or with earlier
+ * rows of the file, are errors unless `allowConflicts`.
+ * Returns { rows: [{ row, action, data, errors }], summary }.
+ */
+async function planCourseImport(owner, text, { timezone, allowConflicts = false } = {}) {
+  const records = parseCsv(text, COURSE_COLUMNS);
+
+  const emails = [...new Set(records.flatMap(({ record }) => list(record.instructors).map((e) => e.toLowerCase())))];
+  const found = await Instructor.find({ owner, archivedAt: null, email: { $in: emails } }).select('email').lean();
+  const instructors = new Map(found.map((i) => [i.email, String(i._id)]));
+  const emailOf = new Map(found.map((i) => [String(i._id), i.email]));
+
+  const rows = [];
+  for (const { line, record } of records) {
+    const errors = [];
+    const tz = toStr(record.timezone) || timezone;
+    if (!isValidTimeZone(tz)) errors.push({ field: 'timezone', message: 'timezone must be a valid IANA timezone.' });
+
+    const daysOfWeek = parseDays(record.days);
+    if (!daysOfWeek) errors.push({ field: 'days', message: 'days must be weekdays (mon..sun or 0..6).' });
+
+    const startTime = toStr(record.start_time) || undefined;
+    const endTime = toStr(record.end_time) || undefined;
+    for (const [field, v] of [['start_time', startTime], ['end_time', endTime]]) {
+      if (v && !HHMM_RE.test(v)) errors.push({ field, message: `${field} must be HH:mm.` });
+    }
+
+    const dates = {};
+    for (const field of ['start_date', 'end_date']) {
+      dates[field] = toDateKey(toStr(record[field]), tz);
+      if (toStr(record[field]) && !dates[field]) errors.push({ field, message: `${field} must be a date (yyyy-mm-dd).` });
+    }
+
+    const ids = [];
+    const rates = {};
+    const rateList = list(record.rates);
+    list(record.instructors).forEach((email, i) => {
+      const id = instructors.get(email.toLowerCase());
+      if (!id) {
+        errors.push({ field: 'instructors', message: `No instructor with email ${email}. Import instructors first.` });
+        return;
+      }
+      ids.push(id);
+      if (rateList[i] != null) rates[id] = Number(rateList[i]);
+    });
+    if (Object.values(rates).some((r) => !Number.isFinite(r) || r < 0)) {
+      errors.push({ field: 'rates', message: 'rates must be numbers of 0 or more.' });
+    }
+
+    const data = {
+      title: toStr(record.title),
+      description: toStr(record.description),
+      location: toStr(record.location) || undefined,
+      timezone: tz,
+      start_date: dates.start_date || undefined,
+      end_date: dates.end_date || undefined,
+      daysOfWeek: daysOfWeek || [],
+      range_start_time: startTime,
+      range_end_time: endTime,
+      cost: toNumber(record.cost, undefined),
+      materialsCost: toNumber(record.materials_cost, 0),
+      instructors: ids,
+      instructorRates: rates,
+      owner,
+    };
+
+    if (!errors.length) data.courseDatesTimes = buildSessions(data);
+    const reported = new Set(errors.map((e) => e.field));
+    errors.push(...schemaErrors(new Course(data)).filter((e) => !reported.has(e.field)));
+    if (!errors.length && !allowConflicts) {
+      const conflicts = await findInstructorConflicts({ instructors: ids, sessions: data.courseDatesTimes });
+      for (const c of conflicts) {
+        errors.push({
+          field: 'instructors',
+          message: `${emailOf.get(String(c.instructorId))} is already teaching "${c.course.title}" on ${c.date}.`,
+        });
+      }
+      errors.push(...fileConflicts(rows, data, emailOf));
+    }
+
+    rows.push({ row: line, action: 'create', data, errors });
+  }
+
+  return { rows, summary: summarize(rows) };
+}
+
+/* -------------------------------- Apply --------------------------------- */
+/**
+ * Write the valid rows of a plan in a single transaction: either all of them
+ * land or none do. Sets `id` on each written row. Resolves to the plan.
+ */
+async function applyImport(kind, plan) {
+  const valid = plan.rows.filter((r) => !r.errors.length);
+  if (!valid.length) return plan;
+  await assertTransactions();
+
+  await mongoose.connection.transaction(async (session) => {
+    if (kind === 'instructors') {
+      for (const r of valid) {
+        const { owner, email, ...fields } = r.data;
+        // Empty cells keep the current value (e.g. an existing bio)
+        const doc = await Instructor.findOneAndUpdate(
+          { owner, email },
+          { $set: filled(fields), $setOnInsert: { owner, email } },
+          { upsert: true, new: true, runValidators: true, session }
+        );
+        r.id = doc._id;
+      }
+    } else {
+      const docs = await Course.create(valid.map((r) => r.data), { session, ordered: true });
+      docs.forEach((doc, i) => { valid[i].id = doc._id; });
+    }
+  });
+  return plan;
+}
+
+/**
+ * Response body for an import: { dryRun, summary, rows } where each row shows
+ * what was (or would be) written, or why it was rejected.
+ */
+function importResult(plan, { dryRun }) {
+  return {
+    dryRun,
+    summary: plan.summary,
+    rows: plan.rows.map(({ row, action, id, data, errors }) => {
+      if (errors.length) return { row, errors };
+      const { owner, courseDatesTimes, ...fields } = data;
+      return {
+        row,
+        action,
+        ...(id ? { id } : {}),
+        data: courseDatesTimes ? { ...fields, sessions: courseDatesTimes.length } : fields,
+      };
+    }),
+  };
+}
+
+module.exports = {
+  MAX_ROWS,
+  csvBody,
+  readCsv,
+  planInstructorImport,
+  planCourseImport,
+  applyImport,
+  importResult,
+};
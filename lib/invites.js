@@ -0,0 +1,167 @@
+// lib/invites.js
+// Set-password invite links backed by InviteToken (only the token hash is stored).
+// Links are emailed on creation; delivery status and resends are tracked on the token.
+const InviteToken = require('../models/invite-token');
+const { generateOpaqueToken, hashToken } = require('./tokens');
+const { sendTemplate } = require('./mailer');
+
+const FRONTEND_URL =
+  process.env.FRONTEND_APP_URL ||
+  process.env.APP_ORIGIN ||
+  process.env.WEB_APP_URL ||
+  'http://localhost:5173';
+
+const INVITE_TTL_MS = 1000 * 60 * 60 * 48; // 48 hours
+
+// Resend rate limit: a minimum gap between emails and a cap per invite
+const RESEND_COOLDOWN_MS = (Number(process.env.INVITE_RESEND_COOLDOWN_SECONDS) || 60) * 1000;
+const MAX_RESENDS = Number(process.env.INVITE_MAX_RESENDS) || 5;
+
+// Invites that can still be accepted (or resent)
+const PENDING = { usedAt: null, revokedAt: null };
+
+// Link into the web app carrying a single-use token, e.g. frontendLink('/set-password', token)
+function frontendLink(path, token) {
+  return `${FRONTEND_URL.replace(/\/+$/, '')}${path}?token=${encodeURIComponent(token)}`;
+}
+
+const inviteUrl = (token) => frontendLink('/set-password', token);
+
+/**
+ * Email the invite link and record the outcome on `invite.delivery`.
+ * A failed send is recorded, not thrown: the caller still gets the link.
+ */
+async function deliver(invite, url, data = {}) {
+  const delivery = { ...(invite.delivery?.toObject?.() || invite.delivery || {}) };
+  delivery.attempts = (delivery.attempts || 0) + 1;
+  delivery.lastAttemptAt = new Date();
+
+  if (!invite.email || !invite.template) {
+    delivery.status = 'failed';
+    delivery.error = 'No email address to send the invite to.';
+  } else {
+    try {
+      const info = await sendTemplate(invite.template, invite.email, { ...data, url, expiresAt: invite.expiresAt });
+      delivery.status = 'sent';
+      delivery.sentAt = new Date();
+      delivery.messageId = info?.id || undefined;
+      delivery.error = undefined;
+    } catch (err) {
+      delivery.status = 'failed';
+      delivery.error = err.message;
+    }
+  }
+
+  invite.delivery = delivery;
+  await invite.save();
+  return invite.delivery;
+}
+
+// What an invite is for: one pending invite per target at a time
+function inviteTarget({ instructor, student, organization, user }) {
+  if (instructor) return { instructor };
+  if (student) return { student };
+  return { organization, user };
+}
+
+/**
+ * Revoke the pending invites matching `filter`. Resolves to the number revoked.
+ */
+async function revokeInvites(filter, { by, reason = 'revoked' } = {}) {
+  const res = await InviteToken.updateMany(
+    { ...filter, ...PENDING },
+    { $set: { revokedAt: new Date(), revokedBy: by, revokeReason: reason } }
+  );
+  return res.modifiedCount;
+}
+
+/**
+ * Issue a single-use invite for `user` and email it. Earlier pending invites for
+ * the same target (instructor or student profile, or organization membership) are revoked.
+ * `owner` is the inviting organization; `email` + `template` + `data` describe
+ * the message (see lib/mail-templates).
+ * Returns { url, expiresAt, invite, delivery }.
+ */
+async function createInvite({ owner, user, instructor, student, organization, role, createdBy, email, template, data }) {
+  const target = inviteTarget({ instructor, student, organization, user });
+  await revokeInvites(target, { by: createdBy, reason: 'replaced' });
+
+  const token = generateOpaqueToken();
+  const expiresAt = new Date(Date.now() + INVITE_TTL_MS);
+  const invite = await InviteToken.create({
+    tokenHash: hashToken(token),
+    owner,
+    user,
+    instructor,
+    student,
+    organization,
+    role,
+    createdBy,
+    expiresAt,
+    email,
+    template,
+  });
+
+  const url = inviteUrl(token);
+  const delivery = await deliver(invite, url, data);
+  return { url, expiresAt, invite, delivery };
+}
+
+/**
+ * Seconds until `invite` may be resent, or 0 when allowed now.
+ * Infinity once the per-invite resend cap is reached.
+ */
+function resendWaitSeconds(invite, now = Date.now()) {
+  if ((invite.resendCount || 0) >= MAX_RESENDS) return Infinity;
+  const last = invite.delivery?.lastAttemptAt || invite.createdAt;
+  const wait = last ? new Date(last).getTime() + RESEND_COOLDOWN_MS - now : 0;
+  return wait > 0 ? Math.ceil(wait / 1000) : 0;
+}
+
+/**
+ * Send a pending invite again. Only hashes are stored, so the token is rotated
+ * (the previous link stops working) and the expiry restarts. The cooldown and
+ * resend cap (see resendWaitSeconds) are checked and counted in one update, so
+ * concurrent resends cannot get past them. Returns { url, expiresAt, invite,
+ * delivery }, or null when the invite is no longer pending or may not be
+ * resent yet.
+ */
+async function resendInvite(invite, data) {
+  const now = new Date();
+  const cutoff = new Date(now.getTime() - RESEND_COOLDOWN_MS);
+  const claimed = await InviteToken.findOneAndUpdate(
+    {
+      _id: invite._id,
+      ...PENDING,
+      resendCount: { $not: { $gte: MAX_RESENDS } },
+      $or: [
+        { 'delivery.lastAttemptAt': { $lte: cutoff } },
+        { 'delivery.lastAttemptAt': null, createdAt: { $not: { $gt: cutoff } } },
+      ],
+    },
+    { $inc: { resendCount: 1 }, $set: { lastResentAt: now, 'delivery.lastAttemptAt': now } },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  const token = generateOpaqueToken();
+  claimed.tokenHash = hashToken(token);
+  claimed.expiresAt = new Date(Date.now() + INVITE_TTL_MS);
+
+  const url = inviteUrl(token);
+  const delivery = await deliver(claimed, url, data);
+  return { url, expiresAt: claimed.expiresAt, invite: claimed, delivery };
+}
+
+module.exports = {
+  PENDING,
+  MAX_RESENDS,
+  inviteTarget,
+  createInvite,
+  resendInvite,
+  resendWaitSeconds,
+  revokeInvites,
+  inviteUrl,
+  FRONTEND_URL,
+  frontendLink,
+};
@@ -0,0 +1,226 @@
+// lib/invoicing.js
+// Student invoices per enrollment: issuing, payments, discounts, refunds and
+// balances. Every change re-syncs the course's invoiced / collected totals.
+// Errors carry a `code` (INVOICE_*) for the routes to map to a status.
+const mongoose = require('mongoose');
+
+const Invoice = require('../models/invoice');
+const Course = require('../models/course');
+const Enrollment = require('../models/enrollment');
+const Organization = require('../models/organization');
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+function invoiceError(message, code, extra = {}) {
+  const err = new Error(message);
+  err.code = code;
+  return Object.assign(err, extra);
+}
+
+function parseAmount(raw, field = 'amount') {
+  const n = Number(raw);
+  if (!Number.isFinite(n) || n <= 0) throw invoiceError(`${field} must be a positive number.`, 'INVOICE_INVALID');
+  return round2(n);
+}
+
+async function nextInvoiceNumber(owner) {
+  const org = await Organization.findByIdAndUpdate(owner, { $inc: { invoiceSeq: 1 } }, { new: true })
+    .select('invoiceSeq')
+    .lean();
+  if (!org) throw invoiceError('Organization not found.', 'INVOICE_INVALID');
+  return `INV-${String(org.invoiceSeq).padStart(6, '0')}`;
+}
+
+// Save and keep the course totals in step
+async function commit(invoice) {
+  await invoice.save();
+  await Course.syncInvoiceTotals(invoice.course);
+  return invoice;
+}
+
+function assertOpen(invoice) {
+  if (invoice.status === 'void') throw invoiceError('Invoice is void.', 'INVOICE_VOID');
+}
+
+// The unique { enrollment } index (non-void invoices) turns a concurrent
+// second invoice for the same enrollment into INVOICE_EXISTS
+async function createFor(enrollment, course, { amount, discount, discountReason, dueDate, note, createdBy }) {
+  try {
+    return await Invoice.create({
+      owner: enrollment.owner,
+      enrollment: enrollment._id,
+      student: enrollment.student_id,
+      course: course._id,
+      number: await nextInvoiceNumber(enrollment.owner),
+      courseTitle: course.title,
+      amount: amount ?? course.cost ?? 0,
+      discount: discount || 0,
+      discountReason,
+      dueDate,
+      note,
+      createdBy,
+    });
+  } catch (err) {
+    if (err.code !== 11000 || !err.keyPattern?.enrollment) throw err;
+    const existing = await Invoice.findOne({ enrollment: enrollment._id, voidedAt: null }).select('_id number').lean();
+    throw invoiceError('This enrollment is already invoiced.', 'INVOICE_EXISTS', { invoice: existing });
+  }
+}
+
+/**
+ * Issue the invoice for one enrollment. `amount` defaults to the course cost.
+ * Throws INVOICE_NOT_ENROLLED unless the enrollment is active, INVOICE_EXISTS
+ * when it already has a non-void invoice.
+ */
+async function issueInvoice(enrollment, opts = {}) {
+  if (enrollment.status !== 'active') {
+    throw invoiceError(`Only active enrollments can be invoiced (this one is ${enrollment.status}).`, 'INVOICE_NOT_ENROLLED');
+  }
+  const existing = await Invoice.findOne({ enrollment: enrollment._id, status: { $ne: 'void' } })
+    .select('_id number')
+    .lean();
+  if (existing) {
+    throw invoiceError('This enrollment is already invoiced.', 'INVOICE_EXISTS', { invoice: existing });
+  }
+
+  const course = await Course.findById(enrollment.course_id).select('title cost').lean();
+  if (!course) throw invoiceError('Course not found.', 'INVOICE_INVALID');
+
+  const invoice = await createFor(enrollment, course, opts);
+  await Course.syncInvoiceTotals(course._id);
+  return invoice;
+}
+
+/**
+ * Invoice every active enrollment of `course` that has no (non-void) invoice yet.
+ * Returns { created, skipped } where skipped counts already-invoiced enrollments.
+ */
+async function generateCourseInvoices(course, opts = {}) {
+  const enrollments = await Enrollment.find({ course_id: course._id, status: 'active' }).lean();
+  const invoiced = new Set(
+    (await Invoice.find({ course: course._id, status: { $ne: 'void' } }).select('enrollment').lean())
+      .map((i) => String(i.enrollment))
+  );
+
+  const created = [];
+  for (const enrollment of enrollments) {
+    if (invoiced.has(String(enrollment._id))) continue;
+    try {
+      created.push(await createFor(enrollment, course, opts));
+    } catch (err) {
+      if (err.code !== 'INVOICE_EXISTS') throw err;
+    }
+  }
+  if (created.length) await Course.syncInvoiceTotals(course._id);
+  return { created, skipped: enrollments.length - created.length };
+}
+
+/**
+ * Record a (partial) payment. Throws INVOICE_OVERPAYMENT above the balance.
+ */
+async function recordPayment(invoice, { amount, method, paidAt, reference, note, recordedBy }) {
+  assertOpen(invoice);
+  const value = parseAmount(amount);
+  if (value > invoice.balance) {
+    throw invoiceError('Payment exceeds the outstanding balance.', 'INVOICE_OVERPAYMENT', { balance: invoice.balance });
+  }
+  invoice.payments.push({ amount: value, method, paidAt, reference, note, recordedBy });
+  return commit(invoice);
+}
+
+/**
+ * Give money back. The refunded amount is no longer owed (see models/invoice),
+ * so the balance does not change. Throws INVOICE_REFUND_TOO_LARGE above what
+ * was paid.
+ */
+async function recordRefund(invoice, { amount, reason, recordedBy }) {
+  assertOpen(invoice);
+  const value = parseAmount(amount);
+  if (value > invoice.paid) {
+    throw invoiceError('Refund exceeds the amount paid.', 'INVOICE_REFUND_TOO_LARGE', { paid: invoice.paid });
+  }
+  invoice.refunds.push({ amount: value, reason, recordedBy });
+  return commit(invoice);
+}
+
+/**
+ * Set the discount (an absolute amount, 0 removes it). It may not bring the
+ * total below what has already been paid.
+ */
+async function applyDiscount(invoice, { discount, reason }) {
+  assertOpen(invoice);
+  const value = round2(Number(discount));
+  if (!Number.isFinite(value) || value < 0) throw invoiceError('discount must be 0 or more.', 'INVOICE_INVALID');
+  if (invoice.amount - value - invoice.refunded < invoice.paid) {
+    throw invoiceError('Discount would bring the total below the amount paid. Refund first.', 'INVOICE_DISCOUNT_TOO_LARGE');
+  }
+  invoice.discount = value;
+  invoice.discountReason = value ? reason : undefined;
+  return commit(invoice);
+}
+
+/**
+ * Cancel an invoice. Money already paid has to be refunded first.
+ */
+async function voidInvoice(invoice, { by, reason }) {
+  assertOpen(invoice);
+  if (invoice.paid > 0) {
+    throw invoiceError('Refund the payments before voiding the invoice.', 'INVOICE_HAS_PAYMENTS', { paid: invoice.paid });
+  }
+  invoice.voidedAt = new Date();
+  invoice.voidedBy = by;
+  invoice.voidReason = reason;
+  return commit(invoice);
+}
+
+/**
+ * Outstanding balances per student for `owner`, largest first.
+ * Optional `course` / `student` narrow the invoices considered.
+ */
+async function outstandingBalances(owner, { course, student } = {}) {
+  const match = { owner: new mongoose.Types.ObjectId(String(owner)), status: { $in: Invoice.OUTSTANDING } };
+  if (course) match.course = new mongoose.Types.ObjectId(String(course));
+  if (student) match.student = new mongoose.Types.ObjectId(String(student));
+
+  const rows = await Invoice.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$student',
+        balance: { $sum: '$balance' },
+        invoices: { $sum: 1 },
+        overdue: {
+          $sum: {
+            $cond: [
+              { $and: [{ $eq: [{ $type: '$dueDate' }, 'date'] }, { $lt: ['$dueDate', new Date()] }] },
+              '$balance',
+              0,
+            ],
+          },
+        },
+        oldestDueDate: { $min: '$dueDate' },
+      },
+    },
+    { $sort: { balance: -1 } },
+    { $lookup: { from: 'students', localField: '_id', foreignField: '_id', as: 'student' } },
+    { $unwind: { path: '$student', preserveNullAndEmptyArrays: true } },
+  ]);
+
+  return rows.map((r) => ({
+    student: r.student ? { id: r.student._id, name: r.student.name, email: r.student.email } : { id: r._id },
+    balance: round2(r.balance),
+    overdue: round2(r.overdue),
+    invoices: r.invoices,
+    oldestDueDate: r.oldestDueDate || null,
+  }));
+}
+
+module.exports = {
+  issueInvoice,
+  generateCourseInvoices,
+  recordPayment,
+  recordRefund,
+  applyDiscount,
+  voidInvoice,
+  outstandingBalances,
+};
@@ -0,0 +1,90 @@
+// lib/locations.js
+// Course venues: resolving a course's venue/room, its seat capacity and the
+// location label and coordinates copied onto courses.
+const mongoose = require('mongoose');
+
+const Course = require('../models/course');
+const Location = require('../models/location');
+
+function locationError(message, code = 'LOCATION_INVALID') {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+const findRoom = (venue, roomId) => (roomId ? venue.rooms.find((r) => String(r._id) === String(roomId)) || null : null);
+
+// Room capacity, else the venue's; null = no limit
+function capacityOf(venue, roomId) {
+  if (!venue) return null;
+  const room = findRoom(venue, roomId);
+  const capacity = room ? room.capacity : venue.capacity;
+  return capacity == null ? null : capacity;
+}
+
+// "Main campus – Room 2" / "Main campus"
+const venueLabel = (venue, room) => (room ? `${venue.name} – ${room.name}` : venue.name);
+
+// Course fields copied from the venue
+function courseFields(venue, room) {
+  return {
+    venue: venue._id,
+    room: room ? room._id : null,
+    location: venueLabel(venue, room),
+    location_lat: venue.lat,
+    location_lon: venue.lon,
+    location_place_id: venue.placeId,
+  };
+}
+
+/**
+ * Check that `venueId` is one of `owner`'s locations and `roomId` (optional)
+ * one of its rooms. Resolves to { venue, room, capacity, fields } where
+ * `fields` are the course fields to set. Throws LOCATION_INVALID.
+ */
+async function resolveVenue(owner, venueId, roomId) {
+  const venue = mongoose.isValidObjectId(venueId) ? await Location.findOne({ _id: venueId, owner }).lean() : null;
+  if (!venue) throw locationError('venue must be one of your locations.');
+  const room = findRoom(venue, roomId);
+  if (roomId && !room) throw locationError(`room must be one of the rooms of ${venue.name}.`);
+  return { venue, room, capacity: capacityOf(venue, roomId), fields: courseFields(venue, room) };
+}
+
+/**
+ * Seats available on the course: its room's or venue's capacity, null when
+ * unlimited (no venue, or no capacity set).
+ */
+async function courseCapacity(course) {
+  if (!course.venue) return null;
+  const venue = await Location.findById(course.venue).select('capacity rooms').lean();
+  return capacityOf(venue, course.room);
+}
+
+/**
+ * Refresh the label and coordinates of every course held at `venue` after it
+ * (or one of its rooms) changed.
+ */
+async function syncCourseLocations(venue) {
+  const ops = [null, ...venue.rooms].map((room) => {
+    const { venue: _venue, room: _room, ...set } = courseFields(venue, room);
+    const filter = room ? { venue: venue._id, room: room._id } : { venue: venue._id, room: null };
+    return { updateMany: { filter, update: { $set: set } } };
+  });
+  await Course.bulkWrite(ops);
+}
+
+/**
+ * Courses (archived included) still held at the location, or in `roomId` only.
+ */
+function coursesAt(venueId, roomId) {
+  return Course.countDocuments(roomId ? { venue: venueId, room: roomId } : { venue: venueId });
+}
+
+module.exports = {
+  capacityOf,
+  venueLabel,
+  resolveVenue,
+  courseCapacity,
+  syncCourseLocations,
+  coursesAt,
+};
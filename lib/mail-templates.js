@@ -0,0 +1,115 @@
+// lib/mail-templates.js
+// Email templates: each returns { subject, text, html } from plain data.
+const APP_NAME = process.env.APP_NAME || 'Tadrib';
+
+function escapeHtml(v) {
+  return String(v == null ? '' : v)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Paragraphs of text (and an optional call-to-action link) in both formats
+function layout({ subject, greeting, paragraphs, action, footer }) {
+  const lines = [greeting, ...paragraphs];
+  const text = [
+    ...lines,
+    ...(action ? [`${action.label}: ${action.url}`] : []),
+    ...(footer ? [footer] : []),
+    `— ${APP_NAME}`,
+  ].filter(Boolean).join('\n\n');
+
+  const html = [
+    ...lines.filter(Boolean).map((p) => `<p>${escapeHtml(p)}</p>`),
+    action ? `<p><a href="${escapeHtml(action.url)}">${escapeHtml(action.label)}</a></p>` : '',
+    footer ? `<p style="color:#666">${escapeHtml(footer)}</p>` : '',
+    `<p>— ${escapeHtml(APP_NAME)}</p>`,
+  ].filter(Boolean).join('\n');
+
+  return { subject, text, html };
+}
+
+const formatExpiry = (d) => new Date(d).toUTCString();
+
+const TEMPLATES = {
+  // data: { name, url, expiresAt, organizationName }
+  'instructor-invite': (d) => layout({
+    subject: `You're invited to teach with ${d.organizationName || APP_NAME}`,
+    greeting: d.name ? `Hi ${d.name},` : 'Hi,',
+    paragraphs: [
+      `${d.organizationName || 'A training center'} added you as an instructor on ${APP_NAME}.`,
+      'Set a password to see your schedule, take attendance and follow your payroll.',
+    ],
+    action: { label: 'Set your password', url: d.url },
+    footer: `This link can be used once and expires on ${formatExpiry(d.expiresAt)}.`,
+  }),
+
+  // data: { name, url, expiresAt, organizationName }
+  'student-invite': (d) => layout({
+    subject: `Your student portal at ${d.organizationName || APP_NAME}`,
+    greeting: 'Hi,',
+    paragraphs: [
+      `${d.organizationName || 'Your training center'} invited you to the student portal${d.name ? ` for ${d.name}` : ''}.`,
+      'Set a password to see courses, upcoming sessions and attendance.',
+    ],
+    action: { label: 'Set your password', url: d.url },
+    footer: `This link can be used once and expires on ${formatExpiry(d.expiresAt)}.`,
+  }),
+
+  // data: { url, expiresAt, organizationName, role }
+  'staff-invite': (d) => layout({
+    subject: `Join ${d.organizationName || 'your team'} on ${APP_NAME}`,
+    greeting: 'Hi,',
+    paragraphs: [`You've been invited to join ${d.organizationName || 'an organization'} as ${d.role}.`],
+    action: { label: 'Accept the invitation', url: d.url },
+    footer: `This link can be used once and expires on ${formatExpiry(d.expiresAt)}.`,
+  }),
+
+  // data: { username, url }
+  'password-reset': (d) => layout({
+    subject: 'Reset your password',
+    greeting: 'Hi,',
+    paragraphs: [
+      `A password reset was requested for ${d.username}.`,
+      'Open the link below within the next hour to choose a new password.',
+    ],
+    action: { label: 'Reset your password', url: d.url },
+    footer: 'If you did not ask for this, you can ignore this email.',
+  }),
+
+  // data: { name, courseTitle, change: 'cancelled'|'rescheduled'|'added', date, newDate, start_time, end_time, reason }
+  'schedule-change': (d) => {
+    const when = (date) => `${date}${d.start_time ? ` ${d.start_time}–${d.end_time}` : ''}`;
+    const summary = {
+      cancelled: `The session on ${d.date} has been cancelled.`,
+      rescheduled: `The session on ${d.date} has moved to ${when(d.newDate)}.`,
+      added: `A makeup session was added on ${when(d.date)}.`,
+    }[d.change];
+    return layout({
+      subject: `Schedule change: ${d.courseTitle}`,
+      greeting: d.name ? `Hi ${d.name},` : 'Hi,',
+      paragraphs: [`${d.courseTitle}: ${summary}`, d.reason ? `Reason: ${d.reason}` : null],
+    });
+  },
+
+  // data: { name, courseTitle, startDate, location }
+  'waitlist-promoted': (d) => layout({
+    subject: `A seat opened up: ${d.courseTitle}`,
+    greeting: 'Hi,',
+    paragraphs: [
+      `A seat became available in ${d.courseTitle} and ${d.name || 'you'} moved off the waitlist. The enrollment is confirmed.`,
+      d.startDate ? `The course starts on ${d.startDate}${d.location ? ` at ${d.location}` : ''}.` : null,
+      'If you no longer need the seat, please let us know so it can go to the next student.',
+    ],
+  }),
+};
+
+function render(name, data = {}) {
+  const template = TEMPLATES[name];
+  if (!template) throw new Error(`Unknown mail template: ${name}`);
+  return template(data);
+}
+
+module.exports = { render, escapeHtml, TEMPLATES };
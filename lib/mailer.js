@@ -0,0 +1,116 @@
+// lib/mailer.js
+// Outgoing mail behind a swappable transport. A transport is any object with
+// `send({ from, to, subject, text, html })` resolving to { id }.
+//
+// MAIL_TRANSPORT selects the default:
+//  - smtp:    SMTP_URL, or SMTP_HOST / SMTP_PORT / SMTP_SECURE / SMTP_USER / SMTP_PASS
+//  - file:    writes each message as JSON under MAIL_DIR (default ./tmp/mail)
+//  - memory:  keeps messages in `memoryTransport.messages` (tests)
+//  - console: prints messages (default outside production)
+//
+// In production (NODE_ENV=production) MAIL_TRANSPORT must name smtp, file or
+// memory: printed messages would put reset and invite links in the logs.
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { render } = require('./mail-templates');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Tadrib <no-reply@tadrib.app>';
+
+function smtpTransport() {
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport(
+    process.env.SMTP_URL || {
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+    }
+  );
+  return {
+    name: 'smtp',
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { id: info.messageId };
+    },
+  };
+}
+
+function fileTransport(dir = process.env.MAIL_DIR || path.join(process.cwd(), 'tmp', 'mail')) {
+  return {
+    name: 'file',
+    async send(message) {
+      const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(path.join(dir, `${id}.json`), JSON.stringify({ id, ...message }, null, 2));
+      return { id };
+    },
+  };
+}
+
+const consoleTransport = {
+  name: 'console',
+  async send(message) {
+    console.log(`[mail] to=${message.to} subject="${message.subject}"\n${message.text || ''}`);
+    return { id: null };
+  },
+};
+
+const memoryTransport = {
+  name: 'memory',
+  messages: [],
+  async send(message) {
+    const id = String(this.messages.length + 1);
+    this.messages.push({ id, ...message });
+    return { id };
+  },
+  clear() {
+    this.messages.length = 0;
+  },
+};
+
+const FACTORIES = {
+  smtp: smtpTransport,
+  file: () => fileTransport(),
+  console: () => consoleTransport,
+  memory: () => memoryTransport,
+};
+
+let transport = null;
+
+function getTransport() {
+  if (transport) return transport;
+
+  const name = process.env.MAIL_TRANSPORT;
+  if (process.env.NODE_ENV === 'production' && (!FACTORIES[name] || name === 'console')) {
+    throw new Error('MAIL_TRANSPORT must be smtp, file or memory in production.');
+  }
+  transport = (FACTORIES[name] || FACTORIES.console)();
+  return transport;
+}
+
+function setTransport(next) {
+  transport = next;
+}
+
+function sendMail({ to, subject, text, html }) {
+  return getTransport().send({ from: MAIL_FROM, to, subject, text, html });
+}
+
+/**
+ * Render template `name` with `data` and send it to `to`.
+ * Resolves to { id } from the transport.
+ */
+function sendTemplate(name, to, data = {}) {
+  return sendMail({ to, ...render(name, data) });
+}
+
+module.exports = {
+  sendMail,
+  sendTemplate,
+  setTransport,
+  getTransport,
+  fileTransport,
+  memoryTransport,
+  consoleTransport,
+};
@@ -0,0 +1,52 @@
+// lib/notifications.js
+// Emails sent as a side effect of data changes. Failures are logged, never
+// surfaced to the request that triggered them.
+const Instructor = require('../models/instructor');
+const Student = require('../models/student');
+const { sendTemplate } = require('./mailer');
+
+/**
+ * Tell the course's instructors that a session changed.
+ * `change`: { change: 'cancelled'|'rescheduled'|'added', date, newDate?, start_time?, end_time?, reason? }
+ */
+async function notifyScheduleChange(course, change) {
+  try {
+    const instructors = await Instructor.find({ _id: { $in: course.instructors || [] } })
+      .select('name email')
+      .lean();
+    await Promise.all(
+      instructors
+        .filter((i) => i.email)
+        .map((i) => sendTemplate('schedule-change', i.email, { ...change, name: i.name, courseTitle: course.title }))
+    );
+  } catch (err) {
+    console.error('schedule-change notification failed:', err.message);
+  }
+}
+
+/**
+ * Tell students promoted off the course's waitlist that their seat is confirmed.
+ * `enrollments`: the promoted enrollments.
+ */
+async function notifyWaitlistPromotion(course, enrollments) {
+  try {
+    const students = await Student.find({ _id: { $in: enrollments.map((e) => e.student_id) } })
+      .select('name email')
+      .lean();
+    const startDate = course.start_date ? new Date(course.start_date).toISOString().slice(0, 10) : null;
+    await Promise.all(
+      students
+        .filter((s) => s.email)
+        .map((s) => sendTemplate('waitlist-promoted', s.email, {
+          name: s.name,
+          courseTitle: course.title,
+          startDate,
+          location: course.location,
+        }))
+    );
+  } catch (err) {
+    console.error('waitlist notification failed:', err.message);
+  }
+}
+
+module.exports = { notifyScheduleChange, notifyWaitlistPromotion };
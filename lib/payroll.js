@@ -0,0 +1,195 @@
+// lib/payroll.js
+// Instructor payroll computed from course.attendance × course.instructorRates.
+const Course = require('../models/course');
+const PayrollStatement = require('../models/payroll-statement');
+const { diffHours, ymd, isCancelled, resolveSessionKeys } = require('./sessions');
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const inRange = (key, from, to) => (!from || key >= from) && (!to || key <= to);
+
+/**
+ * One line per attended session, read from live course data.
+ * `owner` scopes the search to the instructor's tenant.
+ */
+async function liveLines({ owner, instructorId, from, to }) {
+  const id = String(instructorId);
+  const courses = await Course.find({ owner, [`attendance.${id}`]: { $exists: true } })
+    .select('title courseDatesTimes attendance instructorRates')
+    .lean();
+
+  const lines = [];
+  for (const course of courses) {
+    const sessions = course.courseDatesTimes || [];
+    const keys = (course.attendance || {})[id] || [];
+    const rate = Number((course.instructorRates || {})[id]) || 0;
+
+    for (const index of resolveSessionKeys(sessions, keys)) {
+      const s = sessions[index];
+      const session = ymd(s.date);
+      if (isCancelled(s) || !inRange(session, from, to)) continue;
+      const hours = diffHours(s.start_time, s.end_time);
+      lines.push({
+        course: course._id,
+        courseTitle: course.title,
+        session,
+        start_time: s.start_time,
+        end_time: s.end_time,
+        hours,
+        rate,
+        amount: round2(hours * rate),
+      });
+    }
+  }
+  return lines;
+}
+
+function overlappingStatements({ instructorId, from, to }) {
+  return PayrollStatement.find({
+    instructor: instructorId,
+    from: { $lte: to || '9999-12-31' },
+    to: { $gte: from || '0000-01-01' },
+  })
+    .sort({ from: 1 })
+    .lean();
+}
+
+function groupByCourse(lines) {
+  const courses = new Map();
+  for (const line of lines) {
+    const key = String(line.course);
+    if (!courses.has(key)) {
+      courses.set(key, { courseId: key, title: line.courseTitle, hours: 0, amount: 0, sessions: [] });
+    }
+    const c = courses.get(key);
+    c.hours += line.hours;
+    c.amount = round2(c.amount + line.amount);
+    c.sessions.push(line);
+  }
+  for (const c of courses.values()) c.sessions.sort((a, b) => a.session.localeCompare(b.session));
+  return Array.from(courses.values()).sort((a, b) => String(a.title).localeCompare(String(b.title)));
+}
+
+/**
+ * Payroll report for an instructor between two "yyyy-mm-dd" dates (inclusive, optional).
+ * Sessions inside a locked (paid) statement are reported from the statement snapshot,
+ * so later attendance or rate edits cannot change what was already paid.
+ */
+async function buildPayroll({ owner, instructorId, from, to }) {
+  const [live, statements] = await Promise.all([
+    liveLines({ owner, instructorId, from, to }),
+    overlappingStatements({ instructorId, from, to }),
+  ]);
+
+  const isLocked = (session) => statements.some((st) => session >= st.from && session <= st.to);
+
+  const lines = [
+    ...live.filter((l) => !isLocked(l.session)).map((l) => ({ ...l, paid: false })),
+    ...statements.flatMap((st) =>
+      (st.lines || [])
+        .filter((l) => inRange(l.session, from, to))
+        .map((l) => ({ ...l, paid: true, statement: st._id }))
+    ),
+  ];
+
+  const totals = lines.reduce(
+    (t, l) => {
+      t.sessions += 1;
+      t.hours += l.hours;
+      t.amount = round2(t.amount + l.amount);
+      if (l.paid) t.paidAmount = round2(t.paidAmount + l.amount);
+      else t.unpaidAmount = round2(t.unpaidAmount + l.amount);
+      return t;
+    },
+    { sessions: 0, hours: 0, amount: 0, paidAmount: 0, unpaidAmount: 0 }
+  );
+
+  return {
+    from: from || null,
+    to: to || null,
+    courses: groupByCourse(lines),
+    totals,
+    statements: statements.map((st) => ({
+      id: st._id,
+      from: st.from,
+      to: st.to,
+      totalHours: st.totalHours,
+      totalAmount: st.totalAmount,
+      paidAt: st.paidAt,
+    })),
+  };
+}
+
+/**
+ * Freeze [from, to] as a paid statement. Throws code PAYROLL_OVERLAP if any
+ * part of the period is already locked.
+ */
+async function lockPayroll({ owner, instructorId, from, to, paidBy, note }) {
+  for (;;) {
+    // Read the latest seq before the overlap check: a statement locked after
+    // it takes that seq + 1 first and makes our insert fail (unique { instructor, seq })
+    const last = await PayrollStatement.findOne({ instructor: instructorId, seq: { $exists: true } })
+      .sort({ seq: -1 })
+      .select('seq')
+      .lean();
+    const existing = await overlappingStatements({ instructorId, from, to });
+    if (existing.length) {
+      const err = new Error('Payroll period overlaps an existing paid statement.');
+      err.code = 'PAYROLL_OVERLAP';
+      err.statements = existing.map((st) => ({ id: st._id, from: st.from, to: st.to }));
+      throw err;
+    }
+
+    const lines = await liveLines({ owner, instructorId, from, to });
+    try {
+      return await PayrollStatement.create({
+        owner,
+        instructor: instructorId,
+        from,
+        to,
+        seq: (last?.seq || 0) + 1,
+        lines,
+        totalHours: lines.reduce((sum, l) => sum + l.hours, 0),
+        totalAmount: round2(lines.reduce((sum, l) => sum + l.amount, 0)),
+        paidBy,
+        note,
+      });
+    } catch (err) {
+      // A concurrent lock got in first: check against it again
+      if (err.code !== 11000) throw err;
+    }
+  }
+}
+
+/**
+ * Compare two attendance maps ({ [instructorId]: sessionKey[] }) for a course and
+ * return the changed sessions that fall inside a paid statement.
+ * Pass `afterSessions` when the calendar itself changes (e.g. a reschedule).
+ */
+async function findLockedAttendanceChanges(course, before = {}, after = {}, afterSessions) {
+  const sessions = Array.isArray(course?.courseDatesTimes) ? course.courseDatesTimes : [];
+  const toDates = (keys, list = sessions) =>
+    new Set(resolveSessionKeys(list, keys).map((i) => ymd(list[i].date)));
+
+  const changes = [];
+  const ids = new Set([...Object.keys(before), ...Object.keys(after)]);
+  for (const instructorId of ids) {
+    const a = toDates(before[instructorId] || []);
+    const b = toDates(after[instructorId] || [], afterSessions || sessions);
+    const changed = [...a, ...b].filter((d) => a.has(d) !== b.has(d));
+    if (!changed.length) continue;
+
+    const sorted = changed.sort();
+    const statements = await overlappingStatements({
+      instructorId,
+      from: sorted[0],
+      to: sorted[sorted.length - 1],
+    });
+    for (const session of sorted) {
+      const st = statements.find((s) => session >= s.from && session <= s.to);
+      if (st) changes.push({ instructorId, session, statement: st._id });
+    }
+  }
+  return changes;
+}
+
+module.exports = { buildPayroll, lockPayroll, findLockedAttendanceChanges };
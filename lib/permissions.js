@@ -0,0 +1,70 @@
+// lib/permissions.js
+// Role → action policy for tenant (organization) data.
+//
+// Actions are "<resource>:<verb>". A role grants an action when its list holds
+// the action itself, "<resource>:*" or "*". Instructors get no tenant-wide
+// permissions: their access to assigned courses is checked per resource.
+// Actions no role lists (billing:manage, audit:read) belong to owners alone.
+const Organization = require('../models/organization');
+
+const POLICY = {
+  owner: ['*'],
+  admin: [
+    'courses:*', 'instructors:*', 'students:*', 'attendance:*', 'payroll:*',
+    'invoices:*', 'reports:read', 'billing:read', 'members:read', 'locations:*',
+  ],
+  manager: [
+    'courses:*', 'instructors:*', 'students:*', 'attendance:*', 'payroll:read',
+    'invoices:read', 'invoices:write', 'reports:read', 'billing:read', 'locations:*',
+  ],
+  staff: [
+    'courses:read', 'courses:write', 'instructors:read', 'students:*', 'attendance:*',
+    'invoices:read', 'invoices:write', 'locations:read',
+  ],
+  instructor: [],
+  student: [],
+};
+
+// Roles a member can be given inside an organization
+const MEMBER_ROLES = Organization.MEMBER_ROLES;
+
+function can(roles = [], action) {
+  const [resource] = String(action).split(':');
+  return roles.some((role) =>
+    (POLICY[role] || []).some((p) => p === '*' || p === action || p === `${resource}:*`)
+  );
+}
+
+/**
+ * The organization a user acts in and their role there:
+ * { ownerId, roles, name, timezone } where ownerId is the organization id held
+ * in `owner` fields. Picks `requestedId` when given (null if not a member),
+ * else the user's active organization, else their first membership.
+ */
+async function resolveTenant(user, requestedId) {
+  const orgs = await Organization.find({ 'members.user': user._id })
+    .select('name timezone members')
+    .lean();
+  const pick = (id) => id && orgs.find((o) => String(o._id) === String(id));
+
+  const org = requestedId ? pick(requestedId) : pick(user.organization) || orgs[0];
+  if (!org) return requestedId ? null : { ownerId: null, roles: [] };
+
+  const member = org.members.find((m) => String(m.user) === String(user._id));
+  return { ownerId: String(org._id), roles: [member.role], name: org.name, timezone: org.timezone };
+}
+
+// doc.owner belongs to the caller's organization
+function inTenant(req, doc) {
+  return !!doc?.owner && !!req.tenant?.ownerId && String(doc.owner) === String(req.tenant.ownerId);
+}
+
+/**
+ * Caller may perform `action` — on `doc` (must be in their organization) when given.
+ */
+function allowed(req, action, doc) {
+  if (doc !== undefined && !inTenant(req, doc)) return false;
+  return can(req.tenant?.roles || [], action);
+}
+
+module.exports = { POLICY, MEMBER_ROLES, can, resolveTenant, inTenant, allowed };
@@ -0,0 +1,162 @@
+// lib/plans.js
+// Plan entitlements (limits + features) and their enforcement middleware.
+const Subscription = require('../models/subscription');
+const Organization = require('../models/organization');
+const Course = require('../models/course');
+const Instructor = require('../models/instructor');
+const { DEFAULT_TIMEZONE, isValidTimeZone, todayIn } = require('./sessions');
+
+const FRONTEND_BASE_URL =
+  process.env.FRONTEND_BASE_URL?.replace(/\/+$/, '') || 'http://localhost:5173';
+
+/**
+ * Limits are counts (null = unlimited); features are on/off switches.
+ */
+const PLANS = {
+  free: {
+    limits: { activeCourses: 3, instructors: 2 },
+    features: { invites: false, exports: false },
+  },
+  pro: {
+    limits: { activeCourses: 25, instructors: 15 },
+    features: { invites: true, exports: true },
+  },
+  business: {
+    limits: { activeCourses: null, instructors: null },
+    features: { invites: true, exports: true },
+  },
+};
+
+// Subscriptions that are not in good standing fall back to free entitlements
+const GOOD_STANDING = new Set(['active', 'trialing']);
+
+// Today in the organization's timezone, as the UTC midnight course dates are stored at
+async function tenantToday(owner) {
+  const org = await Organization.findById(owner).select('timezone').lean();
+  return new Date(todayIn(isValidTimeZone(org?.timezone) ? org.timezone : DEFAULT_TIMEZONE));
+}
+
+// How each limit is counted for a tenant
+const USAGE = {
+  // Courses that have not ended yet; archived records do not count
+  activeCourses: async (owner) =>
+    Course.countDocuments({ owner, archivedAt: null, end_date: { $gte: await tenantToday(owner) } }),
+  instructors: (owner) => Instructor.countDocuments({ owner, archivedAt: null }),
+};
+
+async function getEntitlements(owner) {
+  const sub = await Subscription.findOne({ owner }).select('planId status').lean();
+  const planId = sub && GOOD_STANDING.has(sub.status) && PLANS[sub.planId] ? sub.planId : 'free';
+  return { planId, ...PLANS[planId] };
+}
+
+/**
+ * { [limit]: { used, max } } for every limit of the tenant's plan.
+ */
+async function getUsage(owner, entitlements) {
+  const ent = entitlements || (await getEntitlements(owner));
+  const names = Object.keys(ent.limits);
+  const counts = await Promise.all(names.map((name) => USAGE[name](owner)));
+  return Object.fromEntries(names.map((name, i) => [name, { used: counts[i], max: ent.limits[name] }]));
+}
+
+const callerTenant = (req) => req.tenant?.ownerId || req.user._id;
+
+const upgradeUrl = () => `${FRONTEND_BASE_URL}/subscriptions`;
+
+/**
+ * The 402 body when adding `adding` more `limit` items would exceed the
+ * tenant's plan, else null.
+ */
+async function limitExceeded(owner, limit, adding = 1) {
+  const ent = await getEntitlements(owner);
+  const max = ent.limits[limit];
+  if (max == null) return null;
+
+  const used = await USAGE[limit](owner);
+  if (used + adding <= max) return null;
+
+  return {
+    err: `Your ${ent.planId} plan allows ${max} ${limit}. Upgrade to add more.`,
+    code: 'PLAN_LIMIT_REACHED',
+    planId: ent.planId,
+    limit,
+    used,
+    max,
+    upgradeUrl: upgradeUrl(),
+  };
+}
+
+// Organizations a user may own on the free plan; more need a paid subscription
+const MAX_FREE_ORGANIZATIONS = 1;
+
+/**
+ * The 402 body when `userId` already owns the free-plan organizations they
+ * are allowed, else null. Keeps users from stacking free plans.
+ */
+async function organizationLimitExceeded(userId) {
+  const owned = await Organization.find({ members: { $elemMatch: { user: userId, role: 'owner' } } })
+    .select('_id')
+    .lean();
+  const plans = await Promise.all(owned.map((o) => getEntitlements(o._id)));
+  const free = plans.filter((ent) => ent.planId === 'free').length;
+  if (free < MAX_FREE_ORGANIZATIONS) return null;
+
+  return {
+    err: `You can own ${MAX_FREE_ORGANIZATIONS} organization on the free plan. Upgrade one of yours to add another.`,
+    code: 'PLAN_LIMIT_REACHED',
+    planId: 'free',
+    limit: 'organizations',
+    used: free,
+    max: MAX_FREE_ORGANIZATIONS,
+    upgradeUrl: upgradeUrl(),
+  };
+}
+
+/**
+ * Middleware: 402 when creating one more `limit` item would exceed the plan.
+ * `ownerOf(req)` returns the tenant id (defaults to the caller's tenant).
+ */
+function requireWithinLimit(limit, ownerOf = callerTenant) {
+  return async (req, res, next) => {
+    try {
+      const exceeded = await limitExceeded(ownerOf(req), limit);
+      if (!exceeded) return next();
+      return res.status(402).json(exceeded);
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+/**
+ * Middleware: 403 when the tenant's plan does not include `feature`.
+ */
+function requireFeature(feature, ownerOf = callerTenant) {
+  return async (req, res, next) => {
+    try {
+      const ent = await getEntitlements(ownerOf(req));
+      if (ent.features[feature]) return next();
+
+      return res.status(403).json({
+        err: `Your ${ent.planId} plan does not include ${feature}. Upgrade to use it.`,
+        code: 'PLAN_FEATURE_UNAVAILABLE',
+        planId: ent.planId,
+        feature,
+        upgradeUrl: upgradeUrl(),
+      });
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+module.exports = {
+  PLANS,
+  getEntitlements,
+  getUsage,
+  limitExceeded,
+  organizationLimitExceeded,
+  requireWithinLimit,
+  requireFeature,
+};
@@ -0,0 +1,224 @@
+// lib/reports.js
+// Tenant-wide financial figures computed in MongoDB, mirroring the Course
+// virtuals (revenue, instructorExpense, profit, totalSessions, totalHours).
+//
+// Figures are spread over a course's non-cancelled sessions so a date range or
+// a monthly breakdown gets its share: each session carries revenue / sessions
+// and materialsCost / sessions, and costs hours × the course's hourly rates.
+// Courses without sessions count in full on their start_date. With no range,
+// totals equal the sum of the per-course virtuals.
+const mongoose = require('mongoose');
+
+const Course = require('../models/course');
+
+const GROUP_BY = ['month', 'instructor', 'location'];
+
+const round2 = (n) => Math.round((n || 0) * 100) / 100;
+
+const toInt = (v) => ({ $convert: { input: v, to: 'int', onError: 0, onNull: 0 } });
+
+// "HH:mm" -> minutes since midnight (0 when malformed, like hhmmToMinutes)
+const minutesOf = (hhmm) => ({
+  $add: [
+    { $multiply: [toInt({ $arrayElemAt: [{ $split: [{ $ifNull: [hhmm, ''] }, ':'] }, 0] }), 60] },
+    toInt({ $arrayElemAt: [{ $split: [{ $ifNull: [hhmm, ''] }, ':'] }, 1] }),
+  ],
+});
+
+// Session length in hours, crossing midnight like diffHours
+const hoursOf = (start, end) => ({
+  $let: {
+    vars: { startMin: minutesOf(start), endMin: minutesOf(end) },
+    in: {
+      $divide: [
+        {
+          $subtract: [
+            { $cond: [{ $lt: ['$$endMin', '$$startMin'] }, { $add: ['$$endMin', 1440] }, '$$endMin'] },
+            '$$startMin',
+          ],
+        },
+        60,
+      ],
+    },
+  },
+});
+
+const safeDiv = (a, b) => ({ $cond: [{ $gt: [b, 0] }, { $divide: [a, b] }, 0] });
+
+/**
+ * Stages turning courses into one row per counted session:
+ * { course, location, instructors: [{ id, rate }], date, sessions (0|1), hours,
+ *   revenue, materials, expense }
+ */
+function sessionRows({ owner, from, to }) {
+  const dateMatch = {};
+  if (from) dateMatch.$gte = new Date(from);
+  if (to) dateMatch.$lte = new Date(to);
+
+  return [
+    { $match: { owner: new mongoose.Types.ObjectId(String(owner)) } },
+    {
+      $project: {
+        location: 1,
+        start_date: 1,
+        revenue: { $multiply: [{ $ifNull: ['$cost', 0] }, { $ifNull: ['$students', 0] }] },
+        materialsCost: { $ifNull: ['$materialsCost', 0] },
+        rates: { $objectToArray: { $ifNull: ['$instructorRates', {}] } },
+        instructorIds: { $map: { input: { $ifNull: ['$instructors', []] }, as: 'i', in: { $toString: '$$i' } } },
+        sessions: {
+          $filter: {
+            input: { $ifNull: ['$courseDatesTimes', []] },
+            as: 's',
+            cond: { $ne: ['$$s.status', 'cancelled'] },
+          },
+        },
+      },
+    },
+    {
+      $addFields: {
+        totalSessions: { $size: '$sessions' },
+        rateSum: { $sum: '$rates.v' },
+        // Everyone paid on the course: listed instructors plus anyone with a rate
+        instructors: {
+          $map: {
+            input: { $setUnion: ['$instructorIds', '$rates.k'] },
+            as: 'id',
+            in: {
+              id: '$$id',
+              rate: {
+                $ifNull: [
+                  { $arrayElemAt: [{ $map: { input: { $filter: { input: '$rates', cond: { $eq: ['$$this.k', '$$id'] } } }, in: '$$this.v' } }, 0] },
+                  0,
+                ],
+              },
+            },
+          },
+        },
+      },
+    },
+    {
+      $addFields: {
+        rows: {
+          $cond: [
+            { $gt: ['$totalSessions', 0] },
+            {
+              $map: {
+                input: '$sessions',
+                as: 's',
+                in: { date: '$$s.date', sessions: 1, hours: hoursOf('$$s.start_time', '$$s.end_time') },
+              },
+            },
+            [{ date: '$start_date', sessions: 0, hours: 0 }],
+          ],
+        },
+        shareOf: { $max: ['$totalSessions', 1] },
+      },
+    },
+    { $unwind: '$rows' },
+    ...(from || to ? [{ $match: { 'rows.date': dateMatch } }] : []),
+    {
+      $project: {
+        _id: 0,
+        course: '$_id',
+        location: { $ifNull: ['$location', null] },
+        instructors: 1,
+        date: '$rows.date',
+        sessions: '$rows.sessions',
+        hours: '$rows.hours',
+        revenue: safeDiv('$revenue', '$shareOf'),
+        materials: safeDiv('$materialsCost', '$shareOf'),
+        expense: { $multiply: ['$rows.hours', '$rateSum'] },
+      },
+    },
+  ];
+}
+
+const SUMS = {
+  courses: { $addToSet: '$course' },
+  sessions: { $sum: '$sessions' },
+  hours: { $sum: '$hours' },
+  revenue: { $sum: '$revenue' },
+  instructorExpense: { $sum: '$expense' },
+  materialsCost: { $sum: '$materials' },
+};
+
+/**
+ * Per-instructor rows: the instructor's own hours × rate as expense; revenue and
+ * materials split evenly between the course's instructors. Courses nobody
+ * teaches are grouped under null.
+ */
+const perInstructor = [
+  {
+    $addFields: {
+      share: { $max: [{ $size: '$instructors' }, 1] },
+      instructors: { $cond: [{ $gt: [{ $size: '$instructors' }, 0] }, '$instructors', [{ id: null, rate: 0 }]] },
+    },
+  },
+  { $unwind: '$instructors' },
+  {
+    $group: {
+      _id: '$instructors.id',
+      ...SUMS,
+      revenue: { $sum: { $divide: ['$revenue', '$share'] } },
+      materialsCost: { $sum: { $divide: ['$materials', '$share'] } },
+      instructorExpense: { $sum: { $multiply: ['$hours', '$instructors.rate'] } },
+    },
+  },
+  {
+    $lookup: {
+      from: 'instructors',
+      let: { id: { $convert: { input: '$_id', to: 'objectId', onError: null, onNull: null } } },
+      pipeline: [{ $match: { $expr: { $eq: ['$_id', '$$id'] } } }, { $project: { name: 1 } }],
+      as: 'instructor',
+    },
+  },
+  { $addFields: { name: { $arrayElemAt: ['$instructor.name', 0] } } },
+  { $project: { instructor: 0 } },
+];
+
+const GROUPINGS = {
+  month: [{ $group: { _id: { $dateToString: { format: '%Y-%m', date: '$date' } }, ...SUMS } }, { $sort: { _id: 1 } }],
+  location: [{ $group: { _id: '$location', ...SUMS } }, { $sort: { revenue: -1 } }],
+  instructor: [...perInstructor, { $sort: { revenue: -1 } }],
+};
+
+function figures(row = {}) {
+  const revenue = round2(row.revenue);
+  const instructorExpense = round2(row.instructorExpense);
+  const materialsCost = round2(row.materialsCost);
+  return {
+    courses: (row.courses || []).length,
+    sessions: row.sessions || 0,
+    hours: round2(row.hours),
+    revenue,
+    instructorExpense,
+    materialsCost,
+    expenses: round2(instructorExpense + materialsCost),
+    profit: round2(revenue - instructorExpense - materialsCost),
+  };
+}
+
+/**
+ * Financial summary for `owner` over sessions dated in [from, to]
+ * ("yyyy-mm-dd", both optional), optionally broken down by `groupBy`.
+ * Returns { totals, groups? } where each entry holds courses, sessions, hours,
+ * revenue, instructorExpense, materialsCost, expenses and profit.
+ */
+async function financialSummary({ owner, from, to, groupBy }) {
+  const facets = { totals: [{ $group: { _id: null, ...SUMS } }] };
+  if (groupBy) facets.groups = GROUPINGS[groupBy];
+
+  const [result] = await Course.aggregate([...sessionRows({ owner, from, to }), { $facet: facets }]);
+
+  const summary = { totals: figures(result?.totals?.[0]) };
+  if (groupBy) {
+    summary.groups = (result?.groups || []).map((g) => ({
+      key: g._id ?? null,
+      ...(groupBy === 'instructor' ? { name: g.name || null } : {}),
+      ...figures(g),
+    }));
+  }
+  return summary;
+}
+
+module.exports = { GROUP_BY, financialSummary };
@@ -0,0 +1,148 @@
+// lib/scheduling.js
+// Instructor and room double-booking checks across courses.
+const Course = require('../models/course');
+const { hhmmToMinutes, ymd, addDays, isCancelled } = require('./sessions');
+
+// [start, end) in minutes from midnight; sessions ending at/before they start cross midnight
+function interval(s) {
+  const start = hhmmToMinutes(s.start_time);
+  let end = hhmmToMinutes(s.end_time);
+  if (end <= start) end += 24 * 60;
+  return [start, end];
+}
+
+function overlaps(a, b) {
+  // Absolute instants compare correctly across course timezones
+  if (a.startsAt && a.endsAt && b.startsAt && b.endsAt) {
+    return new Date(a.startsAt) < new Date(b.endsAt) && new Date(b.startsAt) < new Date(a.endsAt);
+  }
+  if (ymd(a.date) !== ymd(b.date)) return false;
+  const [aStart, aEnd] = interval(a);
+  const [bStart, bEnd] = interval(b);
+  return aStart < bEnd && bStart < aEnd;
+}
+
+// Live sessions between two "yyyy-mm-dd" dates (inclusive) of the unarchived
+// courses matching `match`, one per session, with the course's instructors and room
+async function courseSlots(match, { from, to, excludeCourseId }) {
+  const filter = {
+    ...match,
+    archivedAt: null,
+    'courseDatesTimes.date': { $gte: new Date(from), $lte: new Date(to) },
+  };
+  if (excludeCourseId) filter._id = { $ne: excludeCourseId };
+
+  const courses = await Course.find(filter)
+    .select('title location timezone instructors room courseDatesTimes')
+    .lean();
+
+  const slots = [];
+  for (const course of courses) {
+    for (const s of course.courseDatesTimes || []) {
+      const date = ymd(s.date);
+      if (isCancelled(s) || date < from || date > to) continue;
+      slots.push({
+        courseId: course._id,
+        courseTitle: course.title,
+        location: course.location,
+        timezone: course.timezone,
+        instructors: (course.instructors || []).map(String),
+        room: course.room || null,
+        date,
+        start_time: s.start_time,
+        end_time: s.end_time,
+        startsAt: s.startsAt,
+        endsAt: s.endsAt,
+      });
+    }
+  }
+  return slots.sort((a, b) => `${a.date} ${a.start_time}`.localeCompare(`${b.date} ${b.start_time}`));
+}
+
+// From the day before the first session to the day after the last: courses in
+// other timezones can overlap across midnight
+function slackRange(sessions) {
+  const dates = sessions.map((s) => ymd(s.date)).sort();
+  return { from: ymd(addDays(dates[0], -1)), to: ymd(addDays(dates[dates.length - 1], 1)) };
+}
+
+/**
+ * Live sessions of every unarchived course teaching any of `instructorIds` between two
+ * "yyyy-mm-dd" dates (inclusive). One slot per course session.
+ */
+async function busySlots({ instructorIds, from, to, excludeCourseId }) {
+  const ids = (instructorIds || []).map(String);
+  if (!ids.length) return [];
+
+  const slots = await courseSlots({ instructors: { $in: ids } }, { from, to, excludeCourseId });
+  return slots.map(({ room, ...slot }) => ({ ...slot, instructors: slot.instructors.filter((id) => ids.includes(id)) }));
+}
+
+/**
+ * Sessions of other courses that would double-book one of `instructors` if a
+ * course (id `courseId`, omitted for new courses) used `sessions`.
+ * Returns [{ instructorId, date, start_time, end_time, course: { id, title, start_time, end_time } }].
+ */
+async function findInstructorConflicts({ courseId, instructors, sessions }) {
+  const mine = (sessions || []).filter((s) => s?.date && !isCancelled(s));
+  if (!mine.length || !(instructors || []).length) return [];
+
+  const slots = await busySlots({ instructorIds: instructors, ...slackRange(mine), excludeCourseId: courseId });
+
+  const conflicts = [];
+  for (const slot of slots) {
+    const clash = mine.find((s) => overlaps(s, slot));
+    if (!clash) continue;
+    for (const instructorId of slot.instructors) {
+      conflicts.push({
+        instructorId,
+        date: slot.date,
+        start_time: clash.start_time,
+        end_time: clash.end_time,
+        course: {
+          id: slot.courseId,
+          title: slot.courseTitle,
+          start_time: slot.start_time,
+          end_time: slot.end_time,
+        },
+      });
+    }
+  }
+  return conflicts;
+}
+
+/**
+ * Sessions of other courses at `venue` that would double-book the room if a
+ * course (id `courseId`, omitted for new courses) used `sessions` there. A
+ * course without a room books the whole venue, so it clashes with every room.
+ * Returns [{ date, start_time, end_time, room, course: { id, title, start_time, end_time } }].
+ */
+async function findRoomConflicts({ courseId, venue, room, sessions }) {
+  const mine = (sessions || []).filter((s) => s?.date && !isCancelled(s));
+  if (!mine.length || !venue) return [];
+
+  const match = { venue };
+  if (room) match.room = { $in: [room, null] };
+  const slots = await courseSlots(match, { ...slackRange(mine), excludeCourseId: courseId });
+
+  const conflicts = [];
+  for (const slot of slots) {
+    const clash = mine.find((s) => overlaps(s, slot));
+    if (!clash) continue;
+    conflicts.push({
+      date: slot.date,
+      start_time: clash.start_time,
+      end_time: clash.end_time,
+      room: slot.room,
+      course: {
+        id: slot.courseId,
+        title: slot.courseTitle,
+        start_time: slot.start_time,
+        end_time: slot.end_time,
+      },
+    });
+  }
+  return conflicts;
+}
+
+module.exports = { overlaps, busySlots, findInstructorConflicts, findRoomConflicts };
@@ -0,0 +1,277 @@
+// lib/sessions.js
+// Shared helpers for course session calendars (courseDatesTimes).
+
+function hhmmToMinutes(hhmm) {
+  if (!hhmm || typeof hhmm !== 'string') return 0;
+  const [h, m] = hhmm.split(':').map(n => parseInt(n, 10));
+  if ([h, m].some(n => Number.isNaN(n))) return 0;
+  return h * 60 + m;
+}
+
+function diffHours(startHHMM, endHHMM) {
+  let start = hhmmToMinutes(startHHMM);
+  let end = hhmmToMinutes(endHHMM);
+  if (end < start) end += 24 * 60; // cross-midnight safety
+  return (end - start) / 60;
+}
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'UTC';
+const YMD_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/*
+ * Session dates are calendar days stored as UTC midnight ("2025-08-15" ->
+ * 2025-08-15T00:00:00Z), so they read back the same on any host. Wall-clock
+ * times are "HH:mm" in the course timezone; startsAt/endsAt hold the instants.
+ */
+function ymd(d) {
+  const x = new Date(d);
+  if (Number.isNaN(x.getTime())) return '';
+  return x.toISOString().slice(0, 10);
+}
+
+function addDays(d, n) {
+  const x = new Date(d);
+  x.setUTCDate(x.getUTCDate() + n);
+  return x;
+}
+
+const formatters = new Map();
+function zoneFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    zoneFormatter(timeZone);
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+// Wall-clock parts of an instant in `timeZone`
+function zonedParts(instant, timeZone = DEFAULT_TIMEZONE) {
+  const parts = {};
+  for (const p of zoneFormatter(timeZone).formatToParts(new Date(instant))) parts[p.type] = p.value;
+  return parts;
+}
+
+// Offset (ms) of `timeZone` from UTC at a given instant
+function zoneOffset(instant, timeZone) {
+  const p = zonedParts(instant, timeZone);
+  const asUtc = Date.UTC(+p.year, +p.month - 1, +p.day, +p.hour, +p.minute, +p.second);
+  return asUtc - Math.floor(new Date(instant).getTime() / 1000) * 1000;
+}
+
+/**
+ * The instant at which the wall clock in `timeZone` reads `dateKey` `hhmm`.
+ * Times skipped by a DST jump resolve to the later offset.
+ */
+function zonedTimeToUtc(dateKey, hhmm, timeZone = DEFAULT_TIMEZONE) {
+  const [y, m, d] = String(dateKey).split('-').map(Number);
+  const minutes = hhmmToMinutes(hhmm);
+  const guess = Date.UTC(y, m - 1, d, Math.floor(minutes / 60), minutes % 60);
+  const first = zoneOffset(guess, timeZone);
+  const second = zoneOffset(guess - first, timeZone);
+  return new Date(guess - (first === second ? first : second));
+}
+
+// Calendar day ("yyyy-mm-dd") of an instant in `timeZone`
+function ymdInZone(instant, timeZone = DEFAULT_TIMEZONE) {
+  const p = zonedParts(instant, timeZone);
+  return `${p.year}-${p.month}-${p.day}`;
+}
+
+const todayIn = (timeZone) => ymdInZone(new Date(), timeZone);
+
+/**
+ * Calendar day of a date-ish value: "yyyy-mm-dd" strings and UTC-midnight
+ * Dates are taken as-is, any other instant is read in `timeZone`.
+ * Returns '' for invalid input.
+ */
+function toDateKey(value, timeZone = DEFAULT_TIMEZONE) {
+  if (value == null || value === '') return '';
+  if (typeof value === 'string' && YMD_RE.test(value)) {
+    return Number.isNaN(new Date(value).getTime()) ? '' : value;
+  }
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) return '';
+  const iso = d.toISOString();
+  return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : ymdInZone(d, timeZone);
+}
+
+/**
+ * Normalize session dates to UTC-midnight calendar days and (re)compute the
+ * absolute startsAt/endsAt instants in `timeZone`.
+ */
+function withInstants(sessions = [], timeZone = DEFAULT_TIMEZONE) {
+  return sessions.map((raw) => {
+    const s = raw && raw.toObject ? raw.toObject() : { ...raw };
+    const day = toDateKey(s.date, timeZone);
+    if (!day) return s;
+    const startsAt = zonedTimeToUtc(day, s.start_time, timeZone);
+    const endDay = hhmmToMinutes(s.end_time) > hhmmToMinutes(s.start_time) ? day : ymd(addDays(day, 1));
+    return {
+      ...s,
+      date: new Date(day),
+      startsAt,
+      endsAt: zonedTimeToUtc(endDay, s.end_time, timeZone),
+    };
+  });
+}
+
+/**
+ * Generate regular sessions for every matching weekday in [start_date, end_date],
+ * walking calendar days of the course timezone.
+ */
+function buildSessions({ start_date, end_date, daysOfWeek = [], range_start_time, range_end_time, timezone }) {
+  if (!start_date || !end_date || !Array.isArray(daysOfWeek) || daysOfWeek.length === 0) return [];
+  const tz = timezone || DEFAULT_TIMEZONE;
+  const startKey = toDateKey(start_date, tz);
+  const endKey = toDateKey(end_date, tz);
+  if (!startKey || !endKey || startKey > endKey) return [];
+
+  const sessions = [];
+  const end = new Date(endKey);
+  for (let d = new Date(startKey); d <= end; d = addDays(d, 1)) {
+    if (daysOfWeek.includes(d.getUTCDay())) {
+      sessions.push({
+        date: new Date(d),
+        start_time: range_start_time || '16:00',
+        end_time: range_end_time || '18:00',
+      });
+    }
+  }
+  return withInstants(sessions, tz);
+}
+
+const sessionSortKey = (s) => `${ymd(s?.date)} ${s?.start_time || ''}`;
+
+function sortSessions(sessions) {
+  return sessions.sort((a, b) => sessionSortKey(a).localeCompare(sessionSortKey(b)));
+}
+
+const isCancelled = (s) => s?.status === 'cancelled';
+
+/**
+ * Replay course.sessionExceptions over freshly generated sessions:
+ *  - reschedule: the session on `date` moves to `newDate` (and optional times)
+ *  - cancel:     same, then the session stays in the calendar with status 'cancelled'
+ *  - add:        a one-off makeup session on `date`
+ * Exceptions whose original date is no longer generated are skipped.
+ */
+function applySessionExceptions(sessions = [], exceptions = []) {
+  const byDate = new Map();
+  for (const exc of exceptions) {
+    if (exc.action !== 'add') byDate.set(exc.date, exc);
+  }
+
+  const out = sessions.map((s) => {
+    const exc = byDate.get(ymd(s.date));
+    if (!exc) return s;
+    const moved = exc.newDate
+      ? {
+          date: new Date(exc.newDate),
+          start_time: exc.start_time || s.start_time,
+          end_time: exc.end_time || s.end_time,
+          originalDate: s.date,
+        }
+      : {};
+    const status = exc.action === 'cancel' ? 'cancelled' : s.status;
+    return { ...s, ...moved, status, exception: exc._id, reason: exc.reason };
+  });
+
+  for (const exc of exceptions) {
+    if (exc.action !== 'add') continue;
+    out.push({
+      date: new Date(exc.date),
+      start_time: exc.start_time,
+      end_time: exc.end_time,
+      kind: 'makeup',
+      exception: exc._id,
+      reason: exc.reason,
+    });
+  }
+  return sortSessions(out);
+}
+
+/**
+ * buildSessions + applySessionExceptions: the calendar a course should have
+ * after regeneration, with hand-made changes preserved.
+ */
+function generateSessions(basis = {}) {
+  const sessions = applySessionExceptions(buildSessions(basis), basis.sessionExceptions || []);
+  return withInstants(sessions, basis.timezone || DEFAULT_TIMEZONE);
+}
+
+// A cancelled session may share its date with a makeup; prefer the live one
+function indexOfDate(sessions, key) {
+  const live = sessions.findIndex((s) => ymd(s?.date) === key && !isCancelled(s));
+  return live >= 0 ? live : sessions.findIndex((s) => ymd(s?.date) === key);
+}
+
+/**
+ * Resolve attendance keys ("yyyy-mm-dd" or "idx-N") to session indexes.
+ * Unknown keys are dropped; each session is returned at most once.
+ */
+function resolveSessionKeys(sessions = [], keys = []) {
+  const out = [];
+  const seen = new Set();
+  for (const key of keys) {
+    const k = String(key || '');
+    const m = /^idx-(\d+)$/.exec(k);
+    const index = m ? Number(m[1]) : indexOfDate(sessions, k);
+    if (!sessions[index] || seen.has(index)) continue;
+    seen.add(index);
+    out.push(index);
+  }
+  return out;
+}
+
+/**
+ * Rewrite an attendance map ({ [instructorId]: key[] }) so every key is the
+ * session's "yyyy-mm-dd" date. "idx-N" keys shift when sessions are added or
+ * reordered, date keys do not.
+ */
+function normalizeAttendanceKeys(sessions = [], attendance = {}) {
+  const entries = attendance instanceof Map ? Array.from(attendance) : Object.entries(attendance || {});
+  const out = {};
+  for (const [instructorId, keys] of entries) {
+    out[String(instructorId)] = resolveSessionKeys(sessions, keys || []).map((i) => ymd(sessions[i].date));
+  }
+  return out;
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  hhmmToMinutes,
+  diffHours,
+  ymd,
+  addDays,
+  isValidTimeZone,
+  zonedTimeToUtc,
+  ymdInZone,
+  todayIn,
+  toDateKey,
+  withInstants,
+  buildSessions,
+  sortSessions,
+  isCancelled,
+  applySessionExceptions,
+  generateSessions,
+  resolveSessionKeys,
+  normalizeAttendanceKeys,
+};
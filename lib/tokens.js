@@ -0,0 +1,14 @@
+// lib/tokens.js
+// Opaque bearer-style tokens: hand the raw value out once, store only its hash.
+const crypto = require('crypto');
+
+function generateOpaqueToken(bytes = 32) {
+  // URL-safe token
+  return crypto.randomBytes(bytes).toString('base64url');
+}
+
+function hashToken(rawToken) {
+  return crypto.createHash('sha256').update(String(rawToken)).digest('hex');
+}
+
+module.exports = { generateOpaqueToken, hashToken };
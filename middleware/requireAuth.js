@@ -1,34 +1,20 @@
 // middleware/requireAuth.js
-const jwt = require('jsonwebtoken');
-const JWT_SECRET = process.env.JWT_SECRET || 'change-me';
+const { authenticate } = require('../lib/auth');
 
-function extractUser(decoded) {
-  const root = decoded || {};
-  const nested = root.payload || {}; // old tokens
+module.exports = async function requireAuth(req, res, next) {
+  const auth = req.headers.authorization || '';
+  const token = auth.startsWith('Bearer ') ? auth.slice(7) : null;
+  if (!token) return res.status(401).json({ error: 'Missing token' });
 
-  const id =
-    root.sub || root.uid || root._id ||
-    nested._id || nested.uid || nested.sub;
-
-  const roles = root.roles || nested.roles || [];
-  const username = root.username || nested.username;
-
-  return { id: id ? String(id) : null, roles: Array.isArray(roles) ? roles : [], username };
-}
-
-module.exports = function requireAuth(req, res, next) {
   try {
-    const auth = req.headers.authorization || '';
-    const token = auth.startsWith('Bearer ') ? auth.slice(7) : null;
-    if (!token) return res.status(401).json({ error: 'Missing token' });
-
-    const decoded = jwt.verify(token, JWT_SECRET);
-    const u = extractUser(decoded);
-    if (!u.id) return res.status(401).json({ error: 'Invalid token payload' });
+    // Same checks as verifyToken: session still live, account not suspended
+    const { user, decoded, username } = await authenticate(token);
+    const roles = Array.isArray(user.roles) ? user.roles : [];
 
-    req.auth = { userId: u.id, roles: u.roles, username: u.username, raw: decoded };
+    req.auth = { userId: String(user._id), roles, username, raw: decoded };
     next();
   } catch (err) {
-    return res.status(401).json({ error: 'Invalid or expired token' });
+    if (err.status) return res.status(err.status).json({ error: err.message, code: err.code });
+    next(err);
   }
-};
\ No newline at end of file
+};
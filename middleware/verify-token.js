@@ -1,37 +1,42 @@
 // middleware/verify-token.js
-const jwt = require('jsonwebtoken');
+const { authenticate } = require('../lib/auth');
+const { resolveTenant } = require('../lib/permissions');
 
-function verifyToken(req, res, next) {
-  try {
-    const auth = req.headers.authorization || '';
-    if (!auth.startsWith('Bearer ')) {
-      return res.status(401).json({ err: 'Missing Bearer token.' });
-    }
+async function verifyToken(req, res, next) {
+  const auth = req.headers.authorization || '';
+  if (!auth.startsWith('Bearer ')) {
+    return res.status(401).json({ err: 'Missing Bearer token.' });
+  }
 
-    const token = auth.slice(7).trim();
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  let result;
+  try {
+    // Rejects expired/revoked sessions and suspended accounts
+    result = await authenticate(auth.slice(7).trim());
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ err: err.message, code: err.code });
+    return next(err);
+  }
 
-    // Support BOTH shapes:
-    // 1) Old: { payload: { _id, username, roles? } }
-    // 2) New: { _id? uid? sub?, username?, roles? }
-    const src =
-      decoded && typeof decoded === 'object' && decoded.payload && typeof decoded.payload === 'object'
-        ? decoded.payload
-        : decoded;
+  try {
+    const { user, session, username } = result;
 
-    const _id = String(src._id || src.uid || src.sub || '');
-    if (!_id) return res.status(401).json({ err: 'Invalid token payload.' });
+    // Clients working in several organizations pick one per request
+    const requestedOrg = req.headers['x-organization-id'] || null;
+    const tenant = await resolveTenant(user, requestedOrg);
+    if (!tenant) return res.status(403).json({ err: 'Not a member of this organization.' });
 
-    const roles = Array.isArray(src.roles) ? src.roles.map(r => String(r).toLowerCase()) : [];
-    const username = src.username || src.email || null;
+    const roles = (user.roles || []).map(r => String(r).toLowerCase());
 
     // Normalized user object used by your routers:
-    req.user = { _id, username, roles };
+    req.user = { _id: String(user._id), username, roles };
+    req.authSession = { _id: String(session._id) };
+    // Organization the caller acts in: { ownerId, roles, name, timezone } (see lib/permissions)
+    req.tenant = tenant;
 
     return next();
   } catch (err) {
-    return res.status(401).json({ err: 'Invalid token.' });
+    return next(err);
   }
 }
 
-module.exports = verifyToken;
\ No newline at end of file
+module.exports = verifyToken;
@@ -0,0 +1,62 @@
+// models/audit-event.js
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+/**
+ * Subdocument: one changed path, e.g. { path: 'attendance.64f…', before: [...], after: [...] }.
+ */
+const ChangeSchema = new Schema(
+  {
+    path:   { type: String, required: true },
+    before: { type: Schema.Types.Mixed },
+    after:  { type: Schema.Types.Mixed },
+  },
+  { _id: false }
+);
+
+/**
+ * Append-only record of a mutation: who (actor) did what (action) to which
+ * document (target), with the changed paths. Written by lib/audit; never
+ * updated or deleted.
+ */
+const AuditEventSchema = new Schema(
+  {
+    owner:     { type: Schema.Types.ObjectId, ref: 'Organization' },
+    actor:     { type: Schema.Types.ObjectId, ref: 'User' },
+    actorName: { type: String },                    // username at the time
+    action:    { type: String, required: true },    // "<resource>.<verb>", e.g. "course.attendance.update"
+    target: {
+      type:  { type: String, required: true },      // model name, e.g. "Course"
+      id:    { type: Schema.Types.ObjectId },
+      label: { type: String },                      // title / name at the time
+    },
+    changes: { type: [ChangeSchema], default: [] },
+    meta:    { type: Schema.Types.Mixed },
+    ip:        { type: String },
+    userAgent: { type: String },
+    at:        { type: Date, default: Date.now, immutable: true },
+  },
+  { versionKey: false }
+);
+
+AuditEventSchema.index({ owner: 1, at: -1 });
+AuditEventSchema.index({ owner: 1, 'target.id': 1, at: -1 });
+AuditEventSchema.index({ owner: 1, actor: 1, at: -1 });
+
+/* ---------- Append-only ---------- */
+function readOnly() {
+  throw new Error('Audit events are append-only.');
+}
+
+AuditEventSchema.pre('save', function () {
+  if (!this.isNew) readOnly();
+});
+AuditEventSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+    'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  readOnly
+);
+AuditEventSchema.pre('deleteOne', { document: true, query: false }, readOnly);
+
+module.exports = mongoose.model('AuditEvent', AuditEventSchema);
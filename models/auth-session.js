@@ -0,0 +1,39 @@
+// models/auth-session.js
+const mongoose = require('mongoose');
+
+/**
+ * One signed-in device. Access tokens carry the session id (`sid`) and stop
+ * working as soon as the session is revoked; the refresh token rotates on every
+ * use and only its hash is stored.
+ */
+const AuthSessionSchema = new mongoose.Schema(
+  {
+    user:             { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    refreshTokenHash: { type: String, required: true, unique: true },
+    // Hash rotated out by the last refresh: seeing it again means the token leaked
+    previousTokenHash:{ type: String },
+    expiresAt:        { type: Date, required: true },
+    revokedAt:        { type: Date, default: null },
+    revokedReason:    { type: String },
+    lastUsedAt:       { type: Date },
+    userAgent:        { type: String },
+    ip:               { type: String },
+  },
+  { timestamps: true }
+);
+
+AuthSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // TTL
+AuthSessionSchema.index({ user: 1 });
+AuthSessionSchema.index({ previousTokenHash: 1 }, { sparse: true });
+
+/**
+ * Revoke every live session of `userId` (log out all devices).
+ */
+AuthSessionSchema.statics.revokeAll = function (userId, reason = 'logout-all') {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+module.exports = mongoose.model('AuthSession', AuthSessionSchema);
@@ -0,0 +1,34 @@
+// models/certificate.js
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+/**
+ * A certificate of completion issued to a student for a course. The printed
+ * details are frozen at issue time so the PDF and verification stay stable.
+ */
+const CertificateSchema = new Schema(
+  {
+    owner:   { type: Schema.Types.ObjectId, ref: 'Organization', required: true },
+    course:  { type: Schema.Types.ObjectId, ref: 'Course', required: true },
+    student: { type: Schema.Types.ObjectId, ref: 'Student', required: true },
+    code:    { type: String, required: true, unique: true }, // public verification code
+
+    studentName:      { type: String, required: true },
+    courseTitle:      { type: String, required: true },
+    organizationName: { type: String },
+    startDate:        { type: String }, // "yyyy-mm-dd"
+    endDate:          { type: String }, // "yyyy-mm-dd"
+    hours:            { type: Number, default: 0 },
+    attendanceRate:   { type: Number, default: 0 }, // 0..100 when issued
+
+    issuedAt:  { type: Date, default: Date.now },
+    issuedBy:  { type: Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true }
+);
+
+CertificateSchema.index({ course: 1, student: 1 }, { unique: true });
+CertificateSchema.index({ owner: 1 });
+
+module.exports = mongoose.model('Certificate', CertificateSchema);
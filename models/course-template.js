@@ -0,0 +1,58 @@
+// models/course-template.js
+const mongoose = require('mongoose');
+const { isValidTimeZone } = require('../lib/sessions');
+
+const { Schema } = mongoose;
+
+const HHMM_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * A reusable course blueprint for programs that run every term: everything a
+ * course needs except its dates (see lib/course-templates). Courses created
+ * from it get their sessions from the dates they are given.
+ */
+const CourseTemplateSchema = new Schema(
+  {
+    owner: { type: Schema.Types.ObjectId, ref: 'Organization', required: true },
+    name:  { type: String, required: true, trim: true }, // library label, e.g. "Robotics – autumn"
+
+    title:       { type: String, required: true, trim: true },
+    description: { type: String, required: true, trim: true },
+    venue:             { type: Schema.Types.ObjectId, ref: 'Location' }, // checked when a course is created from it
+    room:              { type: Schema.Types.ObjectId },
+    location:          String,
+    location_lat:      Number,
+    location_lon:      Number,
+    location_place_id: String,
+    timezone: {
+      type: String, // falls back to the organization's
+      validate: { validator: (tz) => !tz || isValidTimeZone(tz), message: 'timezone must be a valid IANA timezone.' },
+    },
+
+    daysOfWeek: {
+      type: [Number], // 0..6 (Sun..Sat)
+      default: [],
+      validate: {
+        validator: arr => arr.every(n => Number.isInteger(n) && n >= 0 && n <= 6),
+        message: 'daysOfWeek must contain integers between 0 and 6.',
+      },
+    },
+    range_start_time: { type: String, default: '16:00', match: [HHMM_RE, 'range_start_time must be HH:mm.'] },
+    range_end_time:   { type: String, default: '18:00', match: [HHMM_RE, 'range_end_time must be HH:mm.'] },
+
+    instructors:     [{ type: Schema.Types.ObjectId, ref: 'Instructor' }],
+    instructorRates: { type: Map, of: Number, default: {} },
+
+    cost:          { type: Number, required: true, min: 0 },
+    materialsCost: { type: Number, default: 0, min: 0 },
+    capacity:      { type: Number, min: 0 }, // seat limit; unset = no limit
+
+    sourceCourse: { type: Schema.Types.ObjectId, ref: 'Course' }, // when saved from a course
+    createdBy:    { type: Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true }
+);
+
+CourseTemplateSchema.index({ owner: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('CourseTemplate', CourseTemplateSchema);
@@ -54,6 +54,13 @@
 
 // models/course.js
 const mongoose = require('mongoose');
+const {
+  DEFAULT_TIMEZONE,
+  diffHours,
+  isCancelled,
+  isValidTimeZone,
+  withInstants,
+} = require('../lib/sessions');
 
 const { Schema } = mongoose;
 
@@ -63,34 +70,66 @@ const { Schema } = mongoose;
  */
 const SessionSchema = new Schema(
   {
-    date: { type: Date, required: true },       // e.g., "2025-08-15"
-    start_time: { type: String, required: true }, // "HH:mm"
-    end_time: { type: String, required: true },   // "HH:mm"
+    date: { type: Date, required: true },       // e.g., "2025-08-15" (UTC midnight of the local day)
+    start_time: { type: String, required: true }, // "HH:mm" wall clock in the course timezone
+    end_time: { type: String, required: true },   // "HH:mm" wall clock in the course timezone
+    startsAt: { type: Date },                     // absolute UTC instants (see withInstants)
+    endsAt: { type: Date },
+    status: { type: String, enum: ['scheduled', 'cancelled'], default: 'scheduled' },
+    kind: { type: String, enum: ['regular', 'makeup'], default: 'regular' },
+    originalDate: { type: Date },                 // set when rescheduled
+    exception: { type: Schema.Types.ObjectId },   // sessionExceptions entry that shaped this session
+    reason: { type: String },
   },
   { _id: false }
 );
 
+/**
+ * Subdocument: a hand-made change to the generated calendar. Replayed by
+ * generateSessions() so cancellations, moves and makeups survive regeneration.
+ *  - cancel / reschedule: `date` is the original session date ("yyyy-mm-dd");
+ *    a cancel keeps `newDate` and times if the session had been moved first
+ *  - add: `date` is the makeup session date
+ */
+const SessionExceptionSchema = new Schema(
+  {
+    action: { type: String, enum: ['cancel', 'reschedule', 'add'], required: true },
+    date: { type: String, required: true },       // "yyyy-mm-dd"
+    newDate: { type: String },                    // reschedule target "yyyy-mm-dd"
+    start_time: { type: String },                 // "HH:mm" (reschedule/add)
+    end_time: { type: String },                   // "HH:mm" (reschedule/add)
+    reason: { type: String, trim: true },
+    createdBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true }
+);
+
 const CourseSchema = new Schema(
   {
     // Basics
     title: { type: String, required: true, trim: true },
     description: { type: String, required: true, trim: true },
 
-    // Location (adjust enum if you have fixed options)
-    location: {
-      type: String,
-      required: true,
-      trim: true,
-      enum: ['News', 'Games', 'Music', 'Movies', 'Sports', 'Television'], // align with UI
-    },
     attendance: { type: Map, of: [String], default: {} },
 
-    location: String,
+    // Where the course meets (see models/location); its capacity caps enrollment
+    venue: { type: Schema.Types.ObjectId, ref: 'Location' },
+    room:  { type: Schema.Types.ObjectId }, // one of venue.rooms; unset = the whole venue
+
+    // Venue label and coordinates: copied from `venue` when set, else free text
+    location: { type: String, trim: true },
     location_lat: Number,
     location_lon: Number,
     location_place_id: String,
 
 
+    // IANA timezone the calendar is expressed in (defaults to the tenant's)
+    timezone: {
+      type: String,
+      default: DEFAULT_TIMEZONE,
+      validate: { validator: isValidTimeZone, message: 'timezone must be a valid IANA timezone.' },
+    },
+
     // Date range + frequency
     start_date: { type: Date, required: true },
     end_date: { type: Date, required: true },
@@ -107,6 +146,7 @@ const CourseSchema = new Schema(
 
     // Generated sessions (UI populates this from the range + daysOfWeek)
     courseDatesTimes: { type: [SessionSchema], default: [] },
+    sessionExceptions: { type: [SessionExceptionSchema], default: [] },
 
     // Instructors
     // If you have an Instructor collection, use ObjectId refs. Otherwise keep as strings.
@@ -124,11 +164,18 @@ const CourseSchema = new Schema(
 
     // Financials
     cost: { type: Number, required: true, min: 0 },          // per student / course
-    students: { type: Number, required: true, min: 0 },      // count
+    students: { type: Number, default: 0, min: 0 },          // active enrollments = seats taken (see lib/enrollments)
+    capacity: { type: Number, min: 0 },                      // seat limit; unset = no limit (a room's capacity also applies)
     materialsCost: { type: Number, default: 0, min: 0 },
+    invoiced: { type: Number, default: 0, min: 0 },          // issued invoices, net of discounts (see syncInvoiceTotals)
+    collected: { type: Number, default: 0 },                 // payments received, net of refunds
 
     // Ownership / auditing (optional)
-    owner: { type: Schema.Types.ObjectId, ref: 'User' },
+    owner: { type: Schema.Types.ObjectId, ref: 'Organization' },
+
+    // Soft delete: archived courses keep their history but leave lists (see lib/archive)
+    archivedAt: { type: Date, default: null },
+    archivedBy: { type: Schema.Types.ObjectId, ref: 'User' },
 
   },
   {
@@ -143,30 +190,26 @@ CourseSchema.path('end_date').validate(function (value) {
   return !this.start_date || value >= this.start_date;
 }, 'end_date must be on or after start_date.');
 
-/* ---------- Helpers ---------- */
-function hhmmToMinutes(hhmm) {
-  if (!hhmm || typeof hhmm !== 'string') return 0;
-  const [h, m] = hhmm.split(':').map(n => parseInt(n, 10));
-  if ([h, m].some(n => Number.isNaN(n))) return 0;
-  return h * 60 + m;
-}
-
-function diffHours(startHHMM, endHHMM) {
-  let start = hhmmToMinutes(startHHMM);
-  let end = hhmmToMinutes(endHHMM);
-  if (end < start) end += 24 * 60; // cross-midnight safety
-  return (end - start) / 60;
-}
+// Keep session dates on calendar days and startsAt/endsAt in step with the timezone
+CourseSchema.pre('validate', function () {
+  if (!isValidTimeZone(this.timezone)) return; // reported by the timezone validator
+  if (this.isModified('courseDatesTimes') || this.isModified('timezone') ||
+      this.courseDatesTimes.some((session) => !session.startsAt)) {
+    this.courseDatesTimes = withInstants(this.courseDatesTimes, this.timezone);
+  }
+});
 
 /* ---------- Virtuals (computed like your UI) ---------- */
+// Cancelled sessions stay in the calendar but are not counted
 CourseSchema.virtual('totalSessions').get(function () {
-  return Array.isArray(this.courseDatesTimes) ? this.courseDatesTimes.length : 0;
+  if (!Array.isArray(this.courseDatesTimes)) return 0;
+  return this.courseDatesTimes.filter((s) => !isCancelled(s)).length;
 });
 
 CourseSchema.virtual('totalHours').get(function () {
   if (!Array.isArray(this.courseDatesTimes)) return 0;
   return this.courseDatesTimes.reduce((sum, s) => {
-    return sum + diffHours(s.start_time, s.end_time);
+    return isCancelled(s) ? sum : sum + diffHours(s.start_time, s.end_time);
   }, 0);
 });
 
@@ -191,8 +234,53 @@ CourseSchema.virtual('profit').get(function () {
   return (this.revenue || 0) - (this.instructorExpense || 0) - materials;
 });
 
+// Actual figures from invoices, next to the projected revenue/profit above
+CourseSchema.virtual('actualRevenue').get(function () {
+  return Number.isFinite(this.collected) ? this.collected : 0;
+});
+
+CourseSchema.virtual('outstanding').get(function () {
+  const invoiced = Number.isFinite(this.invoiced) ? this.invoiced : 0;
+  return invoiced - (this.actualRevenue || 0);
+});
+
+CourseSchema.virtual('actualProfit').get(function () {
+  const materials = Number.isFinite(this.materialsCost) ? this.materialsCost : 0;
+  return (this.actualRevenue || 0) - (this.instructorExpense || 0) - materials;
+});
+
+/* ---------- Statics ---------- */
+/**
+ * Recompute `students` from active enrollments so `revenue` reflects the real roster.
+ * Enrollment and withdrawal keep the count themselves (lib/enrollments); call
+ * this after enrollments are removed in bulk.
+ */
+CourseSchema.statics.syncStudentCount = async function (courseId) {
+  const Enrollment = mongoose.model('Enrollment');
+  const students = await Enrollment.countDocuments({ course_id: courseId, status: 'active' });
+  await this.updateOne({ _id: courseId }, { $set: { students } });
+  return students;
+};
+
+/**
+ * Recompute `invoiced` / `collected` from the course's invoices (void ones excluded).
+ * Call after an invoice is issued, paid, refunded, discounted or voided.
+ */
+CourseSchema.statics.syncInvoiceTotals = async function (courseId) {
+  const Invoice = mongoose.model('Invoice');
+  const [totals] = await Invoice.aggregate([
+    { $match: { course: new mongoose.Types.ObjectId(String(courseId)), status: { $ne: 'void' } } },
+    { $group: { _id: null, invoiced: { $sum: '$total' }, collected: { $sum: '$paid' } } },
+  ]);
+  const round2 = (n) => Math.round((n || 0) * 100) / 100;
+  const update = { invoiced: round2(totals?.invoiced), collected: round2(totals?.collected) };
+  await this.updateOne({ _id: courseId }, { $set: update });
+  return update;
+};
+
 /* ---------- Indexes (optional but recommended) ---------- */
 CourseSchema.index({ start_date: 1, end_date: 1 });
 CourseSchema.index({ title: 'text', description: 'text' });
+CourseSchema.index({ venue: 1, room: 1 });
 
 module.exports = mongoose.model('Course', CourseSchema);
\ No newline at end of file
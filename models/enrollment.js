@@ -5,13 +5,26 @@ const enrollmentSchema = new mongoose.Schema(
   {
     student_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Student', required: true },
     course_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Course', required: true },
+    owner: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization', required: true },
+    status: {
+      type: String,
+      enum: ['active', 'waitlisted', 'withdrawn'],
+      default: 'active',
+    },
     enrolled_at: {
       type: Date,
       default: Date.now,
     },
+    withdrawn_at: { type: Date, default: null },
+    waitlisted_at: { type: Date, default: null }, // queue order while waitlisted
   },
   { timestamps: true }
 );
 
+// One enrollment per student per course; withdrawing flips status instead of deleting
+enrollmentSchema.index({ course_id: 1, student_id: 1 }, { unique: true });
+enrollmentSchema.index({ student_id: 1 });
+enrollmentSchema.index({ course_id: 1, status: 1, waitlisted_at: 1 });
+
 const Enrollment = mongoose.model('Enrollment', enrollmentSchema);
-module.exports = Enrollment;
\ No newline at end of file
+module.exports = Enrollment;
@@ -6,11 +6,18 @@ const instructorSchema = new mongoose.Schema(
     name: { type: String, required: true, trim: true },
     email: { type: String, required: true, trim: true, lowercase: true },
     bio: { type: String, required: true },
-    owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    owner: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization', required: true },
 
     // 🔗 Link to the platform user account (optional until backfilled)
     user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', unique: true, sparse: true },
 
+    // sha256 of the calendar subscription token (raw token is only shown once)
+    calendarTokenHash: { type: String, select: false },
+
+    // Soft delete: archived instructors keep their payroll history but leave lists (see lib/archive)
+    archivedAt: { type: Date, default: null },
+    archivedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+
   },
   { timestamps: true }
 );
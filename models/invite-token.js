@@ -1,21 +1,65 @@
 // models/invite-token.js
 const mongoose = require('mongoose');
+const { MEMBER_ROLES } = require('./organization');
 
 const InviteTokenSchema = new mongoose.Schema(
   {
     tokenHash: { type: String, required: true, unique: true }, // unique is fine here
+    owner:     { type: mongoose.Schema.Types.ObjectId, ref: 'Organization', required: true }, // inviting tenant
     user:      { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },       // no index:true
-    instructor:{ type: mongoose.Schema.Types.ObjectId, ref: 'Instructor', required: true }, // no index:true
-    expiresAt: { type: Date, required: true }, // no index:true (TTL below)
+    instructor:{ type: mongoose.Schema.Types.ObjectId, ref: 'Instructor' },                  // instructor invites
+    student:   { type: mongoose.Schema.Types.ObjectId, ref: 'Student' },                     // student portal invites
+    // Staff invites: accepting adds the user to `organization` with `role`
+    organization: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization' },
+    role:      { type: String, enum: MEMBER_ROLES },
+    expiresAt: { type: Date, required: true },
     usedAt:    { type: Date, default: null },
     createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    revokedAt: { type: Date, default: null },
+    revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    revokeReason: { type: String }, // 'revoked' | 'replaced' | 'superseded' | 'archived' | 'deleted'
+    // Expired and used invites stay listable until this date (TTL below)
+    purgeAt:   { type: Date },
+
+    // Email delivery of the invite link (see lib/invites)
+    email:     { type: String, trim: true, lowercase: true },
+    template:  { type: String },
+    delivery: {
+      status:        { type: String, enum: ['pending', 'sent', 'failed'], default: 'pending' },
+      attempts:      { type: Number, default: 0 },
+      lastAttemptAt: { type: Date },
+      sentAt:        { type: Date },
+      messageId:     { type: String },
+      error:         { type: String },
+    },
+    resendCount:  { type: Number, default: 0 },
+    lastResentAt: { type: Date },
   },
   { timestamps: true }
 );
 
+const RETENTION_MS = 1000 * 60 * 60 * 24 * 30; // 30 days past expiry
+
+InviteTokenSchema.pre('validate', function (next) {
+  if (this.isModified('expiresAt') || !this.purgeAt) {
+    this.purgeAt = new Date(new Date(this.expiresAt).getTime() + RETENTION_MS);
+  }
+  next();
+});
+
+// Status as shown in invite lists
+InviteTokenSchema.virtual('status').get(function () {
+  if (this.usedAt) return 'used';
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt <= new Date()) return 'expired';
+  return 'pending';
+});
+
 // Declare indexes ONCE here
-InviteTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // TTL
+InviteTokenSchema.index({ purgeAt: 1 }, { expireAfterSeconds: 0 }); // TTL
+InviteTokenSchema.index({ owner: 1, createdAt: -1 });
 InviteTokenSchema.index({ user: 1 });
 InviteTokenSchema.index({ instructor: 1 });
+InviteTokenSchema.index({ organization: 1, user: 1 });
 
 module.exports = mongoose.model('InviteToken', InviteTokenSchema);
\ No newline at end of file
@@ -0,0 +1,113 @@
+// models/invoice.js
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+const STATUSES = ['open', 'partial', 'paid', 'void'];
+const PAYMENT_METHODS = ['cash', 'card', 'transfer', 'other'];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const sum = (list) => round2((list || []).reduce((s, x) => s + (x.amount || 0), 0));
+
+/**
+ * Subdocument: money received against the invoice.
+ */
+const PaymentSchema = new Schema(
+  {
+    amount:     { type: Number, required: true, min: 0.01 },
+    method:     { type: String, enum: PAYMENT_METHODS, default: 'cash' },
+    paidAt:     { type: Date, default: Date.now },
+    reference:  { type: String, trim: true },
+    note:       { type: String, trim: true },
+    recordedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true }
+);
+
+/**
+ * Subdocument: money given back to the student.
+ */
+const RefundSchema = new Schema(
+  {
+    amount:     { type: Number, required: true, min: 0.01 },
+    reason:     { type: String, trim: true },
+    refundedAt: { type: Date, default: Date.now },
+    recordedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true }
+);
+
+/**
+ * What a student owes for one enrollment. `amount` is the course cost when the
+ * invoice was issued; total / paid / balance / status are derived on save.
+ * A refund gives money back and lowers what is owed by the same amount, so it
+ * never reopens a balance: refunding 30 on a paid 100 leaves a paid total of 70.
+ */
+const InvoiceSchema = new Schema(
+  {
+    owner:      { type: Schema.Types.ObjectId, ref: 'Organization', required: true },
+    enrollment: { type: Schema.Types.ObjectId, ref: 'Enrollment', required: true },
+    student:    { type: Schema.Types.ObjectId, ref: 'Student', required: true },
+    course:     { type: Schema.Types.ObjectId, ref: 'Course', required: true },
+    number:     { type: String, required: true },   // "INV-000042", sequential per organization
+    courseTitle:{ type: String },
+
+    amount:         { type: Number, required: true, min: 0 },
+    discount:       { type: Number, default: 0, min: 0 },
+    discountReason: { type: String, trim: true },
+    payments:       { type: [PaymentSchema], default: [] },
+    refunds:        { type: [RefundSchema], default: [] },
+
+    // Derived (see pre('validate'))
+    total:    { type: Number, default: 0 },  // amount - discount - refunded
+    paid:     { type: Number, default: 0 },  // payments - refunds
+    refunded: { type: Number, default: 0 },
+    balance:  { type: Number, default: 0 },  // total - paid
+    status:   { type: String, enum: STATUSES, default: 'open' },
+
+    dueDate:    { type: Date },
+    issuedAt:   { type: Date, default: Date.now },
+    note:       { type: String, trim: true },
+    createdBy:  { type: Schema.Types.ObjectId, ref: 'User' },
+
+    voidedAt:   { type: Date, default: null },
+    voidedBy:   { type: Schema.Types.ObjectId, ref: 'User' },
+    voidReason: { type: String, trim: true },
+  },
+  { timestamps: true, optimisticConcurrency: true }
+);
+
+/* ---------- Validation / derived totals ---------- */
+InvoiceSchema.pre('validate', function () {
+  const received = sum(this.payments);
+  this.refunded = sum(this.refunds);
+  const net = round2((this.amount || 0) - (this.discount || 0));
+  this.total = round2(net - this.refunded);
+  this.paid = round2(received - this.refunded);
+  this.balance = round2(this.total - this.paid);
+
+  if (net < 0) this.invalidate('discount', 'discount cannot exceed the invoice amount.');
+  if (this.refunded > received) this.invalidate('refunds', 'refunds cannot exceed the payments received.');
+  if (this.balance < 0) this.invalidate('payments', 'payments cannot exceed the invoice total.');
+
+  if (this.voidedAt) this.status = 'void';
+  else if (this.balance <= 0) this.status = 'paid';
+  else if (this.paid > 0) this.status = 'partial';
+  else this.status = 'open';
+});
+
+/* ---------- Statics ---------- */
+InvoiceSchema.statics.STATUSES = STATUSES;
+InvoiceSchema.statics.PAYMENT_METHODS = PAYMENT_METHODS;
+// Invoices that still expect money
+InvoiceSchema.statics.OUTSTANDING = ['open', 'partial'];
+
+/* ---------- Indexes ---------- */
+InvoiceSchema.index({ owner: 1, number: 1 }, { unique: true });
+InvoiceSchema.index({ owner: 1, status: 1 });
+// One live (non-void) invoice per enrollment
+InvoiceSchema.index({ enrollment: 1 }, { unique: true, partialFilterExpression: { voidedAt: { $type: 'null' } } });
+InvoiceSchema.index({ course: 1 });
+InvoiceSchema.index({ student: 1 });
+
+module.exports = mongoose.model('Invoice', InvoiceSchema);
@@ -0,0 +1,57 @@
+// models/location.js
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+/**
+ * Subdocument: a bookable room inside a location.
+ */
+const RoomSchema = new Schema(
+  {
+    name:     { type: String, required: true, trim: true },
+    capacity: { type: Number, min: 0 }, // seats; unset = no limit
+    notes:    { type: String, trim: true },
+  }
+);
+
+/**
+ * A venue of the organization where courses meet. Courses reference it by
+ * `venue` (and optionally one of its `rooms`); the room's capacity, or the
+ * location's when no room is picked, caps enrollment (see lib/locations).
+ */
+const LocationSchema = new Schema(
+  {
+    owner: { type: Schema.Types.ObjectId, ref: 'Organization', required: true },
+    name:  { type: String, required: true, trim: true },
+
+    address: {
+      line1:      { type: String, trim: true },
+      line2:      { type: String, trim: true },
+      city:       { type: String, trim: true },
+      region:     { type: String, trim: true },
+      postalCode: { type: String, trim: true },
+      country:    { type: String, trim: true },
+    },
+    lat:     { type: Number, min: -90, max: 90 },
+    lon:     { type: Number, min: -180, max: 180 },
+    placeId: { type: String, trim: true }, // maps provider id
+
+    capacity: { type: Number, min: 0 }, // whole venue, used when a course picks no room
+    rooms:    { type: [RoomSchema], default: [] },
+  },
+  { timestamps: true }
+);
+
+LocationSchema.index({ owner: 1, name: 1 }, { unique: true });
+
+/* ---------- Validation ---------- */
+LocationSchema.pre('validate', function () {
+  const seen = new Set();
+  for (const room of this.rooms) {
+    const key = String(room.name || '').toLowerCase();
+    if (seen.has(key)) this.invalidate('rooms', `Room names must be unique (${room.name}).`);
+    seen.add(key);
+  }
+});
+
+module.exports = mongoose.model('Location', LocationSchema);
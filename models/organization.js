@@ -0,0 +1,93 @@
+// models/organization.js
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// Roles a member can hold inside an organization (see lib/permissions)
+const MEMBER_ROLES = ['owner', 'admin', 'manager', 'staff'];
+
+const MemberSchema = new Schema(
+  {
+    user:    { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    role:    { type: String, enum: MEMBER_ROLES, required: true },
+    addedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+    addedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+/**
+ * Certificate of completion layout (see lib/certificates). `body` may use
+ * {{student}}, {{course}}, {{hours}}, {{startDate}}, {{endDate}} and {{organization}}.
+ */
+const CertificateTemplateSchema = new Schema(
+  {
+    title:          { type: String, trim: true, maxlength: 120, default: 'Certificate of Completion' },
+    body:           {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+      default: 'has successfully completed {{course}} ({{hours}} hours) from {{startDate}} to {{endDate}}.',
+    },
+    signatureName:  { type: String, trim: true, maxlength: 120 },
+    signatureTitle: { type: String, trim: true, maxlength: 120 },
+    accentColor:    { type: String, trim: true, match: /^#[0-9a-fA-F]{6}$/, default: '#1f3a5f' },
+    // Minimum attendance percentage (present + late over marked sessions)
+    minAttendance:  { type: Number, min: 0, max: 100, default: 80 },
+  },
+  { _id: false }
+);
+
+/**
+ * The tenant. Courses, instructors, students and the subscription are owned by
+ * an organization (`owner` fields hold its id); users reach them through membership.
+ */
+const OrganizationSchema = new Schema(
+  {
+    name: { type: String, required: true, trim: true },
+
+    // Default IANA timezone for new courses and "today" in date filters
+    timezone: { type: String, trim: true },
+
+    members: { type: [MemberSchema], default: [] },
+
+    certificate: { type: CertificateTemplateSchema, default: () => ({}) },
+
+    // Last invoice number handed out (see lib/invoicing)
+    invoiceSeq: { type: Number, default: 0 },
+
+    createdBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true }
+);
+
+OrganizationSchema.index({ 'members.user': 1 });
+
+OrganizationSchema.statics.MEMBER_ROLES = MEMBER_ROLES;
+
+OrganizationSchema.methods.memberOf = function (userId) {
+  return (this.members || []).find((m) => String(m.user) === String(userId)) || null;
+};
+
+/**
+ * Create an organization with `user` as its owner and make it their active one.
+ */
+OrganizationSchema.statics.createFor = async function (user, attrs = {}) {
+  const org = await this.create({
+    name: attrs.name || user.fullName || user.username,
+    timezone: attrs.timezone || user.timezone,
+    members: [{ user: user._id, role: 'owner', addedBy: user._id }],
+    createdBy: user._id,
+  });
+  await mongoose.model('User').updateOne({ _id: user._id }, { $set: { organization: org._id } });
+  return org;
+};
+
+OrganizationSchema.set('toJSON', {
+  transform: (_doc, ret) => {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+  },
+});
+
+module.exports = mongoose.model('Organization', OrganizationSchema);
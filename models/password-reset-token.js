@@ -0,0 +1,20 @@
+// models/password-reset-token.js
+// Same design as InviteToken: only the sha256 of the emailed token is stored,
+// it is single-use (usedAt) and expired documents are removed by the TTL index.
+const mongoose = require('mongoose');
+
+const PasswordResetTokenSchema = new mongoose.Schema(
+  {
+    tokenHash:   { type: String, required: true, unique: true },
+    user:        { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    expiresAt:   { type: Date, required: true },
+    usedAt:      { type: Date, default: null },
+    requestedIp: { type: String },
+  },
+  { timestamps: true }
+);
+
+PasswordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // TTL
+PasswordResetTokenSchema.index({ user: 1 });
+
+module.exports = mongoose.model('PasswordResetToken', PasswordResetTokenSchema);
@@ -0,0 +1,59 @@
+// models/payroll-statement.js
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+/**
+ * Subdocument: one paid session, frozen at the time the statement was locked.
+ */
+const PayrollLineSchema = new Schema(
+  {
+    course:      { type: Schema.Types.ObjectId, ref: 'Course', required: true },
+    courseTitle: { type: String },
+    session:     { type: String, required: true }, // "yyyy-mm-dd"
+    start_time:  { type: String },
+    end_time:    { type: String },
+    hours:       { type: Number, required: true, min: 0 },
+    rate:        { type: Number, required: true, min: 0 },
+    amount:      { type: Number, required: true, min: 0 },
+  },
+  { _id: false }
+);
+
+/**
+ * A paid payroll period for one instructor. Sessions dated inside [from, to]
+ * are reported from `lines` instead of live attendance once locked.
+ */
+const PayrollStatementSchema = new Schema(
+  {
+    owner:      { type: Schema.Types.ObjectId, ref: 'Organization', required: true },
+    instructor: { type: Schema.Types.ObjectId, ref: 'Instructor', required: true },
+    from:       { type: String, required: true }, // "yyyy-mm-dd" inclusive
+    to:         { type: String, required: true }, // "yyyy-mm-dd" inclusive
+    seq:        { type: Number }, // per-instructor lock order; see lib/payroll lockPayroll
+    lines:      { type: [PayrollLineSchema], default: [] },
+    totalHours: { type: Number, default: 0 },
+    totalAmount:{ type: Number, default: 0 },
+    status:     { type: String, enum: ['paid'], default: 'paid' },
+    paidAt:     { type: Date, default: Date.now },
+    paidBy:     { type: Schema.Types.ObjectId, ref: 'User' },
+    note:       { type: String, trim: true },
+  },
+  { timestamps: true }
+);
+
+PayrollStatementSchema.path('to').validate(function (value) {
+  return !this.from || value >= this.from;
+}, 'to must be on or after from.');
+
+PayrollStatementSchema.index({ instructor: 1, from: 1, to: 1 });
+PayrollStatementSchema.index({ owner: 1 });
+// Two locks racing for the same instructor cannot both take the next `seq`, so
+// the loser re-runs its overlap check. Statements locked before `seq` existed
+// are left out.
+PayrollStatementSchema.index(
+  { instructor: 1, seq: 1 },
+  { unique: true, partialFilterExpression: { seq: { $exists: true } } }
+);
+
+module.exports = mongoose.model('PayrollStatement', PayrollStatementSchema);
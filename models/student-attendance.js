@@ -0,0 +1,28 @@
+// models/student-attendance.js
+const mongoose = require('mongoose');
+
+const STATUSES = ['present', 'absent', 'late', 'excused'];
+
+/**
+ * One roll-call mark: a student's status for a single course session.
+ * `session` uses the same key as Course.attendance (yyyy-mm-dd of the session date).
+ */
+const StudentAttendanceSchema = new mongoose.Schema(
+  {
+    course:   { type: mongoose.Schema.Types.ObjectId, ref: 'Course', required: true },
+    student:  { type: mongoose.Schema.Types.ObjectId, ref: 'Student', required: true },
+    owner:    { type: mongoose.Schema.Types.ObjectId, ref: 'Organization', required: true },
+    session:  { type: String, required: true }, // "yyyy-mm-dd"
+    status:   { type: String, enum: STATUSES, required: true },
+    note:     { type: String, trim: true },
+    markedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true }
+);
+
+StudentAttendanceSchema.index({ course: 1, session: 1, student: 1 }, { unique: true });
+StudentAttendanceSchema.index({ student: 1 });
+
+StudentAttendanceSchema.statics.STATUSES = STATUSES;
+
+module.exports = mongoose.model('StudentAttendance', StudentAttendanceSchema);
@@ -1,4 +1,4 @@
-// models/course.js
+// models/student.js
 const mongoose = require('mongoose');
 
 const studentSchema = new mongoose.Schema(
@@ -6,23 +6,35 @@ const studentSchema = new mongoose.Schema(
     name: {
       type: String,
       required: true,
+      trim: true,
     },
     tel1: {
       type: String,
       required: true,
+      trim: true,
     },
     tel2: {
       type: String,
       required: false,
+      trim: true,
     },
     email: {
       type: String,
       required: true,
-      unique: true,
+      trim: true,
+      lowercase: true,
     },
+    owner: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization', required: true },
+
+    // Portal account (student or parent). One user may be linked to several students.
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
   },
   { timestamps: true }
 );
 
+// Email is unique per owner (multi-tenant safe)
+studentSchema.index({ owner: 1, email: 1 }, { unique: true });
+studentSchema.index({ user: 1 }, { sparse: true });
+
 const Student = mongoose.model('Student', studentSchema);
-module.exports = Student;
\ No newline at end of file
+module.exports = Student;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const AuthSession = require('./auth-session');
 
 const userSchema = new mongoose.Schema(
   {
@@ -9,6 +10,9 @@ const userSchema = new mongoose.Schema(
 
     fullName: { type: String, trim: true },
 
+    // Personal IANA timezone (seeds the organization's timezone on sign-up)
+    timezone: { type: String, trim: true },
+
     // ✅ Key addition #1: role-based access
     roles: {
       type: [String],
@@ -16,6 +20,9 @@ const userSchema = new mongoose.Schema(
       default: ['student'],
     },
 
+    // Active organization: used when a request does not pick one (X-Organization-Id)
+    organization: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization' },
+
     // ✅ Key addition #2: link to instructor profile (if you have an Instructor model)
     instructor: { type: mongoose.Schema.Types.ObjectId, ref: 'Instructor' },
 
@@ -29,6 +36,25 @@ const userSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+// Suspending an account ends all of its sessions, so reactivating it later
+// does not bring old refresh tokens back to life.
+userSchema.pre('save', function (next) {
+  this.$locals.suspended = this.isModified('status') && this.status === 'suspended';
+  next();
+});
+
+userSchema.post('save', async function (doc) {
+  if (doc.$locals.suspended) await AuthSession.revokeAll(doc._id, 'suspended');
+});
+
+userSchema.post(['findOneAndUpdate', 'updateOne', 'updateMany'], async function () {
+  const update = this.getUpdate() || {};
+  const status = update.$set?.status ?? update.status;
+  if (status !== 'suspended') return;
+  const ids = await this.model.find(this.getQuery()).distinct('_id');
+  await AuthSession.revokeAll({ $in: ids }, 'suspended');
+});
+
 // Clean JSON output
 userSchema.set('toJSON', {
   transform: (doc, ret) => {
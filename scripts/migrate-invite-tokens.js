@@ -0,0 +1,59 @@
+// scripts/migrate-invite-tokens.js
+// Prepares existing invite tokens for invite lifecycle management:
+//  - drops the old TTL index on `expiresAt`, which deleted invites the moment
+//    they expired (they now stay listable until `purgeAt`)
+//  - backfills `owner` (from the instructor or student profile, or the
+//    invited organization) and `purgeAt`
+//  - deletes invites it cannot attribute to an organization: `owner` is
+//    required, so they could be neither listed nor resent
+//
+// Usage: DB_URL=mongodb://... node scripts/migrate-invite-tokens.js
+const dotenv = require('dotenv');
+dotenv.config();
+const mongoose = require('mongoose');
+
+const InviteToken = require('../models/invite-token');
+const Instructor = require('../models/instructor');
+const Student = require('../models/student');
+
+const RETENTION_MS = 1000 * 60 * 60 * 24 * 30;
+
+async function main() {
+  await mongoose.connect(process.env.DB_URL);
+  const collection = InviteToken.collection;
+
+  const indexes = await collection.indexes();
+  if (indexes.some((ix) => ix.name === 'expiresAt_1' && ix.expireAfterSeconds != null)) {
+    await collection.dropIndex('expiresAt_1');
+    console.log('dropped TTL index expiresAt_1');
+  }
+
+  let updated = 0;
+  let deleted = 0;
+  for await (const inv of collection.find({ $or: [{ owner: null }, { purgeAt: null }] })) {
+    const set = { purgeAt: new Date(new Date(inv.expiresAt).getTime() + RETENTION_MS) };
+    if (!inv.owner) {
+      const instr = inv.instructor && await Instructor.findById(inv.instructor).select('owner').lean();
+      const student = inv.student && await Student.findById(inv.student).select('owner').lean();
+      const owner = instr?.owner || student?.owner || inv.organization;
+      if (!owner) {
+        await collection.deleteOne({ _id: inv._id });
+        deleted += 1;
+        continue;
+      }
+      set.owner = owner;
+    }
+    await collection.updateOne({ _id: inv._id }, { $set: set });
+    updated += 1;
+  }
+  console.log(`updated ${updated} invite(s), deleted ${deleted} without an owner`);
+
+  await InviteToken.syncIndexes();
+  await mongoose.disconnect();
+}
+
+main().catch(async (err) => {
+  console.error(err);
+  await mongoose.disconnect();
+  process.exit(1);
+});
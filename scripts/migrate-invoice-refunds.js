@@ -0,0 +1,45 @@
+// scripts/migrate-invoice-refunds.js
+// One-off migration for refunds lowering the invoice total.
+//
+// Refunds used to leave `total` unchanged, so a refunded invoice showed the
+// refunded money as owed again. This re-derives total / balance / status of
+// every invoice with refunds (see models/invoice) and the invoiced totals of
+// their courses. Safe to re-run.
+//
+// Usage: DB_URL=mongodb://... node scripts/migrate-invoice-refunds.js [--dry-run]
+const dotenv = require('dotenv');
+dotenv.config();
+const mongoose = require('mongoose');
+
+const Invoice = require('../models/invoice');
+const Course = require('../models/course');
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function main() {
+  await mongoose.connect(process.env.DB_URL);
+
+  const courses = new Set();
+  let updated = 0;
+  for await (const invoice of Invoice.find({ 'refunds.0': { $exists: true } })) {
+    const before = `${invoice.total}/${invoice.balance}/${invoice.status}`;
+    await invoice.validate();
+    const after = `${invoice.total}/${invoice.balance}/${invoice.status}`;
+    if (before === after) continue;
+
+    console.log(`${invoice.number}: total/balance/status ${before} -> ${after}`);
+    if (!dryRun) await invoice.save();
+    courses.add(String(invoice.course));
+    updated += 1;
+  }
+  if (!dryRun) for (const id of courses) await Course.syncInvoiceTotals(id);
+  console.log(`${updated} invoice(s) in ${courses.size} course(s)${dryRun ? ' (dry run)' : ''}`);
+
+  await mongoose.disconnect();
+}
+
+main().catch(async (err) => {
+  console.error(err);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,59 @@
+// scripts/migrate-locations.js
+// One-off migration from free-text course locations to Location records.
+//
+// For every organization this creates one location per distinct `location`
+// text on its courses (coordinates taken from the first course that has them)
+// and points those courses at it through `venue`. Locations get no capacity,
+// so enrollment stays unlimited until one is set. Safe to re-run: courses that
+// already have a venue are skipped and existing locations are reused by name.
+//
+// Usage: DB_URL=mongodb://... node scripts/migrate-locations.js [--dry-run]
+const dotenv = require('dotenv');
+dotenv.config();
+const mongoose = require('mongoose');
+
+const Course = require('../models/course');
+const Location = require('../models/location');
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function main() {
+  await mongoose.connect(process.env.DB_URL);
+
+  const groups = await Course.aggregate([
+    { $match: { venue: null, location: { $nin: [null, ''] } } },
+    { $sort: { location_lat: -1 } }, // courses with coordinates first
+    {
+      $group: {
+        _id: { owner: '$owner', name: { $trim: { input: '$location' } } },
+        lat: { $first: '$location_lat' },
+        lon: { $first: '$location_lon' },
+        placeId: { $first: '$location_place_id' },
+        courses: { $sum: 1 },
+      },
+    },
+  ]);
+  console.log(`${groups.length} location(s) to link${dryRun ? ' (dry run)' : ''}`);
+
+  for (const { _id: { owner, name }, lat, lon, placeId, courses } of groups) {
+    if (!name) continue;
+    let location = await Location.findOne({ owner, name });
+    if (!location && !dryRun) location = await Location.create({ owner, name, lat, lon, placeId });
+
+    const n = dryRun
+      ? courses
+      : (await Course.collection.updateMany(
+        { owner, venue: null, location: { $regex: `^\\s*${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\s*$` } },
+        { $set: { venue: location._id, room: null, location: name } }
+      )).modifiedCount;
+    console.log(`${owner}: ${name} -> ${location ? location._id : '<new location>'} (${n} course(s))`);
+  }
+
+  await mongoose.disconnect();
+}
+
+main().catch(async (err) => {
+  console.error(err);
+  await mongoose.disconnect();
+  process.exit(1);
+});
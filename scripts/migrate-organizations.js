@@ -0,0 +1,119 @@
+// scripts/migrate-organizations.js
+// One-off migration from user-owned tenants to organizations.
+//
+// For every user that owns data (an `owner` value that is not yet an
+// organization id) this creates an organization with that user as owner and
+// rewrites `owner` on all tenant collections to the organization id. Users that
+// were linked to an owner as staff (User.tenant) become members with their
+// staff role. Accounts that own no data yet get an (empty) organization too,
+// unless they were invited into someone else's: linked instructors and
+// students, staff, and existing members are left alone. Safe to re-run:
+// migrated owners already point at organizations.
+//
+// Usage: DB_URL=mongodb://... node scripts/migrate-organizations.js [--dry-run]
+const dotenv = require('dotenv');
+dotenv.config();
+const mongoose = require('mongoose');
+
+const Organization = require('../models/organization');
+const User = require('../models/user');
+const Course = require('../models/course');
+const Instructor = require('../models/instructor');
+const Student = require('../models/student');
+const Enrollment = require('../models/enrollment');
+const StudentAttendance = require('../models/student-attendance');
+const PayrollStatement = require('../models/payroll-statement');
+const Subscription = require('../models/subscription');
+
+const OWNED = [Course, Instructor, Student, Enrollment, StudentAttendance, PayrollStatement, Subscription];
+const STAFF_ROLES = ['admin', 'manager', 'staff'];
+const dryRun = process.argv.includes('--dry-run');
+
+async function ownerIds() {
+  const ids = new Set();
+  for (const Model of OWNED) {
+    for (const id of await Model.distinct('owner')) ids.add(String(id));
+  }
+  // Owners that already have staff but no data yet
+  for (const id of await User.collection.distinct('tenant', { tenant: { $ne: null } })) ids.add(String(id));
+  return [...ids];
+}
+
+// Signed-up accounts without data or an organization (invited users excluded)
+async function standaloneUserIds() {
+  const [members, studentUsers] = await Promise.all([
+    Organization.distinct('members.user'),
+    Student.distinct('user', { user: { $ne: null } }),
+  ]);
+  const skip = new Set([...members, ...studentUsers].map(String));
+  const users = await User.collection
+    .find({ status: { $ne: 'invited' }, instructor: null, tenant: null }, { projection: { _id: 1 } })
+    .toArray();
+  return users.map((u) => String(u._id)).filter((id) => !skip.has(id));
+}
+
+async function organizationFor(user) {
+  const existing = await Organization.findOne({
+    members: { $elemMatch: { user: user._id, role: 'owner' } },
+  });
+  if (existing) return existing;
+  if (dryRun) return { _id: `<new org for ${user.username}>` };
+  return Organization.createFor(user);
+}
+
+async function migrateOwner(id) {
+  if (await Organization.exists({ _id: id })) return; // already migrated
+
+  const user = await User.findById(id).select('username fullName timezone').lean();
+  if (!user) {
+    console.warn(`owner ${id}: no such user, skipped`);
+    return;
+  }
+
+  const org = await organizationFor(user);
+  const counts = [];
+  for (const Model of OWNED) {
+    const n = dryRun
+      ? await Model.countDocuments({ owner: id })
+      : (await Model.collection.updateMany({ owner: user._id }, { $set: { owner: org._id } })).modifiedCount;
+    if (n) counts.push(`${Model.modelName}: ${n}`);
+  }
+
+  // Staff linked through the old User.tenant field
+  const staff = await User.collection.find({ tenant: user._id }).toArray();
+  for (const member of staff) {
+    const role = (member.roles || []).find((r) => STAFF_ROLES.includes(r)) || 'staff';
+    if (!dryRun) {
+      await Organization.updateOne(
+        { _id: org._id, 'members.user': { $ne: member._id } },
+        { $push: { members: { user: member._id, role, addedBy: user._id } } }
+      );
+      await User.collection.updateOne(
+        { _id: member._id },
+        { $set: { organization: org._id }, $unset: { tenant: '' } }
+      );
+    }
+  }
+  if (staff.length) counts.push(`members: ${staff.length}`);
+
+  console.log(`${user.username} -> ${org._id}${counts.length ? ` (${counts.join(', ')})` : ''}`);
+}
+
+async function main() {
+  await mongoose.connect(process.env.DB_URL);
+  const ids = await ownerIds();
+  console.log(`${ids.length} owner(s) to check${dryRun ? ' (dry run)' : ''}`);
+  for (const id of ids) await migrateOwner(id);
+
+  // After the owners so that their staff already count as members
+  const standalone = await standaloneUserIds();
+  console.log(`${standalone.length} account(s) without an organization`);
+  for (const id of standalone) await migrateOwner(id);
+  await mongoose.disconnect();
+}
+
+main().catch(async (err) => {
+  console.error(err);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,40 @@
+// scripts/migrate-payroll-statements.js
+// One-off migration for payroll statements ordered by `seq`.
+//
+// Overlapping locks used to be rejected through a unique index on a `days`
+// array holding every date of the statement's period. Concurrent locks are
+// now told apart by a per-instructor `seq` instead (see lib/payroll). This
+// drops the old index, builds the new one and removes the stored `days`.
+// Safe to re-run.
+//
+// Usage: DB_URL=mongodb://... node scripts/migrate-payroll-statements.js [--dry-run]
+const dotenv = require('dotenv');
+dotenv.config();
+const mongoose = require('mongoose');
+
+const PayrollStatement = require('../models/payroll-statement');
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function main() {
+  await mongoose.connect(process.env.DB_URL);
+
+  const { toDrop, toCreate } = await PayrollStatement.diffIndexes();
+  const withDays = await PayrollStatement.collection.countDocuments({ days: { $exists: true } });
+  console.log(
+    `payrollstatements: drop [${toDrop.join(', ')}], create ${toCreate.length} index(es), `
+    + `clear days on ${withDays} statement(s)${dryRun ? ' (dry run)' : ''}`
+  );
+  if (!dryRun) {
+    await PayrollStatement.syncIndexes();
+    await PayrollStatement.collection.updateMany({ days: { $exists: true } }, { $unset: { days: '' } });
+  }
+
+  await mongoose.disconnect();
+}
+
+main().catch(async (err) => {
+  console.error(err);
+  await mongoose.disconnect();
+  process.exit(1);
+});
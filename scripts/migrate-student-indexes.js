@@ -0,0 +1,33 @@
+// scripts/migrate-student-indexes.js
+// One-off migration for per-organization student emails.
+//
+// Student emails used to be unique across the whole database (`email_1`);
+// they are now unique per owner ({ owner, email }). Existing databases keep
+// the old index until it is dropped, so the same email is still rejected in a
+// second organization. This drops indexes the schema no longer declares and
+// builds the missing ones. Safe to re-run.
+//
+// Usage: DB_URL=mongodb://... node scripts/migrate-student-indexes.js [--dry-run]
+const dotenv = require('dotenv');
+dotenv.config();
+const mongoose = require('mongoose');
+
+const Student = require('../models/student');
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function main() {
+  await mongoose.connect(process.env.DB_URL);
+
+  const { toDrop, toCreate } = await Student.diffIndexes();
+  console.log(`students: drop [${toDrop.join(', ')}], create ${toCreate.length} index(es)${dryRun ? ' (dry run)' : ''}`);
+  if (!dryRun) await Student.syncIndexes();
+
+  await mongoose.disconnect();
+}
+
+main().catch(async (err) => {
+  console.error(err);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -6,6 +6,10 @@ const mongoose = require('mongoose');
 const cors = require('cors');
 const logger = require('morgan');
 const path = require('path');
+const { getTransport } = require('./lib/mailer');
+
+// Refuse to start without a usable mail transport (see lib/mailer)
+getTransport();
 
 mongoose.connect(process.env.DB_URL);
 
@@ -40,6 +44,15 @@ const userRouter = require('./controllers/users');
 const courseRouter = require("./controllers/courses.js");
 const instructorRouter = require("./controllers/instructors.js");
 const billingRoutes = require('./controllers/billing');
+const studentRouter = require("./controllers/students.js");
+const organizationRouter = require("./controllers/organizations.js");
+const meRouter = require("./controllers/me.js");
+const invoiceRouter = require("./controllers/invoices.js");
+const reportRouter = require("./controllers/reports.js");
+const certificateRouter = require("./controllers/certificates.js");
+const auditRouter = require("./controllers/audit.js");
+const courseTemplateRouter = require("./controllers/course-templates.js");
+const locationRouter = require("./controllers/locations.js");
 
 // GET
 app.get('/healthz', (req, res) => res.status(200).json({ status: 'ok' }));
@@ -48,7 +61,16 @@ app.use('/auth', authRouter);
 app.use('/users', userRouter);
 app.use('/test-jwt', testJwtRouter);
 app.use("/courses", courseRouter);
+app.use("/course-templates", courseTemplateRouter);
+app.use("/locations", locationRouter);
 app.use("/instructors", instructorRouter);
+app.use("/students", studentRouter);
+app.use("/organizations", organizationRouter);
+app.use("/invoices", invoiceRouter);
+app.use("/reports", reportRouter);
+app.use("/certificates", certificateRouter);
+app.use("/audit", auditRouter);
+app.use("/me", meRouter);
 app.use('/billing', express.json(), billingRoutes); 
 
 app.use((err, req, res, next) => {